@@ -15,32 +15,10 @@ if (!admin.apps.length) {
 }
 const adminAuth = admin.auth();
 
-// ── Per-UID rate limiter ────────────────────────────────────────────
-// In-memory across invocations (best-effort — Vercel may scale horizontally).
-// Prevents a single signed-in user from burning through the OpenAI quota.
-const RATE_LIMIT_WINDOW_MS = 60 * 1000;
-const RATE_LIMIT_MAX = 30; // 30 chat calls per minute per user
-const uidRequests = new Map();
-
-function isRateLimited(uid) {
-  const now = Date.now();
-  const record = uidRequests.get(uid);
-  if (!record || now - record.windowStart > RATE_LIMIT_WINDOW_MS) {
-    uidRequests.set(uid, { windowStart: now, count: 1 });
-    return false;
-  }
-  record.count++;
-  return record.count > RATE_LIMIT_MAX;
-}
-
-setInterval(() => {
-  const now = Date.now();
-  for (const [uid, record] of uidRequests) {
-    if (now - record.windowStart > RATE_LIMIT_WINDOW_MS * 2) {
-      uidRequests.delete(uid);
-    }
-  }
-}, 5 * 60 * 1000);
+// Per-UID budget lives in the shared limiter (api/_lib/rate-limit.js) so it
+// holds across instances — prevents a single signed-in user from burning
+// through the OpenAI quota.
+const { enforceRateLimit } = require('../_lib/rate-limit');
 
 const MAX_BODY_BYTES = 120 * 1024; // cap to 120KB — generous for chat but blocks abuse
 
@@ -63,9 +41,7 @@ module.exports = async function handler(req, res) {
     return res.status(401).json({ error: 'Invalid authorization token' });
   }
 
-  if (isRateLimited(decoded.uid)) {
-    return res.status(429).json({ error: 'Too many requests. Try again in a moment.' });
-  }
+  if (!(await enforceRateLimit(req, res, 'openai-chat', { uid: decoded.uid }))) return;
 
   // Basic size guard
   const body = req.body || {};
@@ -10,29 +10,9 @@ if (!admin.apps.length) {
 }
 const adminAuth = admin.auth();
 
-const RATE_LIMIT_WINDOW_MS = 60 * 1000;
-const RATE_LIMIT_MAX = 120; // embeddings are cheaper — higher bucket
-const uidRequests = new Map();
-
-function isRateLimited(uid) {
-  const now = Date.now();
-  const record = uidRequests.get(uid);
-  if (!record || now - record.windowStart > RATE_LIMIT_WINDOW_MS) {
-    uidRequests.set(uid, { windowStart: now, count: 1 });
-    return false;
-  }
-  record.count++;
-  return record.count > RATE_LIMIT_MAX;
-}
-
-setInterval(() => {
-  const now = Date.now();
-  for (const [uid, record] of uidRequests) {
-    if (now - record.windowStart > RATE_LIMIT_WINDOW_MS * 2) {
-      uidRequests.delete(uid);
-    }
-  }
-}, 5 * 60 * 1000);
+// Budget is "openai-embed" in api/_lib/rate-limit.js (embeddings are
+// cheaper — higher bucket than chat).
+const { enforceRateLimit } = require('../_lib/rate-limit');
 
 const MAX_BODY_BYTES = 400 * 1024; // embeddings batches can be larger
 
@@ -54,9 +34,7 @@ module.exports = async function handler(req, res) {
     return res.status(401).json({ error: 'Invalid authorization token' });
   }
 
-  if (isRateLimited(decoded.uid)) {
-    return res.status(429).json({ error: 'Too many requests. Try again in a moment.' });
-  }
+  if (!(await enforceRateLimit(req, res, 'openai-embed', { uid: decoded.uid }))) return;
 
   const body = req.body || {};
   const serialized = JSON.stringify(body);
@@ -0,0 +1,89 @@
+// Verifies the signed JWS payloads Apple sends (App Store Server
+// Notifications v2, StoreKit 2 transactions and renewal info) without a
+// third-party library. Every JWS is ES256 with an `x5c` header carrying
+// [leaf, intermediate, root]; it's genuine when:
+//
+//   • each certificate is within its validity window and signed by the next
+//   • the root is Apple Root CA - G3 (pinned by SHA-256 fingerprint)
+//   • the leaf / intermediate carry Apple's receipt-signing / WWDR marker OIDs
+//   • the JWS signature verifies against the leaf's public key
+//
+// The pin isn't configurable: only a caller (the tests, with a locally
+// generated chain) can pass other roots as `rootFingerprints`.
+
+const crypto = require('crypto');
+
+const APPLE_ROOT_CA_G3_SHA256 = '63343ABFB89A6A03EBB57E9B3F5FA7BE7C4F5C756F3017B3A8C488C3653E9179';
+
+// DER encodings of the marker OIDs Apple puts in its signing certificates.
+const LEAF_OID = Buffer.from('060a2a864886f76364060b01', 'hex');         // 1.2.840.113635.100.6.11.1
+const INTERMEDIATE_OID = Buffer.from('060a2a864886f76364060201', 'hex'); // 1.2.840.113635.100.6.2.1
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'invalid_jws';
+  return err;
+}
+
+// SHA-256 fingerprints, colons optional.
+function normalizeFingerprints(list) {
+  return list.map((f) => String(f).replace(/[^0-9a-f]/gi, '').toUpperCase()).filter(Boolean);
+}
+
+function decodePart(part) {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch {
+    throw invalid('Malformed JWS');
+  }
+}
+
+function verifyChain(x5c, now, trustedRoots) {
+  if (!Array.isArray(x5c) || x5c.length !== 3) throw invalid('Expected a 3-certificate x5c chain');
+  let certs;
+  try {
+    certs = x5c.map((b64) => new crypto.X509Certificate(Buffer.from(b64, 'base64')));
+  } catch {
+    throw invalid('Unreadable x5c certificate');
+  }
+  const [leaf, intermediate, root] = certs;
+
+  for (const cert of certs) {
+    if (now < Date.parse(cert.validFrom) || now > Date.parse(cert.validTo)) {
+      throw invalid('Certificate outside its validity period');
+    }
+  }
+  const fingerprint = root.fingerprint256.replace(/:/g, '').toUpperCase();
+  if (!trustedRoots.includes(fingerprint)) throw invalid('Untrusted root certificate');
+  if (!root.verify(root.publicKey)) throw invalid('Root certificate is not self-signed');
+  if (!intermediate.checkIssued(root) || !intermediate.verify(root.publicKey)) {
+    throw invalid('Intermediate not issued by root');
+  }
+  if (!leaf.checkIssued(intermediate) || !leaf.verify(intermediate.publicKey)) {
+    throw invalid('Leaf not issued by intermediate');
+  }
+  if (!leaf.raw.includes(LEAF_OID) || !intermediate.raw.includes(INTERMEDIATE_OID)) {
+    throw invalid('Certificates are not Apple App Store signing certificates');
+  }
+  return leaf;
+}
+
+// Returns the decoded payload, or throws an Error with code 'invalid_jws'.
+function verifyAppleJws(jws, { now = Date.now(), rootFingerprints = [APPLE_ROOT_CA_G3_SHA256] } = {}) {
+  const parts = String(jws || '').split('.');
+  if (parts.length !== 3) throw invalid('Malformed JWS');
+  const header = decodePart(parts[0]);
+  if (header.alg !== 'ES256') throw invalid(`Unsupported alg ${header.alg}`);
+
+  const leaf = verifyChain(header.x5c, now, normalizeFingerprints(rootFingerprints));
+  const ok = crypto.verify(
+    'sha256',
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    { key: leaf.publicKey, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(parts[2], 'base64url'),
+  );
+  if (!ok) throw invalid('Bad JWS signature');
+  return decodePart(parts[1]);
+}
+
+module.exports = { verifyAppleJws };
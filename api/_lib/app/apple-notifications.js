@@ -0,0 +1,85 @@
+// App Store Server Notifications v2 — Apple tells us about every change to a
+// Nave+ in-app subscription (renewals, expiry, billing retry, refunds, …),
+// and ./apple-store.js mirrors it onto users/{uid}.subscription with
+// source 'apple', the same record Stripe writes. Configure the URL in App
+// Store Connect → App Information → App Store Server Notifications
+// (Version 2, production and sandbox).
+//
+// Body: { signedPayload } — a JWS whose data.signedTransactionInfo and
+// data.signedRenewalInfo are JWSs too; all three are verified by
+// ./apple-jws.js. Apple retries anything but a 2xx, so processed
+// notificationUUIDs are kept in appleNotifications/{uuid} and replays are
+// no-ops; a payload we can't verify gets a 400.
+//
+// External URL: POST /api/apple-notifications (rewritten to
+// /api/app?action=apple-notifications). Method and body shape are enforced
+// by the router guards.
+// Required env: APPLE_BUNDLE_ID (falls back to APNS_BUNDLE_ID)
+
+const { admin, adminDb } = require('../firebase-admin');
+const { verifyAppleJws } = require('./apple-jws');
+const { applyAppleTransaction } = require('./apple-store');
+const { isEntitled } = require('../subscription');
+const { grantDeferredGifts } = require('../stripe/gifts');
+
+module.exports = async (req, res, ctx) => {
+  let payload;
+  let transaction;
+  let renewal = null;
+  try {
+    payload = verifyAppleJws(ctx.body.signedPayload);
+    const data = payload.data || {};
+    if (!data.signedTransactionInfo) {
+      // TEST notifications and summary types carry no transaction.
+      return res.status(200).json({ ok: true, ignored: payload.notificationType });
+    }
+    transaction = verifyAppleJws(data.signedTransactionInfo);
+    if (data.signedRenewalInfo) renewal = verifyAppleJws(data.signedRenewalInfo);
+  } catch (err) {
+    if (err.code !== 'invalid_jws') {
+      console.error('[apple-notifications] verify error:', err);
+      return res.status(500).json({ error: 'Failed to verify payload' });
+    }
+    console.warn('[apple-notifications] rejected:', err.message);
+    return res.status(400).json({ error: 'Invalid signed payload' });
+  }
+
+  const bundleId = process.env.APPLE_BUNDLE_ID || process.env.APNS_BUNDLE_ID;
+  if (bundleId && payload.data.bundleId !== bundleId) {
+    return res.status(400).json({ error: 'Unexpected bundleId' });
+  }
+
+  const eventRef = adminDb.collection('appleNotifications').doc(payload.notificationUUID);
+  try {
+    await eventRef.create({
+      notificationType: payload.notificationType,
+      subtype: payload.subtype || null,
+      originalTransactionId: transaction.originalTransactionId,
+      environment: payload.data.environment || null,
+      receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (err) {
+    if (err.code === 6) return res.status(200).json({ ok: true, duplicate: true }); // ALREADY_EXISTS
+    throw err;
+  }
+
+  try {
+    const result = await applyAppleTransaction({
+      transaction,
+      renewal,
+      appleStatus: payload.data.status || null,
+      signedDate: payload.signedDate,
+    });
+    await eventRef.update({ uid: result.uid, status: result.status, applied: result.applied });
+    // Nave+ gifts held back while this user paid through Apple start now.
+    if (result.applied && !isEntitled({ status: result.status })) {
+      await grantDeferredGifts(result.uid).catch((err) => console.error('[apple-notifications] deferred gifts failed:', err.message));
+    }
+    return res.status(200).json({ ok: true, ...result });
+  } catch (err) {
+    console.error('[apple-notifications] error:', err);
+    // Let Apple's retry through.
+    await eventRef.delete().catch(() => {});
+    return res.status(500).json({ error: 'Failed to process notification' });
+  }
+};
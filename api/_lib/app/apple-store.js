@@ -0,0 +1,113 @@
+// Maps Apple in-app subscription state onto users/{uid}.subscription (shape
+// in ../subscription.js). Used by ./apple-notifications.js (App Store Server
+// Notifications v2) and ./apple-subscription.js (the app reporting a fresh
+// purchase).
+//
+// Apple identifies a subscription by its originalTransactionId. We keep
+// appleSubscriptions/{originalTransactionId} = { uid, productId, environment,
+// status, expiresDate, lastSignedDate } to map it back to a user. A user is
+// found by, in order:
+//   1. that mapping (written the first time the app reports the purchase)
+//   2. transaction.appAccountToken — the UUID the app passes to StoreKit at
+//      purchase time, stored on users/{uid}.appleAppAccountToken
+// Notifications for a subscription we can't map yet are kept on the mapping
+// doc (uid null) and applied when the app links it.
+
+const { adminDb } = require('../firebase-admin');
+const { canReplace } = require('../subscription');
+
+// App Store Server API `status`: 1 active, 2 expired, 3 billing retry,
+// 4 billing grace period, 5 revoked. Grace period keeps access.
+function statusFor(transaction, renewal, appleStatus, now = Date.now()) {
+  let active;
+  if (appleStatus === 2 || appleStatus === 5) active = false;
+  else if (appleStatus === 3) return 'past_due';
+  else if (appleStatus === 1 || appleStatus === 4) active = true;
+  else active = !transaction.revocationDate && (!transaction.expiresDate || transaction.expiresDate > now);
+
+  if (!active) return 'canceled';
+  const freeTrial = transaction.offerDiscountType === 'FREE_TRIAL' || (transaction.offerType === 1 && !transaction.price);
+  return freeTrial ? 'trialing' : 'active';
+}
+
+function subscriptionRecord(transaction, renewal, status) {
+  const expires = transaction.expiresDate ? new Date(transaction.expiresDate) : null;
+  return {
+    status,
+    source: 'apple',
+    plan: 'apple_monthly',
+    currentPeriodEnd: expires,
+    trialEnd: status === 'trialing' ? expires : null,
+    cancelAtPeriodEnd: renewal ? renewal.autoRenewStatus === 0 : false,
+    appleOriginalTransactionId: transaction.originalTransactionId,
+    appleProductId: transaction.productId,
+    appleEnvironment: transaction.environment || null,
+    updatedAt: new Date(),
+  };
+}
+
+async function uidForToken(appAccountToken) {
+  if (!appAccountToken) return null;
+  const snap = await adminDb.collection('users')
+    .where('appleAppAccountToken', '==', appAccountToken)
+    .limit(1)
+    .get();
+  return snap.empty ? null : snap.docs[0].id;
+}
+
+// Applies one signed snapshot of a subscription. `signedDate` orders
+// snapshots — Apple may deliver notifications out of order, so older ones
+// are ignored. Pass `uid` to link the subscription to that user.
+// Returns { uid, status, applied, reason? }.
+async function applyAppleTransaction({ transaction, renewal = null, appleStatus = null, signedDate, uid = null }) {
+  const otid = transaction.originalTransactionId;
+  const mapRef = adminDb.collection('appleSubscriptions').doc(String(otid));
+  const status = statusFor(transaction, renewal, appleStatus);
+
+  // `apply` is the snapshot the user record should reflect: this one, or —
+  // when this one is stale but links the subscription for the first time —
+  // the newer one already stored from a notification.
+  const mapped = await adminDb.runTransaction(async (tx) => {
+    const snap = await tx.get(mapRef);
+    const prev = snap.exists ? snap.data() : {};
+    const owner = uid || prev.uid || null;
+    if (prev.lastSignedDate && signedDate < prev.lastSignedDate) {
+      if (!uid || prev.uid) return { owner, apply: null };
+      tx.set(mapRef, { uid }, { merge: true });
+      return { owner, apply: { transaction: prev.transaction, renewal: prev.renewal || null, status: prev.status } };
+    }
+    tx.set(mapRef, {
+      uid: owner,
+      productId: transaction.productId,
+      environment: transaction.environment || null,
+      status,
+      expiresDate: transaction.expiresDate ? new Date(transaction.expiresDate) : null,
+      lastSignedDate: signedDate,
+      transaction,
+      renewal,
+      updatedAt: new Date(),
+    }, { merge: true });
+    return { owner, apply: { transaction, renewal, status } };
+  });
+
+  let owner = mapped.owner;
+  if (!owner) {
+    owner = await uidForToken(transaction.appAccountToken);
+    if (owner) await mapRef.set({ uid: owner }, { merge: true });
+  }
+  if (!owner) return { uid: null, status, applied: false, reason: 'unmapped' };
+  if (!mapped.apply) return { uid: owner, status, applied: false, reason: 'stale' };
+
+  const { apply } = mapped;
+  const userRef = adminDb.collection('users').doc(owner);
+  const applied = await adminDb.runTransaction(async (tx) => {
+    const userSnap = await tx.get(userRef);
+    const current = userSnap.exists ? userSnap.data().subscription : null;
+    if (!canReplace(current, 'apple', otid)) return false;
+    tx.set(userRef, { subscription: subscriptionRecord(apply.transaction, apply.renewal, apply.status) }, { merge: true });
+    return true;
+  });
+  return { uid: owner, status: apply.status, applied, ...(applied ? {} : { reason: 'other subscription active' }) };
+}
+
+module.exports = { applyAppleTransaction, statusFor };
@@ -0,0 +1,56 @@
+// The iOS app reports an in-app Nave+ purchase (or restore) right after
+// StoreKit 2 completes it, so the subscription is linked to the signed-in
+// user and users/{uid}.subscription is written without waiting for Apple's
+// server notification (./apple-notifications.js keeps it current after).
+//
+// External URL: POST /api/apple-subscription (rewritten to
+// /api/app?action=apple-subscription). Returns { status, applied }.
+// Body: { signedTransaction, appAccountToken? } — signedTransaction is
+// Transaction.jwsRepresentation; appAccountToken the UUID the app passed to
+// StoreKit, remembered so later notifications map to this user.
+// Method, Firebase auth and body shape are enforced by the router guards.
+
+const { adminDb } = require('../firebase-admin');
+const { verifyAppleJws } = require('./apple-jws');
+const { applyAppleTransaction } = require('./apple-store');
+
+module.exports = async (req, res, ctx) => {
+  let transaction;
+  try {
+    transaction = verifyAppleJws(ctx.body.signedTransaction);
+  } catch (err) {
+    if (err.code !== 'invalid_jws') {
+      console.error('[apple-subscription] verify error:', err);
+      return res.status(500).json({ error: 'Failed to verify payload' });
+    }
+    return res.status(400).json({ error: 'Invalid signed transaction' });
+  }
+
+  const bundleId = process.env.APPLE_BUNDLE_ID || process.env.APNS_BUNDLE_ID;
+  if (bundleId && transaction.bundleId !== bundleId) {
+    return res.status(400).json({ error: 'Unexpected bundleId' });
+  }
+  if (!transaction.originalTransactionId || transaction.type !== 'Auto-Renewable Subscription') {
+    return res.status(400).json({ error: 'Not a subscription transaction' });
+  }
+
+  try {
+    const existing = await adminDb.collection('appleSubscriptions').doc(String(transaction.originalTransactionId)).get();
+    if (existing.exists && existing.data().uid && existing.data().uid !== ctx.uid) {
+      return res.status(409).json({ error: 'This App Store subscription belongs to another Nave account' });
+    }
+    if (ctx.body.appAccountToken) {
+      await adminDb.collection('users').doc(ctx.uid).set({ appleAppAccountToken: ctx.body.appAccountToken }, { merge: true });
+    }
+
+    const result = await applyAppleTransaction({
+      transaction,
+      signedDate: transaction.signedDate,
+      uid: ctx.uid,
+    });
+    return res.status(200).json({ status: result.status, applied: result.applied });
+  } catch (err) {
+    console.error('[apple-subscription] error:', err);
+    return res.status(500).json({ error: 'Failed to record subscription' });
+  }
+};
@@ -32,14 +32,7 @@ function compareVersion(a, b) {
 }
 
 module.exports = async (req, res) => {
-  const cronSecret = process.env.CRON_SECRET;
-  if (cronSecret) {
-    const auth = req.headers['authorization'] || '';
-    if (auth !== `Bearer ${cronSecret}`) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-  }
-
+  // CRON_SECRET bearer is checked by the router's cronSecret() guard.
   const appId = process.env.APPLE_APP_ID || DEFAULT_APPLE_APP_ID;
   try {
     const lookupRes = await fetch(`https://itunes.apple.com/lookup?id=${appId}&country=us`);
@@ -6,7 +6,7 @@
 // back to "thenavepassword" if unset (DO NOT ship to prod without setting
 // the env var — the fallback is for first-deploy only).
 
-const { admin, adminDb, adminAuth } = require('./_lib/firebase-admin');
+const { admin, adminDb, adminAuth } = require('../firebase-admin');
 
 const FALLBACK_PASSWORD = 'thenavepassword';
 
@@ -626,6 +626,60 @@ module.exports = async (req, res) => {
         timestamp: q.timestamp,
       }));
 
+    // 7. Partner promo codes — redemptions per code, for partner reporting
+    // (the count includes checkouts still in progress; see stripe/promo.js).
+    const promoCodes = [];
+    try {
+      const promoSnap = await adminDb.collection('promoCodes').get();
+      promoSnap.forEach((doc) => {
+        const p = doc.data() || {};
+        promoCodes.push({
+          code: doc.id,
+          partnerName: p.partnerName || null,
+          entityType: p.entityType || null,
+          entityId: p.entityId || null,
+          redemptionCount: p.redemptionCount || 0,
+          maxRedemptions: p.maxRedemptions || null,
+          active: p.active !== false,
+        });
+      });
+      promoCodes.sort((a, b) => b.redemptionCount - a.redemptionCount);
+    } catch (e) { console.error('[analytics] promo codes fetch failed:', e.message); }
+
+    // 8. Latest nightly Stripe ↔ Firestore subscription reconciliation
+    // (api/_lib/stripe/reconcile.js) — repairs made and orphans to look at.
+    let subscriptionReconciliation = null;
+    try {
+      const reportSnap = await adminDb.collection('adminReports').doc('subscriptionReconciliation').get();
+      if (reportSnap.exists) {
+        const r = reportSnap.data();
+        const iso = (t) => (t && t.toDate ? t.toDate().toISOString() : null);
+        subscriptionReconciliation = { ...r, runAt: iso(r.runAt), passStartedAt: iso(r.passStartedAt) };
+      }
+    } catch (e) { console.error('[analytics] subscription reconciliation fetch failed:', e.message); }
+
+    // 9. Stripe webhook events whose handler failed and haven't succeeded
+    // since — replayable from the dashboard (/api/replay-stripe-event).
+    const stripeEventFailures = [];
+    try {
+      const failSnap = await adminDb.collection('stripeEventFailures')
+        .where('resolved', '==', false)
+        .limit(100)
+        .get();
+      failSnap.forEach((doc) => {
+        const f = doc.data() || {};
+        stripeEventFailures.push({
+          id: doc.id,
+          type: f.type || null,
+          error: f.error || null,
+          attempts: f.attempts || 0,
+          account: f.account || null,
+          lastFailedAt: f.lastFailedAt && f.lastFailedAt.toDate ? f.lastFailedAt.toDate().toISOString() : null,
+        });
+      });
+      stripeEventFailures.sort((a, b) => String(b.lastFailedAt).localeCompare(String(a.lastFailedAt)));
+    } catch (e) { console.error('[analytics] stripe event failures fetch failed:', e.message); }
+
     const analytics = {
       windowDays: DAYS,
       dailyUsers: Object.entries(dailyUsers).map(([date, count]) => ({ date, count })),
@@ -637,6 +691,7 @@ module.exports = async (req, res) => {
       topGabeQuestions,
       dailyMessages: messageActivity.dailySeries,
       topMessageWords: messageActivity.topWords,
+      promoCodes,
     };
 
     res.setHeader('Cache-Control', 'no-store');
@@ -662,6 +717,8 @@ module.exports = async (req, res) => {
       gabeQuestions,
       bulletinUploads,
       messages: messageActivity.recent,
+      subscriptionReconciliation,
+      stripeEventFailures,
       analytics,
     });
   } catch (err) {
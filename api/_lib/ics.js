@@ -0,0 +1,81 @@
+// Minimal iCalendar (RFC 5545) writer for the invites and confirmations we
+// email: scheduled huddles, bookings. One VEVENT per file, times in UTC, so
+// every calendar client renders them in the reader's own zone.
+//
+// Send with nodemailer's `icalEvent: { method, content }` for a real invite
+// (Accept/Decline buttons in Gmail/Outlook), or as an attachment with
+// contentType 'text/calendar'.
+
+const DOMAIN = 'catholicnave.com';
+
+function stamp(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// All-day events use DATE values (YYYYMMDD) and an exclusive DTEND.
+function dateOnly(date) {
+  return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function escapeText(s) {
+  return String(s || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded with CRLF + space.
+function fold(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch, 'utf8') > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// event: {
+//   id,                       // stable across updates/cancellation → UID
+//   start, end,               // Date | ISO string | millis
+//   allDay?,                  // start/end are dates; end is exclusive
+//   summary, description?, location?, url?,
+//   organizer?: { name, email },
+//   method?: 'REQUEST'|'PUBLISH'|'CANCEL',
+//   sequence?: 0,             // bump on every update to the same id
+// }
+function buildIcs(event) {
+  const method = event.method || 'REQUEST';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Nave//Nave//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${event.id}@${DOMAIN}`,
+    `DTSTAMP:${stamp(Date.now())}`,
+    event.allDay ? `DTSTART;VALUE=DATE:${dateOnly(event.start)}` : `DTSTART:${stamp(event.start)}`,
+    event.allDay ? `DTEND;VALUE=DATE:${dateOnly(event.end)}` : `DTEND:${stamp(event.end)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.organizer && event.organizer.email) {
+    lines.push(`ORGANIZER;CN=${escapeText(event.organizer.name || 'Nave')}:mailto:${event.organizer.email}`);
+  }
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildIcs };
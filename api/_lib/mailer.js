@@ -0,0 +1,32 @@
+// Shared Gmail transport for every server-side email (activation codes, signup
+// alerts, notification emails). One cached nodemailer transport per instance.
+//
+// Required Vercel env vars:
+//   GMAIL_USER          — e.g. oliver@catholicnave.com
+//   GMAIL_APP_PASSWORD  — 16-char Google app password (NOT your login pw)
+
+const nodemailer = require('nodemailer');
+
+let cachedTransporter = null;
+function getTransporter() {
+  if (cachedTransporter) return cachedTransporter;
+  cachedTransporter = nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.GMAIL_USER,
+      pass: process.env.GMAIL_APP_PASSWORD,
+    },
+  });
+  return cachedTransporter;
+}
+
+function mailConfigured() {
+  return Boolean(process.env.GMAIL_USER && process.env.GMAIL_APP_PASSWORD);
+}
+
+// "Nave <oliver@…>" style sender for the configured Gmail account.
+function fromAddress(label = 'Nave') {
+  return `${label} <${process.env.GMAIL_USER}>`;
+}
+
+module.exports = { getTransporter, mailConfigured, fromAddress };
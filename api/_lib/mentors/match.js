@@ -3,7 +3,6 @@
 
 const { initializeApp, cert, getApps } = require('firebase-admin/app');
 const { getFirestore } = require('firebase-admin/firestore');
-const { getAuth } = require('firebase-admin/auth');
 
 // ── Firebase Admin init ──────────────────────────────────────────
 // Prefer FIREBASE_SERVICE_ACCOUNT (the single JSON blob used everywhere else
@@ -26,32 +25,6 @@ if (!getApps().length) {
     initializeApp({ credential });
 }
 const db = getFirestore();
-const adminAuth = getAuth();
-
-// ── Rate limiter ─────────────────────────────────────────────────
-const RATE_LIMIT_WINDOW_MS = 60 * 1000;
-const RATE_LIMIT_MAX = 10;
-const ipRequests = new Map();
-
-function isRateLimited(ip) {
-    const now = Date.now();
-    const record = ipRequests.get(ip);
-    if (!record || now - record.windowStart > RATE_LIMIT_WINDOW_MS) {
-        ipRequests.set(ip, { windowStart: now, count: 1 });
-        return false;
-    }
-    record.count++;
-    return record.count > RATE_LIMIT_MAX;
-}
-
-setInterval(() => {
-    const now = Date.now();
-    for (const [ip, record] of ipRequests) {
-        if (now - record.windowStart > RATE_LIMIT_WINDOW_MS * 2) {
-            ipRequests.delete(ip);
-        }
-    }
-}, 5 * 60 * 1000);
 
 // ── Matching Algorithm (ported from iOS MentorMatchService.swift) ──
 
@@ -196,44 +169,12 @@ function computeMatches(currentProfile, allProfiles, existingMatches, weights) {
 }
 
 // ── Handler ──────────────────────────────────────────────────────
-module.exports = async function handler(req, res) {
-    // CORS
-    const allowedOrigins = ['https://www.catholicnave.com', 'https://catholicnave.com'];
-    const origin = req.headers.origin;
-    if (allowedOrigins.includes(origin)) {
-        res.setHeader('Access-Control-Allow-Origin', origin);
-    }
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-    if (req.method === 'OPTIONS') return res.status(200).end();
-    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
-
-    // Rate limiting
-    const clientIP = req.headers['x-forwarded-for']?.split(',')[0]?.trim()
-        || req.headers['x-real-ip']
-        || req.socket?.remoteAddress
-        || 'unknown';
-
-    if (isRateLimited(clientIP)) {
-        res.setHeader('Retry-After', '60');
-        return res.status(429).json({ error: 'Too many requests. Please wait a moment.' });
-    }
-
+// CORS, method, per-IP + per-uid rate limits, Firebase auth and body shape are
+// all enforced by the router guards (api/mentors.js) before we get here.
+module.exports = async function handler(req, res, ctx) {
     try {
-        const { orgId, firebaseIdToken } = req.body;
-
-        if (!firebaseIdToken) return res.status(401).json({ error: 'Missing auth token' });
-        if (!orgId) return res.status(400).json({ error: 'Missing orgId' });
-
-        // Verify Firebase token
-        let decodedToken;
-        try {
-            decodedToken = await adminAuth.verifyIdToken(firebaseIdToken);
-        } catch {
-            return res.status(401).json({ error: 'Invalid auth token' });
-        }
-        const userId = decodedToken.uid;
+        const { orgId } = ctx.body;
+        const userId = ctx.uid;
 
         // Load mentorship config for weights
         let weights = DEFAULT_WEIGHTS;
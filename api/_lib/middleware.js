@@ -0,0 +1,197 @@
+// Composable request guards for the action routers (stripe, notify, mentors,
+// app, content). Each router declares, per action, the list of guards that
+// run before the handler — so auth, CORS, cron secrets and body checks live
+// here once instead of being re-implemented (or forgotten) in every handler.
+//
+// A guard is `async (req, res, ctx) => boolean`: return true to continue, or
+// send the response yourself and return false. Guards fill in `ctx`, which is
+// passed to the handler as its third argument:
+//
+//   ctx.action  — the matched `req.query.action`
+//   ctx.uid     — verified Firebase uid (set by firebaseAuth)
+//   ctx.token   — the decoded ID token (email, claims, …)
+//   ctx.body    — req.body, after validateBody has checked it
+//
+// Handlers still work as plain `(req, res)` functions; guards are additive.
+
+const crypto = require('crypto');
+const { adminAuth } = require('./firebase-admin');
+const { enforceRateLimit } = require('./rate-limit');
+
+const ALLOWED_ORIGINS = ['https://www.catholicnave.com', 'https://catholicnave.com'];
+
+// Runs guards in order. Returns the filled ctx, or null if a guard responded.
+async function runGuards(guards, req, res, ctx = {}) {
+  for (const guard of guards || []) {
+    if (!(await guard(req, res, ctx))) return null;
+  }
+  return ctx;
+}
+
+// Method guard. Put after cors() so preflights are answered first.
+function methods(...allowed) {
+  return async (req, res) => {
+    if (allowed.includes(req.method)) return true;
+    res.setHeader('Allow', allowed.join(', '));
+    res.status(405).json({ error: 'Method not allowed' });
+    return false;
+  };
+}
+
+// CORS allow-list. Answers OPTIONS preflights itself.
+function cors({ origins = ALLOWED_ORIGINS, methods: allowMethods = 'POST, OPTIONS' } = {}) {
+  return async (req, res) => {
+    const origin = req.headers.origin;
+    if (origins.includes('*')) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origins.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+    }
+    res.setHeader('Access-Control-Allow-Methods', allowMethods);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset');
+    if (req.method === 'OPTIONS') {
+      res.status(204).end();
+      return false;
+    }
+    return true;
+  };
+}
+
+// Verifies a Firebase ID token from `Authorization: Bearer <token>` or, for
+// the iOS/web callers that predate this, `body.firebaseIdToken`.
+function firebaseAuth({ optional = false } = {}) {
+  return async (req, res, ctx) => {
+    const header = req.headers.authorization || '';
+    const idToken = header.startsWith('Bearer ')
+      ? header.slice(7)
+      : (req.body && req.body.firebaseIdToken) || '';
+
+    if (!idToken) {
+      if (optional) return true;
+      res.status(401).json({ error: 'Missing Firebase ID token' });
+      return false;
+    }
+
+    try {
+      const decoded = await adminAuth.verifyIdToken(idToken);
+      ctx.uid = decoded.uid;
+      ctx.token = decoded;
+      return true;
+    } catch {
+      res.status(401).json({ error: 'Invalid Firebase ID token' });
+      return false;
+    }
+  };
+}
+
+// Vercel attaches `Authorization: Bearer ${CRON_SECRET}` to cron requests when
+// the env var is set. Unset = open (local dev), same as the existing crons.
+function cronSecret() {
+  return async (req, res) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) return true;
+    if ((req.headers.authorization || '') === `Bearer ${secret}`) return true;
+    res.status(401).json({ error: 'Unauthorized' });
+    return false;
+  };
+}
+
+// Admin tools on the /dashboard page send DASHBOARD_PASSWORD as
+// `x-dashboard-password`, like api/_lib/app/dashboard-data.js. These guard actions
+// that change things, so there's no fallback password: unset = closed.
+function dashboardPassword() {
+  return async (req, res) => {
+    const expected = Buffer.from(process.env.DASHBOARD_PASSWORD || '');
+    const provided = Buffer.from(String(req.headers['x-dashboard-password'] || ''));
+    const ok = expected.length > 0 && provided.length === expected.length
+      && crypto.timingSafeEqual(provided, expected);
+    if (ok) return true;
+    res.status(401).json({ error: 'Unauthorized' });
+    return false;
+  };
+}
+
+// Shared limiter as a guard. `perUser` keys on ctx.uid, so it must come
+// after firebaseAuth().
+function rateLimit(route, { perUser = false } = {}) {
+  return async (req, res, ctx) => enforceRateLimit(req, res, route, perUser ? { uid: ctx.uid } : {});
+}
+
+// ── Body validation ─────────────────────────────────────────────────
+// A small JSON-Schema subset — enough for our request bodies without pulling
+// in a validator dependency: type, required, properties, enum, items,
+// minLength/maxLength, minimum/maximum, maxItems.
+
+function typeOf(v) {
+  if (Array.isArray(v)) return 'array';
+  if (v === null) return 'null';
+  if (typeof v === 'number' && Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+function checkSchema(schema, value, path) {
+  if (schema.type) {
+    const t = typeOf(value);
+    const ok = schema.type === t || (schema.type === 'number' && t === 'integer');
+    if (!ok) return `${path} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of: ${schema.enum.join(', ')}`;
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.trim().length < schema.minLength) return `${path} is required`;
+    if (schema.maxLength != null && value.length > schema.maxLength) return `${path} is too long (max ${schema.maxLength})`;
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) return `${path} must be >= ${schema.minimum}`;
+    if (schema.maximum != null && value > schema.maximum) return `${path} must be <= ${schema.maximum}`;
+  }
+  if (Array.isArray(value)) {
+    if (schema.maxItems != null && value.length > schema.maxItems) return `${path} has too many items (max ${schema.maxItems})`;
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const err = checkSchema(schema.items, value[i], `${path}[${i}]`);
+        if (err) return err;
+      }
+    }
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') return `Missing ${key}`;
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined || value[key] === null) continue;
+      const err = checkSchema(sub, value[key], key);
+      if (err) return err;
+    }
+  }
+  return null;
+}
+
+function validateBody(schema) {
+  return async (req, res, ctx) => {
+    const body = req.body || {};
+    const error = checkSchema({ type: 'object', ...schema }, body, 'body');
+    if (error) {
+      res.status(400).json({ error });
+      return false;
+    }
+    ctx.body = body;
+    return true;
+  };
+}
+
+module.exports = {
+  runGuards,
+  methods,
+  cors,
+  firebaseAuth,
+  cronSecret,
+  dashboardPassword,
+  rateLimit,
+  validateBody,
+  checkSchema,
+  ALLOWED_ORIGINS,
+};
@@ -5,79 +5,61 @@
 // External URL: POST /api/notify-group-added (rewritten to
 // /api/notify?action=added).
 //
-// Body: { addedUserIds: [..], workspaceId, channelId?, actorId?, actorName? }
+// Body: { addedUserIds: [..], workspaceId, channelId? }. The actor's name
+// comes from their profile (an actorName is ignored).
+// Requires a Firebase ID token (router guard). The actor is the verified
+// caller and must be a member of the workspace (or private channel); only
+// added users who are now actually members get notified.
 
-const admin = require('firebase-admin');
-
-const app = (() => {
-  const appName = 'fcm-sender';
-  const existing = admin.apps.find(a => a && a.name === appName);
-  if (existing) return existing;
-  const sa = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-  sa.private_key = sa.private_key.replace(/\\n/g, '\n');
-  return admin.initializeApp({ credential: admin.credential.cert(sa) }, appName);
-})();
-
-const db = app.firestore();
-const messaging = app.messaging();
-
-module.exports = async (req, res) => {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+const { adminDb } = require('../firebase-admin');
+const { channelMembers, displayName } = require('./membership');
+const { dispatch } = require('./dispatch');
 
+module.exports = async (req, res, ctx) => {
   try {
-    const { addedUserIds, workspaceId, channelId, actorId, actorName } = req.body || {};
+    const { addedUserIds, workspaceId, channelId } = req.body || {};
+    const actorId = ctx.uid;
     if (!Array.isArray(addedUserIds) || addedUserIds.length === 0 || !workspaceId) {
       return res.status(400).json({ error: 'Missing addedUserIds or workspaceId' });
     }
 
-    // Resolve a human label for what they were added to.
+    // Resolve the membership list (and a human label for what they were
+    // added to) server-side.
     let groupLabel = 'a group';
+    let members;
     if (channelId) {
-      const chSnap = await db.collection('messageWorkspaces').doc(workspaceId)
-        .collection('channels').doc(channelId).get();
-      groupLabel = chSnap.exists ? `#${chSnap.data().name || 'a channel'}` : 'a channel';
+      const resolved = await channelMembers(workspaceId, channelId);
+      if (!resolved) return res.status(404).json({ error: 'Channel not found' });
+      members = resolved.members;
+      groupLabel = `#${resolved.channel.name || 'a channel'}`;
     } else {
-      const wsSnap = await db.collection('messageWorkspaces').doc(workspaceId).get();
-      groupLabel = wsSnap.exists ? (wsSnap.data().name || 'a group') : 'a group';
+      const wsSnap = await adminDb.collection('messageWorkspaces').doc(workspaceId).get();
+      if (!wsSnap.exists) return res.status(404).json({ error: 'Workspace not found' });
+      const ws = wsSnap.data();
+      members = Array.isArray(ws.memberIds) ? ws.memberIds : [];
+      groupLabel = ws.name || 'a group';
+    }
+    if (!members.includes(actorId)) {
+      return res.status(403).json({ error: 'Not a member of this group' });
     }
 
+    const actorName = await displayName(actorId);
     const title = `You were added to ${groupLabel}`;
-    const body = actorName ? `${actorName} added you` : 'Tap to open';
+    const body = `${actorName} added you`;
 
-    const recipients = [...new Set(addedUserIds)].filter((id) => id && id !== actorId);
-    const sends = recipients.map(async (uid) => {
-      // In-app activity record (shows in the feed even with no token).
-      await db.collection('users').doc(uid).collection('activity_notifications').add({
-        type: 'added_to_workspace',
-        title,
-        body,
-        workspaceId,
-        channelId: channelId || null,
-        actorId: actorId || null,
-        actorName: actorName || null,
-        isRead: false,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
-      // Push if they have a token.
-      const userDoc = await db.collection('users').doc(uid).get();
-      const token = userDoc.exists ? userDoc.data().fcmToken : null;
-      if (!token) return { id: uid, push: false };
-      try {
-        await messaging.send({
-          token,
-          notification: { title, body },
-          data: { type: 'added_to_workspace', workspaceId: String(workspaceId), channelId: channelId ? String(channelId) : '' },
-          apns: { payload: { aps: { sound: 'default', badge: 1 } } },
-        });
-        return { id: uid, push: true };
-      } catch (err) {
-        return { id: uid, push: false, error: err.code };
-      }
+    const memberSet = new Set(members);
+    const recipients = [...new Set(addedUserIds)].filter((id) => id && id !== actorId && memberSet.has(id));
+    const report = await dispatch({
+      type: 'added_to_workspace',
+      recipients,
+      actorId,
+      title,
+      body,
+      context: { workspaceId, channelId: channelId || null },
+      record: { workspaceId, channelId: channelId || null, actorId, actorName },
+      data: { workspaceId, channelId: channelId || '' },
     });
-    const results = await Promise.all(sends);
-    return res.status(200).json({ success: true, notified: results.length, pushed: results.filter((r) => r.push).length });
+    return res.status(200).json({ success: true, notified: report.inApp, pushed: report.pushed });
   } catch (error) {
     console.error('added notify error:', error.code, error.message);
     return res.status(500).json({ error: error.message, code: error.code });
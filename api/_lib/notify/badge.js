@@ -0,0 +1,89 @@
+// Server-computed app-icon badge. One number, used by every push and by the
+// mark-read endpoint, so iOS and the web inbox (engage.js) agree:
+//
+//   unread activity_notifications (isRead == false), excluding direct_message
+//     — a DM already counts through its thread, below
+// + DM threads with unreadCount[uid] > 0 (threads, not messages)
+//
+// Both reads are capped; past the cap the badge just shows the cap.
+
+const { admin, adminDb } = require('../firebase-admin');
+const { sendToUser, NATIVE_PLATFORMS } = require('./fcm-tokens');
+
+const MAX_COUNTED = 500;
+
+async function badgeCount(uid) {
+  const userRef = adminDb.collection('users').doc(uid);
+  const [activitySnap, threadsSnap] = await Promise.all([
+    userRef.collection('activity_notifications')
+      .where('isRead', '==', false)
+      .select('type')
+      .limit(MAX_COUNTED)
+      .get(),
+    adminDb.collection('messages_threads')
+      .where('participantIds', 'array-contains', uid)
+      .select('unreadCount')
+      .limit(MAX_COUNTED)
+      .get(),
+  ]);
+
+  const activity = activitySnap.docs.filter((d) => d.get('type') !== 'direct_message').length;
+  const threads = threadsSnap.docs.filter((d) => ((d.get('unreadCount') || {})[uid] || 0) > 0).length;
+  return Math.min(activity + threads, MAX_COUNTED);
+}
+
+// Silent badge-only push so other devices drop their badge after the user
+// reads something elsewhere. Native devices only (browsers can't take silent
+// pushes). Best-effort; never throws.
+async function syncBadge(uid, user) {
+  try {
+    const badge = await badgeCount(uid);
+    await sendToUser(uid, user, {
+      data: { type: 'badge_sync', badge: String(badge) },
+      apns: {
+        headers: { 'apns-push-type': 'background', 'apns-priority': '5' },
+        payload: { aps: { badge, 'content-available': 1 } },
+      },
+    }, { platforms: NATIVE_PLATFORMS });
+    return badge;
+  } catch (err) {
+    console.error('[badge] sync failed:', err.code, err.message);
+    return null;
+  }
+}
+
+// Marks notifications read for `uid`. Any combination of:
+//   ids:       specific activity_notifications doc ids
+//   all:       every unread activity notification
+//   threadIds: DM threads to zero unreadCount[uid] on (and their
+//              direct_message activity rows)
+// Returns the number of activity docs updated.
+async function markRead(uid, { ids = [], all = false, threadIds = [] }) {
+  const userRef = adminDb.collection('users').doc(uid);
+  const activity = userRef.collection('activity_notifications');
+  const readAt = admin.firestore.FieldValue.serverTimestamp();
+
+  const refs = new Map();
+  ids.forEach((id) => refs.set(id, activity.doc(String(id))));
+  if (all) {
+    const snap = await activity.where('isRead', '==', false).limit(MAX_COUNTED).get();
+    snap.docs.forEach((d) => refs.set(d.id, d.ref));
+  }
+  for (const threadId of threadIds) {
+    const snap = await activity.where('threadId', '==', threadId).where('isRead', '==', false).get();
+    snap.docs.forEach((d) => refs.set(d.id, d.ref));
+  }
+
+  const writer = adminDb.bulkWriter();
+  for (const ref of refs.values()) {
+    writer.update(ref, { isRead: true, readAt }).catch(() => {}); // deleted/missing ids are fine
+  }
+  for (const threadId of threadIds) {
+    const threadRef = adminDb.collection('messages_threads').doc(String(threadId));
+    writer.update(threadRef, { [`unreadCount.${uid}`]: 0 }).catch(() => {});
+  }
+  await writer.close();
+  return refs.size;
+}
+
+module.exports = { badgeCount, syncBadge, markRead };
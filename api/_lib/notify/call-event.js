@@ -0,0 +1,38 @@
+// Call lifecycle events from the iOS app, so other devices stop ringing and
+// people who never picked up get a missed-call record. The state machine and
+// its side effects live in ./call-state.js.
+//
+//   answer  — invitee picked up (status → 'answered')
+//   decline — invitee declined; the last decline closes the call
+//   cancel  — host hung up before anyone answered, or the ring timed out:
+//             still-ringing invitees get a cancel VoIP push + missed_call
+//   end     — host or anyone on the call hung up; in a huddle or group
+//             call only the host or the last one on it closes the call
+//
+// External URL: POST /api/call-event (rewritten to
+// /api/notify?action=call-event).
+//
+// Body: { callId, event: 'answer'|'decline'|'cancel'|'end' }
+// Method, Firebase auth and body shape are enforced by the router guards.
+
+const { transition, applyEffects } = require('./call-state');
+
+module.exports = async (req, res, ctx) => {
+  try {
+    const { callId, event } = ctx.body;
+    const result = await transition(callId, ctx.uid, event);
+    if (result.error) return res.status(result.code).json({ error: result.error });
+
+    const effects = await applyEffects(callId, ctx.uid, event, result);
+    return res.status(200).json({
+      ok: true,
+      status: result.status,
+      unchanged: result.unchanged === true,
+      cancelled: effects.cancelled,
+      missed: effects.missed,
+    });
+  } catch (err) {
+    console.error('call-event error:', err);
+    return res.status(500).json({ error: 'Failed to update call' });
+  }
+};
@@ -0,0 +1,246 @@
+// Call lifecycle on calls/{callId}. One place owns the state machine so the
+// client-reported events (./call-event.js) and the LiveKit webhook
+// (api/livekit-webhook.js) agree on what happened:
+//
+//   status:        'ringing' → 'answered' → 'ended'
+//                  'ringing' → 'declined' | 'missed'     (nobody picked up)
+//   inviteeStates: { [uid]: 'ringing'|'answered'|'left'|'declined'|'missed' }
+//   ringingAt, answeredAt, endedAt, durationSeconds, endReason
+//
+// A DM call ends when either side hangs up. A huddle or group call ends when
+// the host ends it or the last person on it leaves; anyone else hanging up
+// just becomes 'left'.
+//
+// Transitions run in a transaction and return the side effects (who to stop
+// ringing, who missed the call) so they fire exactly once even if host and
+// invitee report the same hang-up.
+
+const { admin, adminDb } = require('../firebase-admin');
+const { sendVoip } = require('./voip');
+const { sendToUser, NATIVE_PLATFORMS } = require('./fcm-tokens');
+const { dispatch } = require('./dispatch');
+
+const RING_SECONDS = 30;
+// 'cancelled' is a scheduled huddle its host called off (./huddle.js).
+const FINAL = new Set(['declined', 'missed', 'ended', 'cancelled']);
+
+function invitees(call) {
+  return (call.invitedUserIds || []).filter((id) => id !== call.hostId);
+}
+
+function stillRinging(call, states) {
+  return invitees(call).filter((id) => !states[id] || states[id] === 'ringing');
+}
+
+function wasAnswered(states) {
+  return Object.values(states).some((s) => s === 'answered' || s === 'left');
+}
+
+// The host is on the call unless the LiveKit webhook saw them leave after
+// they last joined. Without webhook data we assume they're still there.
+function hostOnCall(call) {
+  const p = (call.participants || {})[call.hostId];
+  if (!p || !p.leftAt || !p.leftAt.toMillis) return true;
+  return Boolean(p.joinedAt && p.joinedAt.toMillis && p.joinedAt.toMillis() > p.leftAt.toMillis());
+}
+
+function othersOnCall(call, states, uid) {
+  const invited = invitees(call).filter((id) => id !== uid && states[id] === 'answered');
+  return invited.length > 0 || (uid !== call.hostId && hostOnCall(call));
+}
+
+// Still ringing RING_SECONDS after it started: the caller's app should have
+// sent 'cancel' but crashed or lost its connection.
+function ringExpired(call, now = Date.now()) {
+  return call.status === 'ringing' && Boolean(call.ringingAt && call.ringingAt.toMillis)
+    && now - call.ringingAt.toMillis() >= RING_SECONDS * 1000;
+}
+
+// DM calls reuse calls/dm_<threadId>, so a new ring also clears whatever the
+// previous call left behind. update() replaces inviteeStates wholesale.
+async function markRinging(callRef, invited) {
+  const inviteeStates = {};
+  invited.forEach((id) => { inviteeStates[id] = 'ringing'; });
+  const del = admin.firestore.FieldValue.delete();
+  await callRef.update({
+    status: 'ringing',
+    ringingAt: admin.firestore.FieldValue.serverTimestamp(),
+    inviteeStates,
+    joinedUserIds: [],
+    answeredAt: del,
+    endedAt: del,
+    durationSeconds: del,
+    endReason: del,
+  });
+}
+
+// Closes the call: every invitee still ringing becomes 'missed'. Returns the
+// update plus { missed } for the side effects.
+function finalUpdate(call, states, reason) {
+  const missed = stillRinging(call, states);
+  missed.forEach((id) => { states[id] = 'missed'; });
+  const answered = wasAnswered(states);
+  const everyoneDeclined = invitees(call).length > 0
+    && invitees(call).every((id) => states[id] === 'declined');
+
+  const now = admin.firestore.Timestamp.now();
+  const update = {
+    // No one to ring (e.g. a scheduled huddle) can't be "missed".
+    status: answered || !invitees(call).length ? 'ended' : (everyoneDeclined ? 'declined' : 'missed'),
+    inviteeStates: states,
+    endedAt: now,
+    endReason: reason,
+  };
+  if (call.answeredAt && call.answeredAt.toMillis) {
+    update.durationSeconds = Math.max(0, Math.round((now.toMillis() - call.answeredAt.toMillis()) / 1000));
+  }
+  return { update, missed };
+}
+
+// Applies a client-reported event for `uid`. Returns
+//   { call, status, cancel: [uid], missed: [uid] }   on success
+//   { error, code }                                    when not allowed
+async function transition(callId, uid, event) {
+  const callRef = adminDb.collection('calls').doc(String(callId));
+  return adminDb.runTransaction(async (tx) => {
+    const snap = await tx.get(callRef);
+    if (!snap.exists) return { error: 'Call not found', code: 404 };
+    const call = snap.data();
+    const states = { ...(call.inviteeStates || {}) };
+    const isHost = call.hostId === uid;
+    const isInvitee = invitees(call).includes(uid);
+
+    if (!isHost && !isInvitee) return { error: 'Not part of this call', code: 403 };
+    if (FINAL.has(call.status)) return { call, status: call.status, cancel: [], missed: [], unchanged: true };
+
+    let update;
+    let cancel = [];
+    let missed = [];
+
+    switch (event) {
+      case 'answer': {
+        if (!isInvitee) return { error: 'Only an invitee can answer', code: 403 };
+        states[uid] = 'answered';
+        update = {
+          status: 'answered',
+          inviteeStates: states,
+          joinedUserIds: admin.firestore.FieldValue.arrayUnion(uid),
+        };
+        if (!call.answeredAt) update.answeredAt = admin.firestore.FieldValue.serverTimestamp();
+        break;
+      }
+      case 'decline': {
+        if (!isInvitee) return { error: 'Only an invitee can decline', code: 403 };
+        states[uid] = 'declined';
+        update = { inviteeStates: states };
+        // Last one to decline with nobody on the line closes the call.
+        if (!wasAnswered(states) && !stillRinging(call, states).length) {
+          ({ update } = finalUpdate(call, states, 'declined'));
+        }
+        break;
+      }
+      case 'cancel': {
+        // Host hangs up before anyone answered (or the ring timed out).
+        if (!isHost) return { error: 'Only the host can cancel', code: 403 };
+        ({ update, missed } = finalUpdate(call, states, 'cancelled'));
+        cancel = missed;
+        break;
+      }
+      case 'end': {
+        if (!isHost && states[uid] !== 'answered') {
+          return { error: 'Only the host or someone on the call can end it', code: 403 };
+        }
+        if ((call.type || 'dm') !== 'dm' && !isHost && othersOnCall(call, states, uid)) {
+          states[uid] = 'left';
+          update = { inviteeStates: states };
+          break;
+        }
+        ({ update, missed } = finalUpdate(call, states, 'hung_up'));
+        cancel = missed;
+        break;
+      }
+      default:
+        return { error: `Unknown call event: ${event}`, code: 400 };
+    }
+
+    tx.set(callRef, update, { merge: true });
+    return { call, status: update.status || call.status, cancel, missed };
+  });
+}
+
+// Server-side close (e.g. the LiveKit room finished) with no acting user.
+// Same result shape as transition(); a call that's already final, or that
+// `when(call)` rejects, is left alone.
+async function closeCall(callId, reason, { when } = {}) {
+  const callRef = adminDb.collection('calls').doc(String(callId));
+  return adminDb.runTransaction(async (tx) => {
+    const snap = await tx.get(callRef);
+    if (!snap.exists) return { error: 'Call not found', code: 404 };
+    const call = snap.data();
+    if (FINAL.has(call.status) || (when && !when(call))) {
+      return { call, status: call.status, cancel: [], missed: [], unchanged: true };
+    }
+    const { update, missed } = finalUpdate(call, { ...(call.inviteeStates || {}) }, reason);
+    tx.set(callRef, update, { merge: true });
+    return { call, status: update.status, cancel: missed, missed };
+  });
+}
+
+// Stops CallKit on phones that are still ringing. iOS requires every VoIP
+// push to report a call, so the app reports this one and ends it at once.
+async function sendCancel(callId, uids, reason) {
+  if (!uids.length) return { sent: 0, failed: 0 };
+  try {
+    return await sendVoip(uids, { callId, type: 'cancel', reason }, { expiresIn: RING_SECONDS });
+  } catch (err) {
+    console.error('[call-state] cancel push failed:', err.message);
+    return { sent: 0, failed: uids.length };
+  }
+}
+
+// An answered call should stop ringing on the answerer's other devices (an
+// iPad signed in to the same account shows the in-app ring from FCM).
+async function notifyAnsweredElsewhere(callId, uid) {
+  try {
+    const userSnap = await adminDb.collection('users').doc(uid).get();
+    await sendToUser(uid, userSnap.exists ? userSnap.data() : null, {
+      data: { type: 'call_cancel', callId, reason: 'answered_elsewhere' },
+      apns: { headers: { 'apns-push-type': 'background', 'apns-priority': '5' }, payload: { aps: { 'content-available': 1 } } },
+    }, { platforms: NATIVE_PLATFORMS });
+  } catch (err) {
+    console.error('[call-state] answered-elsewhere push failed:', err.message);
+  }
+}
+
+async function notifyMissed(callId, call, uids) {
+  if (!uids.length) return null;
+  const hostName = call.hostName || 'Someone';
+  const isHuddle = call.type === 'huddle';
+  const threadId = call.threadId || (callId.startsWith('dm_') ? callId.slice(3) : undefined);
+  return dispatch({
+    type: 'missed_call',
+    recipients: uids,
+    actorId: call.hostId,
+    title: `Missed ${call.isVideo ? 'video ' : ''}${isHuddle ? 'huddle' : 'call'}`,
+    body: isHuddle
+      ? `${hostName} started a huddle in ${call.title || 'a channel'}`
+      : `${hostName} tried to call you`,
+    context: { threadId, workspaceId: call.workspaceId, channelId: call.channelId },
+    record: { callId, callerId: call.hostId, callerName: hostName, callType: call.type || 'dm', isVideo: call.isVideo === true },
+    data: { callId, threadId },
+  });
+}
+
+// Runs the side effects a transition returned.
+async function applyEffects(callId, uid, event, result) {
+  const [cancelled] = await Promise.all([
+    sendCancel(callId, result.cancel, event === 'cancel' ? 'cancelled' : 'ended'),
+    notifyMissed(callId, result.call, result.missed),
+    event === 'answer' && !result.unchanged ? notifyAnsweredElsewhere(callId, uid) : null,
+  ]);
+  return { cancelled: cancelled.sent, missed: result.missed.length };
+}
+
+module.exports = {
+  transition, closeCall, applyEffects, markRinging, finalUpdate, ringExpired, sendCancel, notifyMissed, RING_SECONDS,
+};
@@ -8,19 +8,56 @@
 //   LIVEKIT_API_SECRET  — same
 //   LIVEKIT_URL         — wss://<your-project>.livekit.cloud (or your server)
 //
+// Query/body: { room }. Requires a Firebase ID token (router guard); the
+// participant name comes from the caller's profile.
+// Rooms are named after their call doc (calls/{room}), and access is checked
+// against what the room belongs to — never against ids from the client:
+//
+//   DM call  (type 'dm', room "dm_<threadId>") — participant of the thread
+//   huddle   (workspaceId + channelId on the call) — member of the channel
+//   otherwise                                   — the call's host or invitee
+//
+// The LiveKit identity is always the verified uid. Grants are scoped: only
+// the host gets roomAdmin, and in huddles on channels bigger than
+// LISTEN_ONLY_ABOVE members, anyone who wasn't invited joins listen-only.
+//
+// Scheduled huddles (./huddle.js, room "huddle_<id>") invite the whole
+// channel, open JOIN_EARLY_MS before their start for everyone but the host,
+// and refuse tokens once cancelled.
+//
 // livekit-server-sdk v2 is ESM-only, so we dynamic-import it from this CJS
 // handler. `toJwt()` is async in v2.
 
-module.exports = async (req, res) => {
+const { adminDb } = require('../firebase-admin');
+const { threadParticipants, channelMembers, displayName } = require('./membership');
+
+const LISTEN_ONLY_ABOVE = 25;
+const JOIN_EARLY_MS = 15 * 60 * 1000;
+
+// Returns { allowed, memberCount } for uid on this call.
+async function roomAccess(room, call, uid) {
+  const isHostOrInvitee = call.hostId === uid || (call.invitedUserIds || []).includes(uid);
+
+  if (call.type !== 'huddle') {
+    const threadId = call.threadId || (room.startsWith('dm_') ? room.slice(3) : null);
+    if (threadId) {
+      const participants = await threadParticipants(threadId);
+      return { allowed: Boolean(participants && participants.includes(uid)), memberCount: participants ? participants.length : 0 };
+    }
+  } else if (call.workspaceId && call.channelId) {
+    const ch = await channelMembers(call.workspaceId, call.channelId);
+    return { allowed: Boolean(ch && ch.members.includes(uid)), memberCount: ch ? ch.members.length : 0 };
+  }
+  return { allowed: isHostOrInvitee, memberCount: (call.invitedUserIds || []).length };
+}
+
+module.exports = async (req, res, ctx) => {
   try {
     const q = req.query || {};
     const b = req.body || {};
     const room = String(q.room || b.room || '').trim();
-    const identity = String(q.identity || b.identity || '').trim();
-    const name = String(q.name || b.name || identity).trim();
-
-    if (!room || !identity) {
-      return res.status(400).json({ error: 'room and identity are required' });
+    if (!/^[\w-]{1,200}$/.test(room)) {
+      return res.status(400).json({ error: 'room is required' });
     }
 
     const apiKey = process.env.LIVEKIT_API_KEY;
@@ -30,12 +67,43 @@ module.exports = async (req, res) => {
       return res.status(500).json({ error: 'LiveKit env not configured (LIVEKIT_API_KEY/SECRET/URL)' });
     }
 
+    const callSnap = await adminDb.collection('calls').doc(room).get();
+    if (!callSnap.exists) return res.status(404).json({ error: 'call not found' });
+    const call = callSnap.data();
+
+    const identity = ctx.uid;
+    const { allowed, memberCount } = await roomAccess(room, call, identity);
+    if (!allowed) {
+      return res.status(403).json({ error: 'Not a participant of this call' });
+    }
+
+    const isHost = call.hostId === identity;
+    if (call.scheduledHuddleId) {
+      if (call.status === 'cancelled') {
+        return res.status(410).json({ error: 'This huddle was cancelled' });
+      }
+      const opensAt = call.scheduledFor.toMillis() - JOIN_EARLY_MS;
+      if (!isHost && Date.now() < opensAt) {
+        return res.status(403).json({ error: 'This huddle has not started yet', opensAt: new Date(opensAt).toISOString() });
+      }
+    }
+    const invited = Boolean(call.scheduledHuddleId) || (call.invitedUserIds || []).includes(identity);
+    const listenOnly = call.type === 'huddle' && !isHost && !invited && memberCount > LISTEN_ONLY_ABOVE;
+    const name = await displayName(identity);
+
     const { AccessToken } = await import('livekit-server-sdk');
     const at = new AccessToken(apiKey, apiSecret, { identity, name, ttl: '2h' });
-    at.addGrant({ roomJoin: true, room, canPublish: true, canSubscribe: true });
+    at.addGrant({
+      roomJoin: true,
+      room,
+      canPublish: !listenOnly,
+      canPublishData: !listenOnly,
+      canSubscribe: true,
+      roomAdmin: isHost,
+    });
     const token = await at.toJwt();
 
-    res.status(200).json({ token, url, room, identity });
+    res.status(200).json({ token, url, room, identity, canPublish: !listenOnly, roomAdmin: isHost });
   } catch (err) {
     console.error('call-token error:', err);
     res.status(500).json({ error: 'Failed to mint LiveKit token' });
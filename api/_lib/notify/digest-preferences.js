@@ -0,0 +1,24 @@
+// Turns the email digest on or off for the signed-in user. Stored on
+// users/{uid}/settings/notifications alongside the other notification prefs
+// (see ./dispatch.js); ./digest.js picks it up on the next cron run.
+//
+// External URL: /api/digest-preferences (rewritten to
+// /api/notify?action=digest-preferences).
+//
+// Body: { frequency: 'daily'|'weekly'|'off' }
+// Method, Firebase auth and body shape are enforced by the router guards.
+
+const { adminDb } = require('../firebase-admin');
+
+module.exports = async (req, res, ctx) => {
+  try {
+    const { frequency } = ctx.body;
+    await adminDb.collection('users').doc(ctx.uid).collection('settings').doc('notifications').set({
+      digest: frequency,
+    }, { merge: true });
+    return res.status(200).json({ ok: true, digest: frequency });
+  } catch (err) {
+    console.error('digest-preferences error:', err);
+    return res.status(500).json({ error: 'Failed to update digest preference' });
+  }
+};
@@ -0,0 +1,30 @@
+// Signed, non-expiring unsubscribe tokens for digest emails. The link has to
+// work from any mail client without a sign-in, so it carries the uid plus an
+// HMAC of it keyed by DIGEST_SECRET (falls back to CRON_SECRET).
+
+const crypto = require('crypto');
+
+const BASE_URL = process.env.PUBLIC_BASE_URL || 'https://catholicnave.com';
+
+function secret() {
+  const s = process.env.DIGEST_SECRET || process.env.CRON_SECRET;
+  if (!s) throw new Error('DIGEST_SECRET (or CRON_SECRET) not configured');
+  return s;
+}
+
+function signUid(uid) {
+  return crypto.createHmac('sha256', secret()).update(`digest-unsubscribe:${uid}`).digest('base64url');
+}
+
+function verifyUid(uid, token) {
+  if (!uid || !token) return false;
+  const expected = Buffer.from(signUid(uid));
+  const given = Buffer.from(String(token));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function unsubscribeUrl(uid) {
+  return `${BASE_URL}/api/digest-unsubscribe?uid=${encodeURIComponent(uid)}&token=${signUid(uid)}`;
+}
+
+module.exports = { signUid, verifyUid, unsubscribeUrl, BASE_URL };
@@ -0,0 +1,38 @@
+// One-click unsubscribe from digest emails. Linked from every digest (and its
+// List-Unsubscribe header), so it works without a sign-in: the uid is
+// authenticated by the HMAC token from ./digest-token.js. GET is the link a
+// person clicks; POST is the RFC 8058 one-click request mail clients send.
+//
+// External URL: /api/digest-unsubscribe?uid=…&token=… (rewritten to
+// /api/notify?action=digest-unsubscribe).
+
+const { admin, adminDb } = require('../firebase-admin');
+const { verifyUid, BASE_URL } = require('./digest-token');
+
+function page(title, message) {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8">`
+    + `<meta name="viewport" content="width=device-width,initial-scale=1"><title>${title}</title></head>`
+    + `<body style="font-family:-apple-system,Helvetica,Arial,sans-serif;max-width:480px;margin:64px auto;padding:0 16px;text-align:center">`
+    + `<h2>${title}</h2><p>${message}</p><p><a href="${BASE_URL}/engage" style="color:#b3261e">Open Nave</a></p>`
+    + `</body></html>`;
+}
+
+module.exports = async (req, res) => {
+  const { uid, token } = req.query || {};
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+
+  if (!verifyUid(uid, token)) {
+    return res.status(403).send(page('Link not valid', 'This unsubscribe link is invalid or incomplete.'));
+  }
+
+  try {
+    await adminDb.collection('users').doc(uid).collection('settings').doc('notifications').set({
+      digest: 'off',
+      digestUnsubscribedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return res.status(200).send(page('Unsubscribed', 'You won\'t get Nave digest emails anymore. You can turn them back on in your notification settings.'));
+  } catch (err) {
+    console.error('digest-unsubscribe error:', err);
+    return res.status(500).send(page('Something went wrong', 'Please try the link again in a moment.'));
+  }
+};
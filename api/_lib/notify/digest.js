@@ -0,0 +1,236 @@
+// Vercel cron — email digests of channel activity, @mentions and unread DMs
+// for members who opted in (users/{uid}/settings/notifications.digest =
+// 'daily' | 'weekly'). Busy channels (over QUIET_THRESHOLD) never push for
+// ordinary messages, so for people who live in email this is the only way
+// they hear about them.
+//
+// Schedule: once a day (Hobby crons are daily-only). Each prefs doc is
+// stamped with `digestLastSentAt`, and a user is due once that stamp is
+// ~a day (daily) or ~a week (weekly) old. A weekly subscriber skipped by one
+// run (time budget, mail error) is picked up the next day rather than a week
+// later, and a retried or overlapping run never double-sends.
+//
+// What goes in (since the last digest, or the last period for a first one):
+//   • Mentions — channel messages whose mentionedUserIds include the user
+//   • Direct messages — threads with unreadCount[uid] > 0
+//   • Channel activity — message counts + latest previews per channel in the
+//     user's messageWorkspaces
+//
+// Every email carries a signed one-click unsubscribe link (./digest-token.js,
+// handled by ./digest-unsubscribe.js) plus List-Unsubscribe headers.
+//
+// External URL: /api/send-digests (rewritten to /api/notify?action=digest).
+// Required env: GMAIL_USER, GMAIL_APP_PASSWORD, CRON_SECRET (DIGEST_SECRET
+// optional — signs unsubscribe links).
+// Firestore: enable the collection-group single-field index on
+// settings.digest (Console → Indexes → Single field → Add exemption).
+
+const { admin, adminDb } = require('../firebase-admin');
+const { getTransporter, mailConfigured, fromAddress } = require('../mailer');
+const { unsubscribeUrl, BASE_URL } = require('./digest-token');
+
+const PERIOD_MS = { daily: 24 * 3600 * 1000, weekly: 7 * 24 * 3600 * 1000 };
+const RESEND_SLACK_MS = 2 * 3600 * 1000;  // cron drift tolerance
+const TIME_BUDGET_MS = 50 * 1000;         // notify function maxDuration is 60s
+const MESSAGES_PER_CHANNEL = 50;
+const PREVIEWS_PER_CHANNEL = 3;
+
+function escapeHtml(s) {
+  return String(s || '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[c]);
+}
+
+function clip(s, n = 140) {
+  const t = String(s || '').replace(/\s+/g, ' ').trim();
+  return t.length > n ? t.substring(0, n) + '…' : t;
+}
+
+function toMillis(ts) {
+  return ts && ts.toMillis ? ts.toMillis() : 0;
+}
+
+// Channel messages are shared by every member, so cache them for the run.
+function channelCache() {
+  const cache = new Map();
+  return async (workspaceId, channelId, sinceMs) => {
+    const key = `${workspaceId}/${channelId}/${sinceMs}`;
+    if (!cache.has(key)) {
+      cache.set(key, adminDb.collection('messageWorkspaces').doc(workspaceId)
+        .collection('channels').doc(channelId).collection('messages')
+        .where('createdAt', '>', admin.firestore.Timestamp.fromMillis(sinceMs))
+        .orderBy('createdAt', 'desc')
+        .limit(MESSAGES_PER_CHANNEL)
+        .get()
+        .then((snap) => snap.docs.map((d) => d.data())));
+    }
+    return cache.get(key);
+  };
+}
+
+async function collectDigest(uid, sinceMs, channelMessages) {
+  const digest = { mentions: [], dms: [], channels: [] };
+
+  const wsSnap = await adminDb.collection('messageWorkspaces')
+    .where('memberIds', 'array-contains', uid).get();
+  for (const ws of wsSnap.docs) {
+    const chSnap = await ws.ref.collection('channels').get();
+    for (const ch of chSnap.docs) {
+      const c = ch.data();
+      if (c.isPublic === false && !(c.memberIds || []).includes(uid)) continue;
+      const msgs = (await channelMessages(ws.id, ch.id, sinceMs)).filter((m) => m.senderId !== uid);
+      if (!msgs.length) continue;
+      const label = `${ws.data().name || 'Workspace'} · #${c.name || 'channel'}`;
+      msgs.forEach((m) => {
+        if ((m.mentionedUserIds || []).includes(uid)) {
+          digest.mentions.push({ where: label, from: m.senderName || 'Someone', text: clip(m.text) });
+        }
+      });
+      digest.channels.push({
+        where: label,
+        count: msgs.length,
+        previews: msgs.slice(0, PREVIEWS_PER_CHANNEL).map((m) => ({ from: m.senderName || 'Someone', text: clip(m.text, 100) })),
+      });
+    }
+  }
+
+  const threadSnap = await adminDb.collection('messages_threads')
+    .where('participantIds', 'array-contains', uid).get();
+  threadSnap.docs.forEach((t) => {
+    const x = t.data();
+    const unread = (x.unreadCount || {})[uid] || 0;
+    if (unread > 0 && toMillis(x.lastMessageAt) > sinceMs) {
+      const names = x.participantNames || {};
+      const otherId = (x.participantIds || []).find((id) => id !== uid);
+      digest.dms.push({ from: names[otherId] || x.title || 'A conversation', unread, text: clip(x.lastMessage) });
+    }
+  });
+
+  digest.channels.sort((a, b) => b.count - a.count);
+  return digest;
+}
+
+function renderDigest(user, digest, frequency, unsubUrl) {
+  const name = user.firstName || user.username || 'there';
+  const period = frequency === 'weekly' ? 'this week' : 'today';
+  const subject = digest.mentions.length
+    ? `You were mentioned ${digest.mentions.length} time${digest.mentions.length === 1 ? '' : 's'} on Nave ${period}`
+    : `Your Nave ${frequency} digest`;
+
+  const section = (title, rows) => rows.length
+    ? `<h3 style="margin:24px 0 8px;font-size:16px;color:#111">${title}</h3>${rows.join('')}`
+    : '';
+  const row = (head, body) => `<div style="padding:8px 0;border-bottom:1px solid #eee">`
+    + `<div style="font-size:13px;color:#666">${head}</div><div style="font-size:15px;color:#111">${body}</div></div>`;
+
+  const html = [
+    `<div style="font-family:-apple-system,Helvetica,Arial,sans-serif;max-width:560px;margin:0 auto;padding:16px">`,
+    `<p style="font-size:15px">Hi ${escapeHtml(name)}, here's what you missed on Nave ${period}.</p>`,
+    section('Mentions', digest.mentions.map((m) => row(`${escapeHtml(m.from)} in ${escapeHtml(m.where)}`, escapeHtml(m.text)))),
+    section('Direct messages', digest.dms.map((d) => row(`${escapeHtml(d.from)} · ${d.unread} unread`, escapeHtml(d.text)))),
+    section('Channel activity', digest.channels.map((c) => row(
+      `${escapeHtml(c.where)} · ${c.count} new message${c.count === 1 ? '' : 's'}`,
+      c.previews.map((p) => `<b>${escapeHtml(p.from)}:</b> ${escapeHtml(p.text)}`).join('<br>'),
+    ))),
+    `<p style="margin-top:24px"><a href="${BASE_URL}/engage" style="color:#b3261e">Open Nave</a></p>`,
+    `<p style="font-size:12px;color:#999;margin-top:32px">You're getting this because you turned on the ${frequency} digest. `,
+    `<a href="${unsubUrl}" style="color:#999">Unsubscribe</a></p>`,
+    `</div>`,
+  ].join('\n');
+
+  const text = [
+    `Hi ${name}, here's what you missed on Nave ${period}.`,
+    '',
+    ...(digest.mentions.length ? ['MENTIONS', ...digest.mentions.map((m) => `- ${m.from} in ${m.where}: ${m.text}`), ''] : []),
+    ...(digest.dms.length ? ['DIRECT MESSAGES', ...digest.dms.map((d) => `- ${d.from} (${d.unread} unread): ${d.text}`), ''] : []),
+    ...(digest.channels.length ? ['CHANNEL ACTIVITY', ...digest.channels.map((c) => `- ${c.where}: ${c.count} new`), ''] : []),
+    `Open Nave: ${BASE_URL}/engage`,
+    `Unsubscribe: ${unsubUrl}`,
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+module.exports = async (req, res) => {
+  if (!mailConfigured()) {
+    return res.status(500).json({ error: 'Gmail credentials not configured' });
+  }
+
+  const started = Date.now();
+
+  try {
+    const prefsSnap = await adminDb.collectionGroup('settings')
+      .where('digest', 'in', Object.keys(PERIOD_MS))
+      .get();
+
+    const channelMessages = channelCache();
+    const transporter = getTransporter();
+    const sent = [];
+    const empty = [];
+    const failed = [];
+    let deferred = 0;
+
+    for (const prefDoc of prefsSnap.docs) {
+      if (prefDoc.id !== 'notifications') continue;
+      const userRef = prefDoc.ref.parent.parent;
+      if (!userRef || userRef.parent.id !== 'users') continue;
+      const uid = userRef.id;
+      const prefs = prefDoc.data();
+      const frequency = prefs.digest;
+
+      const lastSent = toMillis(prefs.digestLastSentAt);
+      if (lastSent && Date.now() - lastSent < PERIOD_MS[frequency] - RESEND_SLACK_MS) continue;
+      if (Date.now() - started > TIME_BUDGET_MS) { deferred++; continue; }
+
+      try {
+        const userSnap = await userRef.get();
+        const user = userSnap.exists ? userSnap.data() : {};
+        if (!user.email) continue;
+
+        const sinceMs = lastSent || Date.now() - PERIOD_MS[frequency];
+        const digest = await collectDigest(uid, sinceMs, channelMessages);
+        const stamp = { digestLastSentAt: admin.firestore.FieldValue.serverTimestamp() };
+
+        if (!digest.mentions.length && !digest.dms.length && !digest.channels.length) {
+          // Nothing to say — stamp anyway so the window moves forward.
+          await prefDoc.ref.set(stamp, { merge: true });
+          empty.push(uid);
+          continue;
+        }
+
+        const unsubUrl = unsubscribeUrl(uid);
+        const { subject, html, text } = renderDigest(user, digest, frequency, unsubUrl);
+        await transporter.sendMail({
+          from: fromAddress('Nave'),
+          to: user.email,
+          subject,
+          html,
+          text,
+          headers: {
+            'List-Unsubscribe': `<${unsubUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+          },
+        });
+        // Stamp AFTER a successful send so an SMTP failure retries next run.
+        await prefDoc.ref.set(stamp, { merge: true });
+        sent.push(uid);
+      } catch (e) {
+        console.error(`[digest] failed for ${uid}:`, e.message);
+        failed.push({ uid, error: e.message });
+      }
+    }
+
+    return res.status(200).json({
+      ok: true,
+      subscribers: prefsSnap.size,
+      sent: sent.length,
+      empty: empty.length,
+      failed: failed.length,
+      deferred,
+      failures: failed,
+    });
+  } catch (err) {
+    console.error('[digest] error:', err);
+    return res.status(500).json({ error: 'Internal error', message: err.message });
+  }
+};
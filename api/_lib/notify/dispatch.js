@@ -0,0 +1,282 @@
+// Single notification dispatcher. Every notify handler (message, channel,
+// added, reply, feedback, mentor-request, …) describes WHAT happened as a typed notification;
+// this module decides WHO hears about it and HOW, then fans out to:
+//
+//   inApp — users/{uid}/activity_notifications (the in-app feed)
+//   push  — FCM to every registered device (./fcm-tokens.js), browsers included
+//   email — nodemailer: on by default for a few types (TYPES), and for any
+//           other type a user opts in to
+//
+// Per-user preferences live in users/{uid}/settings/notifications:
+//
+//   {
+//     mutedThreads:    [threadId],
+//     mutedChannels:   ['<workspaceId>/<channelId>'],
+//     mutedWorkspaces: [workspaceId],
+//     mentionsOnly:    false,          // channel messages push only on @mention
+//     quietHours:      { start: '22:00', end: '07:00', timeZone: 'America/Chicago' },
+//     types:           { channel_message: { push: false, email: true }, … },
+//     digest:          'daily'|'weekly'|'off',   // email digest (./digest.js)
+//   }
+//
+// The type's defaults, adjusted by the recipient's `types` entry, are the
+// starting channels: a user can turn push or email on or off for any type,
+// and turn the in-app record off (a type without one never gets one). Then
+// POLICIES are applied in order. Each looks at the notification, the
+// recipient and their prefs, and may switch channels off (never on). Add a
+// rule by adding a policy, not by special-casing a handler.
+
+const { admin, adminDb } = require('../firebase-admin');
+const { getTransporter, mailConfigured, fromAddress } = require('../mailer');
+const { sendToUser } = require('./fcm-tokens');
+const { badgeCount } = require('./badge');
+
+// Default channels per type. `inApp: false` means the type never writes an
+// activity record (channel chatter would flood the feed).
+const TYPES = {
+  direct_message:     { inApp: true,  push: true, email: false },
+  channel_message:    { inApp: false, push: true, email: false },
+  added_to_workspace: { inApp: true,  push: true, email: false },
+  feedback_reply:     { inApp: true,  push: true, email: false },
+  mentor_request:     { inApp: true,  push: true, email: true },
+  missed_call:        { inApp: true,  push: true, email: false },
+  huddle_reminder:    { inApp: true,  push: true, email: false },
+  booking_update:     { inApp: true,  push: true, email: true },
+  account_update:     { inApp: true,  push: true, email: true },
+  donation:           { inApp: true,  push: true, email: false },
+};
+
+const ENGAGE_URL = `${process.env.PUBLIC_BASE_URL || 'https://catholicnave.com'}/engage`;
+
+// Above this member count, a channel is "busy": only @mentions push.
+const QUIET_THRESHOLD = 20;
+
+// ── Policies ────────────────────────────────────────────────────────
+// (n, prefs) => { inApp?, push?, email? } overrides (false only), plus an
+// optional `reason` for the dispatch report.
+
+// The starting channels for one recipient: TYPES[n.type] with their
+// per-type preference applied.
+function typeChannels(n, prefs) {
+  const base = TYPES[n.type];
+  const t = (prefs.types || {})[n.type] || {};
+  const out = {
+    inApp: base.inApp && t.inApp !== false,
+    push: typeof t.push === 'boolean' ? t.push : base.push,
+    email: typeof t.email === 'boolean' ? t.email : base.email,
+    reasons: [],
+  };
+  if ((base.inApp && !out.inApp) || (base.push && !out.push) || (base.email && !out.email)) {
+    out.reasons.push('type disabled');
+  }
+  return out;
+}
+
+function minutesInZone(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (t) => parseInt(parts.find((p) => p.type === t).value, 10);
+  return get('hour') * 60 + get('minute');
+}
+
+function parseHHMM(s) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(s || ''));
+  return m ? parseInt(m[1], 10) * 60 + parseInt(m[2], 10) : null;
+}
+
+function inQuietHours(quietHours, now = new Date()) {
+  if (!quietHours) return false;
+  const start = parseHHMM(quietHours.start);
+  const end = parseHHMM(quietHours.end);
+  if (start == null || end == null || start === end) return false;
+  let current;
+  try {
+    current = minutesInZone(now, quietHours.timeZone || 'America/New_York');
+  } catch {
+    return false; // unknown timezone string — ignore rather than silence everything
+  }
+  // Window may wrap midnight (22:00 → 07:00).
+  return start < end ? current >= start && current < end : current >= start || current < end;
+}
+
+const POLICIES = [
+  function muted(n, prefs) {
+    const c = n.context || {};
+    const mutedThread = c.threadId && (prefs.mutedThreads || []).includes(c.threadId);
+    const mutedChannel = c.channelId && (prefs.mutedChannels || []).includes(`${c.workspaceId}/${c.channelId}`);
+    const mutedWorkspace = c.workspaceId && (prefs.mutedWorkspaces || []).includes(c.workspaceId);
+    // A direct @mention cuts through channel/workspace mutes.
+    if (mutedThread || ((mutedChannel || mutedWorkspace) && !n.mention)) {
+      return { push: false, email: false, reason: 'muted' };
+    }
+    return null;
+  },
+
+  function busyChannel(n) {
+    if (n.type !== 'channel_message' || n.mention) return null;
+    if ((n.context || {}).memberCount > QUIET_THRESHOLD) {
+      return { push: false, reason: 'channel too busy, no mention' };
+    }
+    return null;
+  },
+
+  function mentionsOnly(n, prefs) {
+    if (n.type !== 'channel_message' || n.mention || !prefs.mentionsOnly) return null;
+    return { push: false, reason: 'mentions only' };
+  },
+
+  // The caller already sent its own, richer email (e.g. a booking receipt).
+  function emailSent(n) {
+    return n.emailSent ? { email: false, reason: 'emailed separately' } : null;
+  },
+
+  // Not worth an email at all (e.g. a card decline the buyer just saw).
+  function pushOnly(n) {
+    return n.pushOnly ? { email: false, reason: 'push only' } : null;
+  },
+
+  function quietHours(n, prefs) {
+    if (!inQuietHours(prefs.quietHours)) return null;
+    return { push: false, reason: 'quiet hours' };
+  },
+];
+
+function decide(n, prefs) {
+  const out = typeChannels(n, prefs);
+  for (const policy of POLICIES) {
+    const r = policy(n, prefs);
+    if (!r) continue;
+    let changed = false;
+    for (const ch of ['inApp', 'push', 'email']) {
+      if (r[ch] === false && out[ch]) { out[ch] = false; changed = true; }
+    }
+    if (changed && r.reason) out.reasons.push(r.reason);
+  }
+  return out;
+}
+
+// ── Channels ────────────────────────────────────────────────────────
+
+async function writeInApp(uid, n) {
+  await adminDb.collection('users').doc(uid).collection('activity_notifications').add({
+    type: n.type,
+    title: n.title,
+    body: n.body,
+    ...(n.record || {}),
+    isRead: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+function stringData(n) {
+  const data = { type: n.type };
+  for (const [k, v] of Object.entries(n.data || {})) {
+    if (v !== undefined && v !== null) data[k] = String(v);
+  }
+  return data;
+}
+
+// Where a web notification click lands; engage.js opens ?thread= directly.
+function webLink(n) {
+  const threadId = (n.context || {}).threadId;
+  return threadId ? `${ENGAGE_URL}?thread=${encodeURIComponent(threadId)}` : ENGAGE_URL;
+}
+
+// The badge is computed after the in-app record is written, so it already
+// includes this notification.
+async function sendPush(uid, user, n) {
+  try {
+    const badge = await badgeCount(uid);
+    const r = await sendToUser(uid, user, {
+      notification: { title: n.title, body: n.body },
+      data: stringData(n),
+      apns: { payload: { aps: { sound: 'default', badge } } },
+      webpush: {
+        notification: { icon: '/assets/favicon-192.png' },
+        fcmOptions: { link: webLink(n) },
+      },
+    });
+    if (r.sent > 0) return { push: true };
+    return { push: false, reason: r.pruned ? 'stale token' : 'no fcm token' };
+  } catch (err) {
+    console.error(`[dispatch] push failed (${n.type}):`, err.code, err.message);
+    return { push: false, reason: err.code || 'push failed' };
+  }
+}
+
+async function sendEmail(user, n) {
+  if (!user.email || !mailConfigured()) return { email: false };
+  try {
+    await getTransporter().sendMail({
+      from: fromAddress(),
+      to: user.email,
+      subject: n.title,
+      text: [n.body, '', `Open Nave to reply: ${ENGAGE_URL}`, '', '— The Nave Team'].join('\n'),
+    });
+    return { email: true };
+  } catch (err) {
+    console.error(`[dispatch] email failed (${n.type}):`, err.message);
+    return { email: false };
+  }
+}
+
+// ── Entry point ─────────────────────────────────────────────────────
+
+// n: {
+//   type, recipients: [uid], actorId?, title, body,
+//   mention?: bool,                    // recipients were @mentioned
+//   emailSent?: bool,                  // caller emailed them already; skip ours
+//   pushOnly?: bool,                   // push / in-app, never email
+//   context?: { threadId, workspaceId, channelId, memberCount },
+//   record?: {…}                       // extra fields on the activity doc
+//   data?: {…}                         // FCM data payload (stringified)
+// }
+// Returns { recipients, inApp, pushed, emailed, results: [{ id, …, reasons }] }.
+async function dispatch(n) {
+  if (!TYPES[n.type]) throw new Error(`Unknown notification type: ${n.type}`);
+
+  const uids = [...new Set(n.recipients || [])].filter((id) => id && id !== n.actorId);
+  if (!uids.length) return { recipients: 0, inApp: 0, pushed: 0, emailed: 0, results: [] };
+
+  const userRefs = uids.map((id) => adminDb.collection('users').doc(id));
+  const prefRefs = userRefs.map((ref) => ref.collection('settings').doc('notifications'));
+  const snaps = await adminDb.getAll(...userRefs, ...prefRefs);
+  const userSnaps = snaps.slice(0, uids.length);
+  const prefSnaps = snaps.slice(uids.length);
+
+  const results = await Promise.all(uids.map(async (uid, i) => {
+    const user = userSnaps[i].exists ? userSnaps[i].data() : {};
+    const prefs = prefSnaps[i].exists ? prefSnaps[i].data() : {};
+    // Quiet hours without an explicit zone follow the profile's timezone.
+    if (prefs.quietHours && !prefs.quietHours.timeZone && user.timeZone) {
+      prefs.quietHours = { ...prefs.quietHours, timeZone: user.timeZone };
+    }
+    const d = decide(n, prefs);
+    const result = { id: uid, inApp: false, push: false, email: false, reasons: d.reasons };
+
+    if (d.inApp) {
+      await writeInApp(uid, n);
+      result.inApp = true;
+    }
+    if (d.push) {
+      const p = await sendPush(uid, user, n);
+      result.push = p.push;
+      if (p.reason) result.reasons.push(p.reason);
+    }
+    if (d.email) {
+      result.email = (await sendEmail(user, n)).email;
+    }
+    return result;
+  }));
+
+  return {
+    recipients: results.length,
+    inApp: results.filter((r) => r.inApp).length,
+    pushed: results.filter((r) => r.push).length,
+    emailed: results.filter((r) => r.email).length,
+    results,
+  };
+}
+
+module.exports = { dispatch, decide, inQuietHours, TYPES, QUIET_THRESHOLD };
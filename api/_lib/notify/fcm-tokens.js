@@ -0,0 +1,104 @@
+// Multi-device FCM tokens. Each device a user signs in on registers its own
+// token under users/{uid}/fcmTokens/{id}:
+//
+//   { token, platform: 'ios'|'ipados'|'android'|'web', appVersion, lastSeen }
+//
+// The doc id is a hash of the token, so re-registering the same device just
+// refreshes lastSeen. Sends go out with sendEachForMulticast and any token FCM
+// reports as dead is deleted on the spot instead of failing forever.
+//
+// Browsers (engage.html) register FCM web tokens here too, as platform 'web',
+// so every send reaches desktop users without a separate Web Push path.
+//
+// Migration: older app builds still write the single users/{uid}.fcmToken
+// field. The first time we send to such a user, that token is copied into the
+// subcollection (platform 'legacy') and the field is removed, so nothing is
+// lost and the legacy field drains as users are notified.
+
+const crypto = require('crypto');
+const { admin, adminDb } = require('../firebase-admin');
+
+const PLATFORMS = ['ios', 'ipados', 'android', 'web', 'legacy'];
+// Everything that can take a silent/background push. Browsers can't — a push
+// that shows nothing is replaced by a generic "site updated" notification.
+const NATIVE_PLATFORMS = PLATFORMS.filter((p) => p !== 'web');
+const DEAD_TOKEN_CODES = new Set([
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+]);
+
+function tokenId(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').slice(0, 40);
+}
+
+function tokensRef(uid) {
+  return adminDb.collection('users').doc(uid).collection('fcmTokens');
+}
+
+async function registerToken(uid, { token, platform, appVersion }) {
+  await tokensRef(uid).doc(tokenId(token)).set({
+    token,
+    platform: PLATFORMS.includes(platform) ? platform : 'ios',
+    appVersion: appVersion ? String(appVersion).slice(0, 32) : null,
+    lastSeen: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+}
+
+async function unregisterToken(uid, token) {
+  await tokensRef(uid).doc(tokenId(token)).delete();
+}
+
+// All live tokens for a user, migrating the legacy field if present. `user`
+// is the already-loaded users/{uid} data, when the caller has it. Pass
+// `platforms` to only return tokens registered for those platforms.
+async function tokensFor(uid, user, { platforms } = {}) {
+  const snap = await tokensRef(uid).get();
+  const tokens = snap.docs
+    .map((d) => d.data())
+    .filter((t) => t.token && (!platforms || platforms.includes(t.platform)))
+    .map((t) => t.token);
+
+  const legacy = user ? user.fcmToken : null;
+  if (legacy) {
+    if (!tokens.includes(legacy) && (!platforms || platforms.includes('legacy'))) {
+      tokens.push(legacy);
+    }
+    if (!snap.docs.some((d) => d.data().token === legacy)) {
+      await tokensRef(uid).doc(tokenId(legacy)).set({
+        token: legacy,
+        platform: 'legacy',
+        appVersion: null,
+        lastSeen: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+    }
+    await adminDb.collection('users').doc(uid).update({
+      fcmToken: admin.firestore.FieldValue.delete(),
+    });
+  }
+  return tokens;
+}
+
+// Sends one message to every device of a user. `message` is an FCM message
+// without `token`/`tokens`; `platforms` narrows the devices as in tokensFor.
+// Returns { sent, failed, pruned }.
+async function sendToUser(uid, user, message, { platforms } = {}) {
+  const tokens = await tokensFor(uid, user, { platforms });
+  if (!tokens.length) return { sent: 0, failed: 0, pruned: 0 };
+
+  const resp = await admin.messaging().sendEachForMulticast({ ...message, tokens });
+
+  const dead = [];
+  resp.responses.forEach((r, i) => {
+    if (!r.success && r.error && DEAD_TOKEN_CODES.has(r.error.code)) dead.push(tokens[i]);
+    else if (!r.success && r.error) console.error(`[fcm-tokens] send to ${uid} failed:`, r.error.code, r.error.message);
+  });
+  if (dead.length) {
+    const batch = adminDb.batch();
+    dead.forEach((t) => batch.delete(tokensRef(uid).doc(tokenId(t))));
+    await batch.commit();
+  }
+
+  return { sent: resp.successCount, failed: resp.failureCount, pruned: dead.length };
+}
+
+module.exports = { registerToken, unregisterToken, tokensFor, sendToUser, PLATFORMS, NATIVE_PLATFORMS };
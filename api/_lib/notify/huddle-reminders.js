@@ -0,0 +1,70 @@
+// Reminder push ~10 minutes before each scheduled huddle (./huddle.js), to
+// every member of the huddle's channel. Each huddle is stamped with
+// reminderSentAt so it's reminded once, however often this runs.
+//
+// Minute-level timing needs a scheduler that fires every few minutes, and
+// Vercel Hobby crons are daily-only — so this isn't in vercel.json `crons`:
+// .github/workflows/huddle-reminders.yml calls it every 5 minutes with
+// `Authorization: Bearer $CRON_SECRET`.
+//
+// External URL: /api/huddle-reminders (rewritten to
+// /api/notify?action=huddle-reminders).
+// Firestore: needs a collection-group composite index on huddles
+// (status ASC, reminderSentAt ASC, startAt ASC).
+
+const { admin, adminDb } = require('../firebase-admin');
+const { channelMembers } = require('./membership');
+const { dispatch } = require('./dispatch');
+
+const LEAD_MS = 10 * 60 * 1000;
+// Catch up on anything a late run skipped (GitHub's scheduler can run
+// several minutes late), but don't remind for a huddle that's long started.
+const GRACE_MS = 10 * 60 * 1000;
+
+module.exports = async (req, res) => {
+  try {
+    const now = Date.now();
+    const snap = await adminDb.collectionGroup('huddles')
+      .where('status', '==', 'scheduled')
+      .where('reminderSentAt', '==', null)
+      .where('startAt', '<=', admin.firestore.Timestamp.fromMillis(now + LEAD_MS))
+      .where('startAt', '>', admin.firestore.Timestamp.fromMillis(now - GRACE_MS))
+      .get();
+
+    const reminded = [];
+    for (const doc of snap.docs) {
+      const huddle = doc.data();
+      const channelRef = doc.ref.parent.parent;
+      const workspaceId = channelRef.parent.parent.id;
+      const channelId = channelRef.id;
+
+      // Claim it first so overlapping runs don't double-remind.
+      const claimed = await adminDb.runTransaction(async (tx) => {
+        const fresh = await tx.get(doc.ref);
+        if (!fresh.exists || fresh.data().reminderSentAt) return false;
+        tx.update(doc.ref, { reminderSentAt: admin.firestore.FieldValue.serverTimestamp() });
+        return true;
+      });
+      if (!claimed) continue;
+
+      const ch = await channelMembers(workspaceId, channelId);
+      if (!ch) continue;
+      const minutes = Math.max(1, Math.round((huddle.startAt.toMillis() - now) / 60000));
+      const report = await dispatch({
+        type: 'huddle_reminder',
+        recipients: ch.members,
+        title: `Huddle in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+        body: `${huddle.title} · #${ch.channel.name || 'channel'}`,
+        context: { workspaceId, channelId, memberCount: ch.members.length },
+        record: { huddleId: doc.id, workspaceId, channelId, callId: huddle.roomName },
+        data: { huddleId: doc.id, workspaceId, channelId, callId: huddle.roomName },
+      });
+      reminded.push({ huddleId: doc.id, recipients: report.recipients, pushed: report.pushed });
+    }
+
+    return res.status(200).json({ ok: true, due: snap.size, reminded });
+  } catch (err) {
+    console.error('[huddle-reminders] error:', err);
+    return res.status(500).json({ error: 'Internal error', message: err.message });
+  }
+};
@@ -0,0 +1,171 @@
+// Scheduled channel huddles (e.g. the Sent network's weekly mastermind).
+// A workspace member picks a channel, start time and agenda; every channel
+// member gets a calendar invite by email, a reminder push ten minutes before
+// (./huddle-reminders.js), and joins through /api/call-token like any huddle.
+//
+// Stored at messageWorkspaces/{ws}/channels/{ch}/huddles/{huddleId}:
+//   { title, agenda, startAt, endAt, durationMinutes, hostId, hostName,
+//     roomName: 'huddle_<huddleId>', status: 'scheduled'|'cancelled',
+//     reminderSentAt: null, sequence, createdAt }
+// plus a matching calls/huddle_<huddleId> doc (type 'huddle', workspaceId,
+// channelId, scheduledFor) so call-token authorizes it by channel membership.
+//
+// External URL: /api/schedule-huddle (rewritten to /api/notify?action=huddle)
+//   POST   { workspaceId, channelId, title, agenda?, startAt (ISO), durationMinutes? }
+//   DELETE { workspaceId, channelId, huddleId }   — host cancels; sends CANCEL
+// Method, Firebase auth and body shape are enforced by the router guards.
+
+const { admin, adminDb } = require('../firebase-admin');
+const { getTransporter, mailConfigured, fromAddress } = require('../mailer');
+const { buildIcs } = require('../ics');
+const { channelMembers, displayName } = require('./membership');
+
+const ENGAGE_URL = `${process.env.PUBLIC_BASE_URL || 'https://catholicnave.com'}/engage`;
+const MAX_AHEAD_MS = 366 * 24 * 3600 * 1000;
+const BCC_CHUNK = 50;
+
+function huddlesRef(workspaceId, channelId) {
+  return adminDb.collection('messageWorkspaces').doc(workspaceId)
+    .collection('channels').doc(channelId).collection('huddles');
+}
+
+// One invite per chunk of BCC'd members: the ICS carries no attendee list,
+// so a single message works for everyone and Gmail sends far fewer mails.
+async function emailInvite(memberIds, huddle, huddleId, channelName, method) {
+  if (!mailConfigured() || !memberIds.length) return 0;
+  const snaps = await adminDb.getAll(...memberIds.map((uid) => adminDb.collection('users').doc(uid)));
+  const emails = snaps.map((s) => s.exists && s.data().email).filter(Boolean);
+  if (!emails.length) return 0;
+
+  const cancelled = method === 'CANCEL';
+  const ics = buildIcs({
+    id: `huddle-${huddleId}`,
+    start: huddle.startAt.toDate(),
+    end: huddle.endAt.toDate(),
+    summary: `${huddle.title} (#${channelName})`,
+    description: [huddle.agenda, `Join in Nave: ${ENGAGE_URL}`].filter(Boolean).join('\n\n'),
+    location: 'Nave huddle',
+    url: ENGAGE_URL,
+    organizer: { name: huddle.hostName, email: process.env.GMAIL_USER },
+    method,
+    sequence: huddle.sequence || 0,
+  });
+  const when = huddle.startAt.toDate().toUTCString();
+  const text = cancelled
+    ? `${huddle.hostName} cancelled "${huddle.title}" in #${channelName} (${when}).`
+    : [`${huddle.hostName} scheduled a huddle in #${channelName}.`, '', huddle.title, when, '',
+      huddle.agenda || '', '', `Join in Nave: ${ENGAGE_URL}`].join('\n');
+
+  const transporter = getTransporter();
+  let sent = 0;
+  for (let i = 0; i < emails.length; i += BCC_CHUNK) {
+    const bcc = emails.slice(i, i + BCC_CHUNK);
+    await transporter.sendMail({
+      from: fromAddress('Nave Huddles'),
+      to: fromAddress('Nave Huddles'),
+      bcc,
+      subject: `${cancelled ? 'Cancelled: ' : 'Invitation: '}${huddle.title} (#${channelName})`,
+      text,
+      icalEvent: { method, filename: 'huddle.ics', content: ics },
+    });
+    sent += bcc.length;
+  }
+  return sent;
+}
+
+async function schedule(req, res, ctx, members, channel) {
+  const { workspaceId, channelId, title, agenda, startAt, durationMinutes = 60 } = ctx.body;
+  const start = Date.parse(startAt || '');
+  if (!Number.isFinite(start)) return res.status(400).json({ error: 'startAt must be an ISO date-time' });
+  if (start < Date.now() || start > Date.now() + MAX_AHEAD_MS) {
+    return res.status(400).json({ error: 'startAt must be in the future (within a year)' });
+  }
+
+  const ref = huddlesRef(workspaceId, channelId).doc();
+  const roomName = `huddle_${ref.id}`;
+  const hostName = await displayName(ctx.uid);
+  const huddle = {
+    title: title.trim(),
+    agenda: (agenda || '').trim(),
+    startAt: admin.firestore.Timestamp.fromMillis(start),
+    endAt: admin.firestore.Timestamp.fromMillis(start + durationMinutes * 60 * 1000),
+    durationMinutes,
+    hostId: ctx.uid,
+    hostName,
+    roomName,
+    status: 'scheduled',
+    reminderSentAt: null,
+    sequence: 0,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  const batch = adminDb.batch();
+  batch.set(ref, huddle);
+  batch.set(adminDb.collection('calls').doc(roomName), {
+    type: 'huddle',
+    hostId: ctx.uid,
+    hostName,
+    title: `#${channel.name || 'channel'}`,
+    workspaceId,
+    channelId,
+    scheduledHuddleId: ref.id,
+    scheduledFor: huddle.startAt,
+    invitedUserIds: [],
+    isVideo: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await batch.commit();
+
+  let emailed = 0;
+  try {
+    emailed = await emailInvite(members, huddle, ref.id, channel.name || 'channel', 'REQUEST');
+    await ref.update({ invitesSentAt: admin.firestore.FieldValue.serverTimestamp() });
+  } catch (err) {
+    console.error('[huddle] invite email failed:', err.message);
+  }
+
+  return res.status(200).json({ ok: true, huddleId: ref.id, roomName, emailed });
+}
+
+async function cancel(req, res, ctx, members, channel) {
+  const { workspaceId, channelId, huddleId } = ctx.body;
+  if (!huddleId) return res.status(400).json({ error: 'huddleId required' });
+
+  const ref = huddlesRef(workspaceId, channelId).doc(String(huddleId));
+  const snap = await ref.get();
+  if (!snap.exists) return res.status(404).json({ error: 'Huddle not found' });
+  const huddle = snap.data();
+  if (huddle.hostId !== ctx.uid) return res.status(403).json({ error: 'Only the host can cancel this huddle' });
+  if (huddle.status === 'cancelled') return res.status(200).json({ ok: true, unchanged: true });
+
+  const sequence = (huddle.sequence || 0) + 1;
+  const batch = adminDb.batch();
+  batch.update(ref, { status: 'cancelled', sequence, cancelledAt: admin.firestore.FieldValue.serverTimestamp() });
+  batch.set(adminDb.collection('calls').doc(huddle.roomName), { status: 'cancelled' }, { merge: true });
+  await batch.commit();
+
+  let emailed = 0;
+  try {
+    emailed = await emailInvite(members, { ...huddle, sequence }, ref.id, channel.name || 'channel', 'CANCEL');
+  } catch (err) {
+    console.error('[huddle] cancel email failed:', err.message);
+  }
+  return res.status(200).json({ ok: true, cancelled: true, emailed });
+}
+
+module.exports = async (req, res, ctx) => {
+  try {
+    const { workspaceId, channelId } = ctx.body;
+    const ch = await channelMembers(workspaceId, channelId);
+    if (!ch) return res.status(404).json({ error: 'Channel not found' });
+    if (!ch.members.includes(ctx.uid)) {
+      return res.status(403).json({ error: 'Not a member of this channel' });
+    }
+    if (req.method === 'DELETE') return await cancel(req, res, ctx, ch.members, ch.channel);
+    if (!ctx.body.title) return res.status(400).json({ error: 'title required' });
+    return await schedule(req, res, ctx, ch.members, ch.channel);
+  } catch (err) {
+    console.error('huddle error:', err);
+    return res.status(500).json({ error: 'Failed to update huddle' });
+  }
+};
@@ -0,0 +1,39 @@
+// Bulk mark-as-read for the signed-in user's notifications, shared by the web
+// inbox (engage.js) and iOS so both clear the same state. Returns the fresh
+// server-computed badge and pushes it silently to the user's other devices.
+//
+// External URL: POST /api/mark-notifications-read (rewritten to
+// /api/notify?action=mark-read).
+//
+// Body: { ids?: [activityId], all?: true, threadIds?: [threadId] }
+// Method, Firebase auth and body shape are enforced by the router guards.
+
+const { adminDb } = require('../firebase-admin');
+const { markRead, syncBadge } = require('./badge');
+const { threadParticipants } = require('./membership');
+
+module.exports = async (req, res, ctx) => {
+  try {
+    const { ids = [], all = false, threadIds = [] } = ctx.body;
+    if (!ids.length && !all && !threadIds.length) {
+      return res.status(400).json({ error: 'Nothing to mark: pass ids, threadIds or all' });
+    }
+
+    // Only threads the caller is actually in.
+    const ownThreads = [];
+    for (const threadId of threadIds) {
+      const participants = await threadParticipants(threadId);
+      if (participants && participants.includes(ctx.uid)) ownThreads.push(threadId);
+    }
+
+    const updated = await markRead(ctx.uid, { ids, all: all === true, threadIds: ownThreads });
+
+    const userSnap = await adminDb.collection('users').doc(ctx.uid).get();
+    const badge = await syncBadge(ctx.uid, userSnap.exists ? userSnap.data() : null);
+
+    return res.status(200).json({ ok: true, updated, threads: ownThreads.length, badge });
+  } catch (err) {
+    console.error('mark-read error:', err);
+    return res.status(500).json({ error: 'Failed to mark notifications read' });
+  }
+};
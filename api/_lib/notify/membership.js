@@ -0,0 +1,50 @@
+// Authorization lookups shared by the notify handlers. Each answers "is this
+// verified uid allowed to notify about this thread / channel / call?" from
+// Firestore, so the handlers never trust ids the client put in the body.
+//
+//   messages_threads/{threadId}.participantIds
+//   messageWorkspaces/{ws}.memberIds                 (public channels)
+//   messageWorkspaces/{ws}/channels/{ch}.memberIds   (private channels)
+//   calls/{callId}.hostId / invitedUserIds
+
+const { adminDb, adminAuth } = require('../firebase-admin');
+
+// Returns the thread's participant ids, or null if the thread doesn't exist.
+async function threadParticipants(threadId) {
+  const snap = await adminDb.collection('messages_threads').doc(String(threadId)).get();
+  if (!snap.exists) return null;
+  return Array.isArray(snap.data().participantIds) ? snap.data().participantIds : [];
+}
+
+async function workspaceMembers(workspaceId) {
+  const snap = await adminDb.collection('messageWorkspaces').doc(String(workspaceId)).get();
+  if (!snap.exists) return null;
+  return Array.isArray(snap.data().memberIds) ? snap.data().memberIds : [];
+}
+
+// Private channel → its own memberIds; public channel → all workspace
+// members. Returns { channel, members } or null if the channel is missing.
+async function channelMembers(workspaceId, channelId) {
+  const snap = await adminDb.collection('messageWorkspaces').doc(String(workspaceId))
+    .collection('channels').doc(String(channelId)).get();
+  if (!snap.exists) return null;
+  const channel = snap.data();
+  const members = (channel.isPublic === false && Array.isArray(channel.memberIds))
+    ? channel.memberIds
+    : (await workspaceMembers(workspaceId)) || [];
+  return { channel, members };
+}
+
+// Display name from the user doc, so a caller can't push as someone else.
+// Accounts with no profile yet fall back to their Firebase Auth record, never
+// to a name the client sent.
+async function displayName(uid) {
+  const snap = await adminDb.collection('users').doc(uid).get();
+  const u = snap.exists ? snap.data() : {};
+  const full = [u.firstName, u.lastName].filter(Boolean).join(' ').trim();
+  if (full || u.username || u.displayName) return full || u.username || u.displayName;
+  const authUser = await adminAuth.getUser(uid).catch(() => null);
+  return (authUser && authUser.displayName) || 'Someone';
+}
+
+module.exports = { threadParticipants, workspaceMembers, channelMembers, displayName };
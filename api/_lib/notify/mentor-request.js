@@ -0,0 +1,50 @@
+// Push + in-app + email notification when someone asks to connect as mentor
+// or mentee. Called by engage.js after it writes the mentor_matches doc.
+//
+// External URL: POST /api/notify-mentor-request (rewritten to
+// /api/notify?action=mentor-request).
+//
+// Body: { matchId }. Requires a Firebase ID token (router guard). The caller
+// must be the match's requester; the other participant is notified once
+// (the match is stamped `notifiedAt`), and only while it is still pending.
+
+const { adminDb } = require('../firebase-admin');
+const { displayName } = require('./membership');
+const { dispatch } = require('./dispatch');
+
+const SNIPPET = 140;
+
+module.exports = async (req, res, ctx) => {
+  try {
+    const matchRef = adminDb.collection('mentor_matches').doc(req.body.matchId);
+    // Claim the notification in a transaction so a double-click can't send two.
+    const match = await adminDb.runTransaction(async (tx) => {
+      const snap = await tx.get(matchRef);
+      if (!snap.exists || snap.data().requestedByUserId !== ctx.uid) return null;
+      const m = snap.data();
+      if (m.status !== 'pending' || m.notifiedAt) return { ...m, skip: true };
+      tx.update(matchRef, { notifiedAt: new Date() });
+      return m;
+    });
+    if (!match) return res.status(404).json({ error: 'Request not found' });
+    if (match.skip) return res.status(200).json({ success: true, notified: 0, pushed: 0 });
+
+    const recipientId = (match.participantIds || []).find((id) => id !== ctx.uid);
+    const requesterName = await displayName(ctx.uid);
+    const asMentor = match.mentorId === ctx.uid;
+    const intro = String(match.introMessage || '');
+    const report = await dispatch({
+      type: 'mentor_request',
+      recipients: [recipientId],
+      actorId: ctx.uid,
+      title: asMentor ? `${requesterName} offered to mentor you` : `${requesterName} asked you to be their mentor`,
+      body: intro ? (intro.length > SNIPPET ? `${intro.slice(0, SNIPPET)}…` : intro) : 'Open Nave to accept or decline.',
+      record: { matchId: matchRef.id, actorId: ctx.uid, actorName: requesterName },
+      data: { matchId: matchRef.id },
+    });
+    return res.status(200).json({ success: true, notified: report.inApp, pushed: report.pushed });
+  } catch (error) {
+    console.error('mentor request notify error:', error.code, error.message);
+    return res.status(500).json({ error: error.message, code: error.code });
+  }
+};
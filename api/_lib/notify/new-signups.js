@@ -16,26 +16,13 @@
 // To send mail FROM a Workspace address you must generate an App Password at
 // https://myaccount.google.com/apppasswords (requires 2FA enabled).
 
-const nodemailer = require('nodemailer');
+const { getTransporter } = require('../mailer');
 const { admin, adminDb } = require('../firebase-admin');
 
 const RECIPIENTS = ['oliver@catholicnave.com', 'mychal@catholicnave.com'];
 const LOOKBACK_HOURS = 24;
 const MAX_PER_RUN = 50; // Cap so a backflood can't blow past Vercel timeouts.
 
-let cachedTransporter = null;
-function getTransporter() {
-  if (cachedTransporter) return cachedTransporter;
-  cachedTransporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.GMAIL_USER,
-      pass: process.env.GMAIL_APP_PASSWORD,
-    },
-  });
-  return cachedTransporter;
-}
-
 function fmtDate(d) {
   if (!d) return '(unknown)';
   return d.toISOString().replace('T', ' ').slice(0, 19) + ' UTC';
@@ -62,17 +49,7 @@ function buildEmail(user) {
 }
 
 module.exports = async (req, res) => {
-  // Reject hits that aren't Vercel's cron runner (or a manual curl with the
-  // secret). Vercel attaches `Authorization: Bearer ${CRON_SECRET}` for cron
-  // jobs when the env var is set.
-  const cronSecret = process.env.CRON_SECRET;
-  if (cronSecret) {
-    const auth = req.headers['authorization'] || '';
-    if (auth !== `Bearer ${cronSecret}`) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-  }
-
+  // CRON_SECRET bearer is checked by the router's cronSecret() guard.
   if (!process.env.GMAIL_USER || !process.env.GMAIL_APP_PASSWORD) {
     return res.status(500).json({ error: 'Gmail credentials not configured' });
   }
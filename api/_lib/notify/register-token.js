@@ -0,0 +1,27 @@
+// Registers (POST) or removes (DELETE, on sign-out) one device's FCM token for
+// the signed-in user. Each device keeps its own entry in
+// users/{uid}/fcmTokens, so an iPhone, an iPad and a desktop browser
+// (engage.html, platform 'web') all get pushes.
+//
+// External URL: /api/register-fcm-token (rewritten to
+// /api/notify?action=register-token).
+//
+// Body: { token, platform?: 'ios'|'ipados'|'android'|'web', appVersion? }
+// Method, Firebase auth and body shape are enforced by the router guards.
+
+const { registerToken, unregisterToken } = require('./fcm-tokens');
+
+module.exports = async (req, res, ctx) => {
+  try {
+    const { token, platform, appVersion } = ctx.body;
+    if (req.method === 'DELETE') {
+      await unregisterToken(ctx.uid, token);
+      return res.status(200).json({ ok: true, removed: true });
+    }
+    await registerToken(ctx.uid, { token, platform, appVersion });
+    return res.status(200).json({ ok: true });
+  } catch (err) {
+    console.error('register-token error:', err);
+    return res.status(500).json({ error: 'Failed to update FCM token' });
+  }
+};
@@ -0,0 +1,61 @@
+// APNs VoIP pushes (PushKit → CallKit). FCM can't deliver VoIP pushes, so
+// these go straight to APNs with token-based auth (.p8 key). Shared by the
+// initial ring (./voip-push.js) and the cancel push (./call-state.js).
+//
+// Required Vercel env vars:
+//   APNS_AUTH_KEY   — contents of your AuthKey_XXXX.p8 (with real newlines or \n)
+//   APNS_KEY_ID     — the key's 10-char Key ID
+//   APNS_TEAM_ID    — your Apple Developer Team ID
+//   APNS_BUNDLE_ID  — the app bundle id (topic becomes "<bundle>.voip")
+//   APNS_PRODUCTION — "false" to target the APNs sandbox (dev/debug builds);
+//                     defaults to production.
+
+const { adminDb } = require('../firebase-admin');
+
+function voipConfigured() {
+  return Boolean(process.env.APNS_AUTH_KEY && process.env.APNS_KEY_ID
+    && process.env.APNS_TEAM_ID && process.env.APNS_BUNDLE_ID);
+}
+
+// users/{uid}.voipToken for each uid that has one.
+async function voipTokens(uids) {
+  if (!uids.length) return [];
+  const snaps = await adminDb.getAll(...uids.map((uid) => adminDb.collection('users').doc(uid)));
+  return snaps.map((s) => s.exists && s.data().voipToken).filter(Boolean);
+}
+
+// Sends one VoIP push to every uid's device. `expiresIn` is seconds; APNs
+// drops the push after that rather than ringing late. Returns { sent, failed }.
+async function sendVoip(uids, payload, { expiresIn = 30 } = {}) {
+  const tokens = await voipTokens(uids);
+  if (!tokens.length) return { sent: 0, failed: 0 };
+  if (!voipConfigured()) {
+    throw new Error('APNs env not configured (APNS_AUTH_KEY/KEY_ID/TEAM_ID/BUNDLE_ID)');
+  }
+
+  const apn = require('@parse/node-apn');
+  const provider = new apn.Provider({
+    token: {
+      key: process.env.APNS_AUTH_KEY.replace(/\\n/g, '\n'),
+      keyId: process.env.APNS_KEY_ID,
+      teamId: process.env.APNS_TEAM_ID,
+    },
+    production: process.env.APNS_PRODUCTION !== 'false',
+  });
+
+  const note = new apn.Notification();
+  note.topic = `${process.env.APNS_BUNDLE_ID}.voip`;
+  note.pushType = 'voip';
+  note.priority = 10;
+  note.expiry = Math.floor(Date.now() / 1000) + expiresIn;
+  note.payload = payload;
+
+  try {
+    const result = await provider.send(note, tokens);
+    return { sent: result.sent.length, failed: result.failed.length };
+  } finally {
+    provider.shutdown();
+  }
+}
+
+module.exports = { voipConfigured, voipTokens, sendVoip };
@@ -0,0 +1,151 @@
+// Minimal PDF (1.4) writer for the documents we generate server-side: giving
+// statements. Text in the built-in Helvetica / Helvetica-Bold fonts (no
+// embedding), thin rules, US Letter pages. Enough for a receipt-style
+// document without pulling in a PDF dependency.
+//
+// Coordinates are points from the TOP-left corner (PDF's own origin is
+// bottom-left; we flip). Text is WinAnsi (Latin-1 plus the cp1252
+// punctuation block), which covers most Western European names as-is. Other
+// accented Latin letters lose only their accent (Łucja Wąsowska → Lucja
+// Wasowska); anything else (Cyrillic, CJK, …) prints as '?'.
+//
+//   const doc = pdfDocument();
+//   doc.text('Hello', 72, 72, { size: 18, bold: true });
+//   doc.text('$1,000.00', 540, 100, { align: 'right' });
+//   doc.rule(72, 110, 540);
+//   doc.addPage();
+//   const buf = doc.toBuffer();
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Helvetica advance widths (per 1000 units) for the characters we measure
+// most; everything else uses an average. Only used for right/center align
+// and wrapping, so approximate is fine.
+const WIDTHS = {
+  ' ': 278, ',': 278, '.': 278, ':': 278, '-': 333, '(': 333, ')': 333, '/': 278,
+  '$': 556, '0': 556, '1': 556, '2': 556, '3': 556, '4': 556, '5': 556, '6': 556,
+  '7': 556, '8': 556, '9': 556, i: 222, l: 222, j: 222, t: 278, f: 278, r: 333,
+  m: 833, w: 722, M: 833, W: 944,
+};
+const AVERAGE_WIDTH = 540;
+
+// Unicode → WinAnsi 0x80–0x9F, where it differs from Latin-1.
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f,
+};
+// Latin letters with no WinAnsi code that don't decompose into one.
+const UNACCENTED = { 'Ł': 'L', 'ł': 'l', 'Đ': 'D', 'đ': 'd', 'Ħ': 'H', 'ħ': 'h', 'ı': 'i', 'ẞ': 'SS' };
+
+function winAnsiCode(ch) {
+  if (WIN_ANSI[ch]) return WIN_ANSI[ch];
+  const code = ch.codePointAt(0);
+  return code < 0x80 || (code >= 0xa0 && code <= 0xff) ? code : null;
+}
+
+function encodeText(s) {
+  const bytes = [];
+  for (const ch of String(s).normalize('NFC')) {
+    const code = winAnsiCode(ch);
+    if (code !== null) { bytes.push(code); continue; }
+    const plain = (UNACCENTED[ch] || ch.normalize('NFD').replace(/[\u0300-\u036f]/g, ''));
+    const codes = plain && plain !== ch ? [...plain].map(winAnsiCode) : [null];
+    bytes.push(...(codes.includes(null) ? [0x3f] : codes));
+  }
+  // Literal strings escape \ ( ) — written as latin1 bytes.
+  return Buffer.from(bytes).toString('latin1').replace(/[\\()]/g, (c) => `\\${c}`);
+}
+
+function textWidth(s, size, bold = false) {
+  let units = 0;
+  for (const ch of String(s)) units += WIDTHS[ch] || AVERAGE_WIDTH;
+  return (units * (bold ? 1.05 : 1) * size) / 1000;
+}
+
+// Splits text into lines no wider than maxWidth.
+function wrapText(s, maxWidth, size, bold = false) {
+  const lines = [];
+  let line = '';
+  for (const word of String(s).split(/\s+/).filter(Boolean)) {
+    const next = line ? `${line} ${word}` : word;
+    if (line && textWidth(next, size, bold) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function num(n) {
+  return Number(n.toFixed(2)).toString();
+}
+
+function pdfDocument() {
+  const pages = [[]];
+  const current = () => pages[pages.length - 1];
+
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+    textWidth,
+    wrapText,
+
+    // opts: { size = 10, bold = false, align: 'left'|'right'|'center', gray }
+    text(s, x, y, opts = {}) {
+      const size = opts.size || 10;
+      const w = opts.align && opts.align !== 'left' ? textWidth(s, size, opts.bold) : 0;
+      const left = opts.align === 'right' ? x - w : opts.align === 'center' ? x - w / 2 : x;
+      const color = opts.gray != null ? `${num(opts.gray)} g ` : '';
+      current().push(`BT ${color}/${opts.bold ? 'F2' : 'F1'} ${size} Tf ${num(left)} ${num(PAGE_HEIGHT - y)} Td (${encodeText(s)}) Tj ET${color ? ' 0 g' : ''}`);
+    },
+
+    rule(x1, y, x2, { width = 0.5, gray = 0.75 } = {}) {
+      current().push(`q ${num(gray)} G ${num(width)} w ${num(x1)} ${num(PAGE_HEIGHT - y)} m ${num(x2)} ${num(PAGE_HEIGHT - y)} l S Q`);
+    },
+
+    addPage() {
+      pages.push([]);
+    },
+
+    pageCount() {
+      return pages.length;
+    },
+
+    toBuffer() {
+      // Object numbers: 1 catalog, 2 page tree, 3–4 fonts, then a
+      // (page, content) pair per page.
+      const objects = [];
+      const pageRefs = pages.map((_, i) => `${5 + i * 2} 0 R`);
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pages.length} >>`;
+      objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+      pages.forEach((ops, i) => {
+        const content = ops.join('\n');
+        objects[5 + i * 2] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+          + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`;
+        objects[6 + i * 2] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+      });
+
+      let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+      const offsets = [];
+      for (let n = 1; n < objects.length; n++) {
+        offsets[n] = Buffer.byteLength(out, 'latin1');
+        out += `${n} 0 obj\n${objects[n]}\nendobj\n`;
+      }
+      const xref = Buffer.byteLength(out, 'latin1');
+      out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let n = 1; n < objects.length; n++) out += `${String(offsets[n]).padStart(10, '0')} 00000 n \n`;
+      out += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Buffer.from(out, 'latin1');
+    },
+  };
+}
+
+module.exports = { pdfDocument };
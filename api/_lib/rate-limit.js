@@ -0,0 +1,153 @@
+// Shared, Firestore-backed rate limiter for every API handler. Replaces the
+// per-handler in-memory `ipRequests`/`uidRequests` Maps, which reset on every
+// cold start and were multiplied by however many instances Vercel spun up — a
+// scraper hitting /api/ask-gabe effectively had no limit at all.
+//
+// Token bucket per (route, scope, key): each bucket holds up to `limit` tokens
+// and refills continuously at `limit / windowSec` tokens per second, so a
+// client gets a burst of `limit` and then a steady rate. State lives in
+// `rateLimits/{id}` and is updated in a transaction so concurrent instances
+// share one bucket. Keys (IPs, uids) are hashed before they become doc ids.
+// `expiresAt` is stamped on every bucket so a Firestore TTL policy on
+// rateLimits.expiresAt can sweep idle buckets.
+//
+// Usage (after CORS/method guards, before any expensive work):
+//
+//   const { enforceRateLimit } = require('../rate-limit');
+//   if (!(await enforceRateLimit(req, res, 'match'))) return;           // per IP
+//   if (!(await enforceRateLimit(req, res, 'match', { uid }))) return;  // per uid
+//
+// Sets X-RateLimit-Limit / -Remaining / -Reset on every response and
+// Retry-After on a 429. If the Firestore transaction fails — an outage, or
+// contention when one client floods a single bucket, which is exactly when
+// the limit matters — the request is checked against an in-memory bucket for
+// this instance instead, so the limiter degrades to per-instance rather than
+// to no limit at all.
+
+const crypto = require('crypto');
+const { adminDb } = require('./firebase-admin');
+
+// Per-route budgets, all in one place. `ip` applies before auth, `uid` after
+// the Firebase ID token has been verified. Omit a scope to skip it.
+const BUDGETS = {
+  'gabriel':      { ip: { limit: 10, windowSec: 60 } },
+  'ask-gabe':     { ip: { limit: 20, windowSec: 60 } },  // 2 calls per user query
+  'match':        { ip: { limit: 10, windowSec: 60 }, uid: { limit: 10, windowSec: 60 } },
+  'parse-resume': { ip: { limit: 10, windowSec: 60 }, uid: { limit: 5, windowSec: 60 } },
+  'openai-chat':  { uid: { limit: 30, windowSec: 60 } },
+  'openai-embed': { uid: { limit: 120, windowSec: 60 } },
+};
+
+const COLLECTION = 'rateLimits';
+const MEMORY_BUCKET_CAP = 5000;
+
+// Fallback buckets, per warm instance: bucket id → { tokens, updatedAtMs }.
+const memoryBuckets = new Map();
+
+function clientIp(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0]?.trim()
+    || req.headers['x-real-ip']
+    || req.socket?.remoteAddress
+    || 'unknown';
+}
+
+function bucketId(route, scope, key) {
+  const hash = crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 32);
+  return `${route}__${scope}__${hash}`;
+}
+
+function budgetFor(route, scope) {
+  const budget = BUDGETS[route] && BUDGETS[route][scope];
+  if (!budget) throw new Error(`No ${scope} rate-limit budget for route "${route}"`);
+  return budget;
+}
+
+// Refills a stored bucket (or null for a fresh one) up to `now` and takes one
+// token. Returns the new token count and the result for the caller.
+function take({ limit, windowSec }, bucket, now) {
+  const ratePerSec = limit / windowSec;
+  let tokens = limit;
+  if (bucket) {
+    const elapsedSec = Math.max(0, (now - (bucket.updatedAtMs || 0)) / 1000);
+    tokens = Math.min(limit, (bucket.tokens ?? limit) + elapsedSec * ratePerSec);
+  }
+
+  const allowed = tokens >= 1;
+  if (allowed) tokens -= 1;
+
+  return {
+    tokens,
+    result: {
+      allowed,
+      limit,
+      remaining: Math.floor(tokens),
+      resetSec: Math.ceil((limit - tokens) / ratePerSec),
+      retryAfterSec: allowed ? 0 : Math.ceil((1 - tokens) / ratePerSec),
+    },
+  };
+}
+
+// Takes one token from the shared bucket. Returns { allowed, limit,
+// remaining, resetSec, retryAfterSec }.
+async function consume(route, scope, key) {
+  const budget = budgetFor(route, scope);
+  const ref = adminDb.collection(COLLECTION).doc(bucketId(route, scope, key));
+
+  return adminDb.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const now = Date.now();
+    const { tokens, result } = take(budget, snap.exists ? snap.data() : null, now);
+
+    tx.set(ref, {
+      route,
+      scope,
+      tokens,
+      updatedAtMs: now,
+      expiresAt: new Date(now + budget.windowSec * 2 * 1000),
+    });
+    return result;
+  });
+}
+
+// Same bucket, kept in this instance's memory. Used when consume() fails.
+function consumeLocally(route, scope, key) {
+  const id = bucketId(route, scope, key);
+  const now = Date.now();
+  const { tokens, result } = take(budgetFor(route, scope), memoryBuckets.get(id), now);
+  memoryBuckets.delete(id);
+  if (memoryBuckets.size >= MEMORY_BUCKET_CAP) {
+    memoryBuckets.delete(memoryBuckets.keys().next().value); // least recently used
+  }
+  memoryBuckets.set(id, { tokens, updatedAtMs: now });
+  return result;
+}
+
+// Applies the route's budget for one scope and writes the standard headers.
+// Returns true if the request may proceed; otherwise sends the 429 itself and
+// returns false. Pass `{ uid }` to check the per-user budget instead of per-IP.
+async function enforceRateLimit(req, res, route, { uid } = {}) {
+  const scope = uid ? 'uid' : 'ip';
+  const key = uid || clientIp(req);
+
+  let result;
+  try {
+    result = await consume(route, scope, key);
+  } catch (err) {
+    console.error(`[rate-limit] ${route}/${scope} check failed, using the instance's bucket:`, err.message);
+    result = consumeLocally(route, scope, key);
+  }
+
+  res.setHeader('X-RateLimit-Limit', String(result.limit));
+  res.setHeader('X-RateLimit-Remaining', String(result.remaining));
+  res.setHeader('X-RateLimit-Reset', String(result.resetSec));
+
+  if (!result.allowed) {
+    res.setHeader('Retry-After', String(result.retryAfterSec));
+    console.warn(`[rate-limit] ${route}/${scope} limited: ${scope === 'uid' ? uid : key}`);
+    res.status(429).json({ error: 'Too many requests. Please wait a moment and try again.' });
+    return false;
+  }
+  return true;
+}
+
+module.exports = { enforceRateLimit, clientIp, BUDGETS };
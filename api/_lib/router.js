@@ -0,0 +1,37 @@
+// Shared dispatcher for the `?action=` routers (api/stripe.js, notify.js,
+// mentors.js, app.js, content.js). Each router passes a table of
+//
+//   'action-name': { guards: [...], load: () => require('./_lib/<dir>/<file>.js') }
+//
+// The thunk keeps its LITERAL require path in the router file, so Vercel's
+// file tracer still bundles each handler while only the matched one loads.
+// Guards come from ./middleware and run before the handler; the handler is
+// called as handler(req, res, ctx).
+
+const { runGuards } = require('./middleware');
+
+function createRouter(name, actions) {
+  const label = name.charAt(0).toUpperCase() + name.slice(1);
+
+  return async (req, res) => {
+    const action = req.query.action;
+    const entry = Object.prototype.hasOwnProperty.call(actions, action) ? actions[action] : null;
+    if (!entry) {
+      res.status(404).json({ error: `Unknown ${name} action: ${action || '(none)'}` });
+      return;
+    }
+    let handler;
+    try {
+      handler = entry.load();
+    } catch (err) {
+      console.error(`${name} router: failed to load "${action}":`, err);
+      res.status(500).json({ error: `${label} handler failed to load` });
+      return;
+    }
+    const ctx = await runGuards(entry.guards, req, res, { action });
+    if (!ctx) return;
+    return handler(req, res, ctx);
+  };
+}
+
+module.exports = { createRouter };
@@ -0,0 +1,48 @@
+// Stripe Billing Portal for Nave+ subscribers: change card, cancel, download
+// invoices — all hosted by Stripe. Cancelling in the portal comes back
+// through customer.subscription.updated (cancel_at_period_end) and
+// customer.subscription.deleted in api/stripe-webhook.js, exactly like a
+// cancellation made anywhere else.
+//
+// Portal features (cancel at period end, update payment method, invoice
+// history) are set in Stripe Dashboard → Settings → Billing → Customer portal.
+//
+// External URL: POST /api/billing-portal (rewritten to
+// /api/stripe?action=billing-portal). Returns { url } to redirect to.
+// Body: { returnPath?: '/engage' } — a path on this site to come back to.
+// Method, Firebase auth and body shape are enforced by the router guards.
+
+const Stripe = require('stripe');
+const { adminDb } = require('../firebase-admin');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+function getOrigin(req) {
+  const proto = req.headers['x-forwarded-proto'] || 'https';
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  return `${proto}://${host}`;
+}
+
+module.exports = async function handler(req, res, ctx) {
+  const { returnPath } = ctx.body;
+
+  try {
+    const userSnap = await adminDb.collection('users').doc(ctx.uid).get();
+    const stripeCustomerId = userSnap.exists ? userSnap.data().stripeCustomerId : null;
+    if (!stripeCustomerId) {
+      return res.status(404).json({ error: 'No Nave+ billing account found' });
+    }
+
+    // Only same-site paths, so the portal can't bounce users elsewhere.
+    const path = returnPath && /^\/[\w\-/?=&]*$/.test(returnPath) ? returnPath : '/engage';
+    const session = await stripe.billingPortal.sessions.create({
+      customer: stripeCustomerId,
+      return_url: `${getOrigin(req)}${path}`,
+    });
+
+    return res.status(200).json({ url: session.url });
+  } catch (err) {
+    console.error('Error creating billing portal session:', err);
+    return res.status(500).json({ error: 'Failed to open billing portal' });
+  }
+};
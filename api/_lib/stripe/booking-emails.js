@@ -0,0 +1,228 @@
+// Emails for a newly confirmed booking, sent by api/stripe-webhook.js from
+// whichever event created the booking (createBookingOnce returned an id), so
+// each booking is announced once:
+//
+//   buyer    — confirmation: offering, dates, location, amount and how to
+//              reach the provider, with an .ics of the dates when the
+//              offering has them
+//   provider — "new booking" email plus a booking_update activity
+//              notification (whose generic email is skipped, see
+//              ../notify/dispatch.js `emailSent`)
+//
+// Best-effort: failures are logged, never thrown — the booking is already
+// written, and a webhook retry wouldn't send them again anyway. Sent times
+// are stamped on the booking (confirmationEmailedAt, providerEmailedAt).
+
+const { adminDb } = require('../firebase-admin');
+const { getTransporter, mailConfigured, fromAddress } = require('../mailer');
+const { buildIcs } = require('../ics');
+const { findOffering } = require('./capacity');
+const { providerUid, formatAmount, notifyBookingParties } = require('./bookings');
+
+const BASE_URL = process.env.PUBLIC_BASE_URL || 'https://catholicnave.com';
+const DAY_MS = 24 * 3600 * 1000;
+
+function escapeHtml(s) {
+  return String(s || '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[c]);
+}
+
+// Offering dates come from the iOS app (Timestamp) or the web (ISO string).
+function toDate(v) {
+  if (!v) return null;
+  const d = v.toDate ? v.toDate() : (v.seconds ? new Date(v.seconds * 1000) : new Date(v));
+  return isNaN(d.getTime()) ? null : d;
+}
+
+// Offering dates are calendar days, so they're shown (and put in the .ics)
+// as UTC dates rather than shifted into the server's zone.
+function formatDates(start, end) {
+  const fmt = (d) => d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  if (!start) return null;
+  return end && end.getTime() !== start.getTime() ? `${fmt(start)} – ${fmt(end)}` : fmt(start);
+}
+
+function nameOf(user) {
+  const full = [user.firstName, user.lastName].filter(Boolean).join(' ').trim();
+  return full || user.username || user.displayName || null;
+}
+
+async function userData(uid) {
+  if (!uid) return null;
+  const snap = await adminDb.collection('users').doc(uid).get();
+  return snap.exists ? snap.data() : null;
+}
+
+// Everything both emails show, gathered once.
+async function details(booking) {
+  const offering = await findOffering(booking.entityType, booking.offeringId).catch(() => null);
+  const o = offering ? offering.data : {};
+  const start = toDate(o.date);
+  const endDate = toDate(o.endDate);
+  const end = start && endDate && endDate >= start ? endDate : null;
+  const providerId = await providerUid(booking.providerStripeAccountId);
+  const [buyer, provider] = await Promise.all([userData(booking.userId), userData(providerId)]);
+  return {
+    title: booking.offeringTitle || o.title || o.destination || 'your booking',
+    start,
+    end,
+    dates: formatDates(start, end),
+    location: o.location || o.destination || null,
+    amount: formatAmount(booking.amount, booking.currency || 'usd'),
+    buyerEmail: booking.userEmail || (buyer && buyer.email) || null,
+    buyerName: (buyer && nameOf(buyer)) || booking.userEmail || 'A Nave member',
+    providerId,
+    providerName: (provider && nameOf(provider)) || null,
+    providerEmail: (provider && provider.email) || null,
+  };
+}
+
+function bookingIcs(bookingId, d) {
+  if (!d.start) return null;
+  return buildIcs({
+    id: `booking-${bookingId}`,
+    start: d.start,
+    end: new Date((d.end || d.start).getTime() + DAY_MS), // exclusive
+    allDay: true,
+    summary: d.title,
+    description: [
+      `Booked on Nave — ${d.amount}`,
+      d.providerName ? `Hosted by ${d.providerName}${d.providerEmail ? ` (${d.providerEmail})` : ''}` : null,
+    ].filter(Boolean).join('\n'),
+    location: d.location,
+    url: BASE_URL,
+    method: 'PUBLISH',
+  });
+}
+
+function rows(list) {
+  return list.filter(([, v]) => v).map(([label, value]) => `<tr>`
+    + `<td style="padding:6px 12px 6px 0;font-size:13px;color:#666;vertical-align:top">${label}</td>`
+    + `<td style="padding:6px 0;font-size:15px;color:#111">${escapeHtml(value)}</td></tr>`).join('');
+}
+
+function layout(heading, intro, table, footer) {
+  return [
+    `<div style="font-family:-apple-system,Helvetica,Arial,sans-serif;max-width:560px;margin:0 auto;padding:16px">`,
+    `<h2 style="margin:0 0 12px;font-size:20px;color:#b3261e">${escapeHtml(heading)}</h2>`,
+    `<p style="font-size:15px;color:#111">${intro}</p>`,
+    `<table style="border-collapse:collapse;margin:16px 0">${table}</table>`,
+    `<p style="font-size:15px;color:#111">${footer}</p>`,
+    `<p style="font-size:12px;color:#999;margin-top:32px">— The Nave Team · <a href="${BASE_URL}" style="color:#999">catholicnave.com</a></p>`,
+    `</div>`,
+  ].join('\n');
+}
+
+async function emailBuyer(bookingId, d) {
+  const contact = d.providerEmail
+    ? `Questions about your booking? Contact ${d.providerName || 'the host'} at ${d.providerEmail}.`
+    : `Questions about your booking? Reply to this email and we'll help.`;
+  const fields = [
+    ['Booking', d.title],
+    ['Dates', d.dates],
+    ['Location', d.location],
+    ['Amount paid', d.amount],
+    ['Hosted by', d.providerName],
+    ['Confirmation', bookingId],
+  ];
+  const ics = bookingIcs(bookingId, d);
+
+  await getTransporter().sendMail({
+    from: fromAddress(),
+    to: d.buyerEmail,
+    ...(d.providerEmail ? { replyTo: d.providerEmail } : {}),
+    subject: `Booking confirmed: ${d.title}`,
+    html: layout(
+      'Your booking is confirmed',
+      `Thank you — your spot for <b>${escapeHtml(d.title)}</b> is reserved.${ics ? ' The attached calendar file adds the dates to your calendar.' : ''}`,
+      rows(fields),
+      escapeHtml(contact),
+    ),
+    text: [
+      `Your booking for ${d.title} is confirmed.`,
+      '',
+      ...fields.filter(([, v]) => v).map(([label, value]) => `${label}: ${value}`),
+      '',
+      contact,
+      '',
+      '— The Nave Team',
+    ].join('\n'),
+    ...(ics ? { attachments: [{ filename: 'booking.ics', content: ics, contentType: 'text/calendar; charset=utf-8; method=PUBLISH' }] } : {}),
+  });
+}
+
+async function emailProvider(bookingId, d) {
+  const fields = [
+    ['Booking', d.title],
+    ['Dates', d.dates],
+    ['Guest', d.buyerName],
+    ['Guest email', d.buyerEmail],
+    ['Amount', d.amount],
+    ['Confirmation', bookingId],
+  ];
+  await getTransporter().sendMail({
+    from: fromAddress(),
+    to: d.providerEmail,
+    ...(d.buyerEmail ? { replyTo: d.buyerEmail } : {}),
+    subject: `New booking: ${d.title}`,
+    html: layout(
+      'You have a new booking',
+      `${escapeHtml(d.buyerName)} just booked <b>${escapeHtml(d.title)}</b>.`,
+      rows(fields),
+      'Refunds and payouts are managed from your earnings in the Nave app.',
+    ),
+    text: [
+      `${d.buyerName} just booked ${d.title}.`,
+      '',
+      ...fields.filter(([, v]) => v).map(([label, value]) => `${label}: ${value}`),
+      '',
+      'Refunds and payouts are managed from your earnings in the Nave app.',
+      '',
+      '— The Nave Team',
+    ].join('\n'),
+  });
+}
+
+async function sendBookingEmails(bookingId, booking) {
+  let d;
+  try {
+    d = await details(booking);
+  } catch (err) {
+    console.error(`[booking-emails] ${bookingId} lookup failed:`, err.message);
+    return;
+  }
+  const stamps = {};
+
+  if (mailConfigured() && d.buyerEmail) {
+    try {
+      await emailBuyer(bookingId, d);
+      stamps.confirmationEmailedAt = new Date();
+    } catch (err) {
+      console.error(`[booking-emails] ${bookingId} buyer email failed:`, err.message);
+    }
+  }
+  if (mailConfigured() && d.providerEmail) {
+    try {
+      await emailProvider(bookingId, d);
+      stamps.providerEmailedAt = new Date();
+    } catch (err) {
+      console.error(`[booking-emails] ${bookingId} provider email failed:`, err.message);
+    }
+  }
+
+  await notifyBookingParties(bookingId, booking, {
+    provider: {
+      title: 'New booking',
+      body: `${d.buyerName} booked ${d.title}${d.dates ? ` (${d.dates})` : ''} — ${d.amount}.`,
+      emailSent: Boolean(stamps.providerEmailedAt),
+    },
+  });
+
+  if (Object.keys(stamps).length) {
+    await adminDb.collection('bookings').doc(bookingId).update(stamps)
+      .catch((err) => console.error(`[booking-emails] ${bookingId} stamp failed:`, err.message));
+  }
+}
+
+module.exports = { sendBookingEmails };
@@ -0,0 +1,87 @@
+// Booking lookups and notifications shared by the Stripe webhook
+// (api/stripe-webhook.js) and the stripe-router handlers. A booking is the
+// `bookings` doc written when a payment succeeds; it's keyed to Stripe by
+// stripePaymentIntentId and to the provider by providerStripeAccountId.
+// Bookings created since the webhook went transactional use the payment
+// intent id as their doc id (createBookingOnce), older ones have random ids.
+//
+// Status after payment: 'confirmed' → 'partially_refunded' | 'refunded'
+//                       any         → 'disputed' → back, or 'dispute_lost'
+
+const { adminDb } = require('../firebase-admin');
+const { dispatch } = require('../notify/dispatch');
+
+async function findBookingByPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) return null;
+  const snap = await adminDb.collection('bookings')
+    .where('stripePaymentIntentId', '==', paymentIntentId)
+    .limit(1)
+    .get();
+  return snap.empty ? null : snap.docs[0];
+}
+
+// Writes bookings/{paymentIntentId} unless it (or an older random-id booking
+// for the same payment) already exists. Two events can describe one payment
+// (checkout.session.completed and payment_intent.succeeded), so this —
+// not event dedup alone — is what guarantees one booking per payment.
+// Returns the new booking's id, or null if one existed.
+async function createBookingOnce(paymentIntentId, data) {
+  if (!paymentIntentId) {
+    const ref = await adminDb.collection('bookings').add(data);
+    return ref.id;
+  }
+  if (await findBookingByPaymentIntent(paymentIntentId)) return null;
+  try {
+    await adminDb.collection('bookings').doc(paymentIntentId).create(data);
+    return paymentIntentId;
+  } catch (err) {
+    if (err.code === 6) return null; // ALREADY_EXISTS — a concurrent event won
+    throw err;
+  }
+}
+
+// The Nave user who owns a Connect account, or null.
+async function providerUid(stripeAccountId) {
+  if (!stripeAccountId) return null;
+  const snap = await adminDb.collection('users')
+    .where('stripeConnectAccountId', '==', stripeAccountId)
+    .limit(1)
+    .get();
+  return snap.empty ? null : snap.docs[0].id;
+}
+
+function formatAmount(cents, currency = 'usd') {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() })
+    .format((cents || 0) / 100);
+}
+
+// Tells the buyer and the provider about a booking change. `buyer` and
+// `provider` are { title, body } — either may be omitted. Best-effort: a
+// notification failure never fails the webhook.
+async function notifyBookingParties(bookingId, booking, { buyer, provider }) {
+  const record = { bookingId, offeringTitle: booking.offeringTitle || null, status: booking.status || null };
+  const jobs = [];
+  if (buyer && booking.userId) {
+    jobs.push(dispatch({
+      type: 'booking_update',
+      recipients: [booking.userId],
+      ...buyer,
+      record,
+      data: { bookingId },
+    }));
+  }
+  if (provider) {
+    jobs.push(providerUid(booking.providerStripeAccountId).then((uid) => uid && dispatch({
+      type: 'booking_update',
+      recipients: [uid],
+      ...provider,
+      record,
+      data: { bookingId },
+    })));
+  }
+  const results = await Promise.allSettled(jobs);
+  results.filter((r) => r.status === 'rejected')
+    .forEach((r) => console.error('[bookings] notify failed:', r.reason && r.reason.message));
+}
+
+module.exports = { findBookingByPaymentIntent, createBookingOnce, providerUid, formatAmount, notifyBookingParties };
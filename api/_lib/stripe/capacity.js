@@ -0,0 +1,265 @@
+// Seats for bookable offerings, so a 20-bed retreat can't sell 40 spots.
+//
+// Offerings live in retreatOfferings (capacity: `capacity`) and
+// pilgrimageListings / pilgrimageOfferings (capacity: `spots`). An offering
+// without a positive capacity is unlimited and never tracked. Tracked
+// offerings get two server-maintained fields: seatsTaken and seatsRemaining.
+//
+// Every taken seat is a seatHolds/{holdId} doc:
+//
+//   { offeringPath, entityType, offeringId, offeringTitle, uid,
+//     status: 'held' | 'offered' | 'confirmed' | 'released',
+//     paymentIntentId?, bookingId?, expiresAt }
+//
+//   held      — reserved when payment-intent.js creates the intent (HOLD_MS)
+//   offered   — held for the next person on the waitlist (OFFER_MS)
+//   confirmed — paid (payment_intent.succeeded); the seat is theirs
+//   released  — intent canceled or lapsed, offer declined or lapsed, or the
+//               booking fully refunded; the seat goes back to the pool, and
+//               straight to the waitlist if anyone is waiting
+//
+// Lapsed holds are released when someone next tries to book the offering,
+// and by the daily sweep (./sweep-seat-holds.js) otherwise. Releasing a held
+// seat cancels its payment intent first; if Stripe says it already went
+// through, the hold stays and the webhook confirms it.
+//
+// Waitlist: offeringWaitlists/{collection}_{offeringId}/entries/{uid} =
+//   { uid, joinedAt, status: 'waiting' | 'offered' | 'claimed' | 'expired', holdId? }
+// The offered user gets a booking_update notification and simply books as
+// usual: reserveSeat() turns their offered hold into a held one.
+//
+// All queries are equality-only, so Firestore's single-field indexes cover them.
+
+const Stripe = require('stripe');
+const { admin, adminDb } = require('../firebase-admin');
+const { dispatch } = require('../notify/dispatch');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+const OFFERING_COLLECTIONS = {
+  retreat: ['retreatOfferings'],
+  pilgrimage: ['pilgrimageListings', 'pilgrimageOfferings'],
+};
+const HOLD_MS = 30 * 60 * 1000;
+const OFFER_MS = 24 * 3600 * 1000;
+const OPEN_STATUSES = ['held', 'offered'];
+
+function capacityOf(offering) {
+  const cap = Number(offering.capacity) > 0 ? Number(offering.capacity) : Number(offering.spots);
+  return cap > 0 ? Math.floor(cap) : null;
+}
+
+function seatFields(offering, taken) {
+  return { seatsTaken: taken, seatsRemaining: Math.max(capacityOf(offering) - taken, 0) };
+}
+
+function expiresIn(ms) {
+  return admin.firestore.Timestamp.fromMillis(Date.now() + ms);
+}
+
+async function findOffering(entityType, offeringId) {
+  if (!offeringId) return null;
+  for (const name of OFFERING_COLLECTIONS[entityType] || []) {
+    const ref = adminDb.collection(name).doc(offeringId);
+    const snap = await ref.get();
+    if (snap.exists) return { ref, data: snap.data() };
+  }
+  return null;
+}
+
+function waitlistEntries(offeringRef) {
+  return adminDb.collection('offeringWaitlists')
+    .doc(`${offeringRef.parent.id}_${offeringRef.id}`)
+    .collection('entries');
+}
+
+// Gives the freed seat to the longest-waiting person, if any.
+async function offerNextSeat(offeringRef) {
+  const offer = await adminDb.runTransaction(async (tx) => {
+    const snap = await tx.get(offeringRef);
+    if (!snap.exists || !capacityOf(snap.data())) return null;
+    const offering = snap.data();
+    const taken = offering.seatsTaken || 0;
+    if (taken >= capacityOf(offering)) return null;
+
+    const waiting = await tx.get(waitlistEntries(offeringRef).where('status', '==', 'waiting'));
+    const next = waiting.docs.sort((a, b) => a.data().joinedAt.toMillis() - b.data().joinedAt.toMillis())[0];
+    if (!next) return null;
+
+    const holdRef = adminDb.collection('seatHolds').doc();
+    const [entityType] = Object.entries(OFFERING_COLLECTIONS).find(([, names]) => names.includes(offeringRef.parent.id));
+    tx.set(holdRef, {
+      offeringPath: offeringRef.path,
+      entityType,
+      offeringId: offeringRef.id,
+      offeringTitle: offering.title || offering.destination || null,
+      uid: next.id,
+      status: 'offered',
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: expiresIn(OFFER_MS),
+    });
+    tx.update(next.ref, { status: 'offered', holdId: holdRef.id, offeredAt: admin.firestore.FieldValue.serverTimestamp() });
+    tx.update(offeringRef, seatFields(offering, taken + 1));
+    return { uid: next.id, title: offering.title || offering.destination || 'an offering you waitlisted', entityType };
+  });
+  if (!offer) return null;
+
+  try {
+    await dispatch({
+      type: 'booking_update',
+      recipients: [offer.uid],
+      title: 'A spot opened up',
+      body: `A spot opened on ${offer.title}. It's held for you for 24 hours — book now to claim it.`,
+      record: { offeringId: offeringRef.id, entityType: offer.entityType, status: 'offered' },
+      data: { offeringId: offeringRef.id, entityType: offer.entityType },
+    });
+  } catch (err) {
+    console.error('[capacity] waitlist offer notification failed:', err.message);
+  }
+  return offer.uid;
+}
+
+// Returns the seat to the pool (then to the waitlist). No-op unless the hold
+// still holds a seat, so it's safe to call from retried webhooks. Pass
+// `paymentIntentId` when an intent event triggers it: a retried checkout
+// moves the hold to a newer intent, and the old one's cancellation must not
+// release it.
+async function releaseSeat(holdId, reason, { paymentIntentId } = {}) {
+  if (!holdId) return false;
+  const holdRef = adminDb.collection('seatHolds').doc(holdId);
+  const offeringRef = await adminDb.runTransaction(async (tx) => {
+    const holdSnap = await tx.get(holdRef);
+    if (!holdSnap.exists || holdSnap.data().status === 'released') return null;
+    const hold = holdSnap.data();
+    if (paymentIntentId && hold.paymentIntentId && hold.paymentIntentId !== paymentIntentId) return null;
+    const ref = adminDb.doc(hold.offeringPath);
+    const offeringSnap = await tx.get(ref);
+    const entryRef = waitlistEntries(ref).doc(hold.uid);
+    const entrySnap = await tx.get(entryRef);
+
+    tx.update(holdRef, { status: 'released', releasedReason: reason, releasedAt: admin.firestore.FieldValue.serverTimestamp() });
+    if (offeringSnap.exists && capacityOf(offeringSnap.data())) {
+      tx.update(ref, seatFields(offeringSnap.data(), Math.max((offeringSnap.data().seatsTaken || 0) - 1, 0)));
+    }
+    if (entrySnap.exists && entrySnap.data().holdId === holdId && entrySnap.data().status === 'offered') {
+      tx.update(entryRef, { status: 'expired' });
+    }
+    return ref;
+  });
+  if (!offeringRef) return false;
+  await offerNextSeat(offeringRef);
+  return true;
+}
+
+// Releases a lapsed hold. A held seat's payment intent is canceled first;
+// if that fails (it succeeded or is still processing) the hold is kept.
+async function expireHold(holdDoc) {
+  const hold = holdDoc.data();
+  if (hold.status === 'held' && hold.paymentIntentId) {
+    try {
+      await stripe.paymentIntents.cancel(hold.paymentIntentId);
+    } catch (err) {
+      const pi = await stripe.paymentIntents.retrieve(hold.paymentIntentId).catch(() => null);
+      if (!pi || pi.status !== 'canceled') {
+        console.warn(`[capacity] kept hold ${holdDoc.id}: ${err.message}`);
+        return false;
+      }
+    }
+  }
+  return releaseSeat(holdDoc.id, hold.status === 'offered' ? 'offer_expired' : 'expired');
+}
+
+async function releaseLapsed(offeringRef) {
+  const snap = await adminDb.collection('seatHolds')
+    .where('offeringPath', '==', offeringRef.path)
+    .where('status', 'in', OPEN_STATUSES)
+    .get();
+  const now = Date.now();
+  for (const doc of snap.docs) {
+    if (doc.data().expiresAt.toMillis() < now) await expireHold(doc);
+  }
+}
+
+// Reserves a seat for uid before their payment intent is created.
+// Returns { holdId: null } for untracked offerings, { holdId,
+// previousPaymentIntentId? } on success, or { error: 'sold_out' }.
+async function reserveSeat({ entityType, offeringId, uid }) {
+  const offering = await findOffering(entityType, offeringId);
+  if (!offering || !capacityOf(offering.data)) return { holdId: null };
+  await releaseLapsed(offering.ref);
+
+  return adminDb.runTransaction(async (tx) => {
+    const snap = await tx.get(offering.ref);
+    const data = snap.data();
+    const taken = data.seatsTaken || 0;
+
+    // A retried checkout, or a seat offered from the waitlist, is already counted.
+    const mine = await tx.get(adminDb.collection('seatHolds')
+      .where('offeringPath', '==', offering.ref.path)
+      .where('uid', '==', uid)
+      .where('status', 'in', OPEN_STATUSES));
+    if (!mine.empty) {
+      const hold = mine.docs[0];
+      tx.update(hold.ref, { status: 'held', expiresAt: expiresIn(HOLD_MS) });
+      return { holdId: hold.id, previousPaymentIntentId: hold.data().paymentIntentId || null };
+    }
+
+    if (taken >= capacityOf(data)) return { error: 'sold_out' };
+    const holdRef = adminDb.collection('seatHolds').doc();
+    tx.set(holdRef, {
+      offeringPath: offering.ref.path,
+      entityType,
+      offeringId,
+      offeringTitle: data.title || data.destination || null,
+      uid,
+      status: 'held',
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: expiresIn(HOLD_MS),
+    });
+    tx.update(offering.ref, seatFields(data, taken + 1));
+    return { holdId: holdRef.id };
+  });
+}
+
+async function attachPaymentIntent(holdId, paymentIntentId) {
+  await adminDb.collection('seatHolds').doc(holdId).update({ paymentIntentId });
+}
+
+// payment_intent.succeeded. If the hold lapsed and its seat was given away
+// while the payment was in flight, the seat is taken back anyway — the
+// customer has paid — and the oversell is flagged on the hold.
+async function confirmSeat(holdId, bookingId) {
+  if (!holdId) return;
+  const holdRef = adminDb.collection('seatHolds').doc(holdId);
+  await adminDb.runTransaction(async (tx) => {
+    const holdSnap = await tx.get(holdRef);
+    if (!holdSnap.exists || holdSnap.data().status === 'confirmed') return;
+    const hold = holdSnap.data();
+    const ref = adminDb.doc(hold.offeringPath);
+    const offeringSnap = await tx.get(ref);
+    const entryRef = waitlistEntries(ref).doc(hold.uid);
+    const entrySnap = await tx.get(entryRef);
+
+    const update = { status: 'confirmed', bookingId, confirmedAt: admin.firestore.FieldValue.serverTimestamp() };
+    if (hold.status === 'released' && offeringSnap.exists && capacityOf(offeringSnap.data())) {
+      const taken = (offeringSnap.data().seatsTaken || 0) + 1;
+      tx.update(ref, seatFields(offeringSnap.data(), taken));
+      if (taken > capacityOf(offeringSnap.data())) update.oversold = true;
+    }
+    tx.update(holdRef, update);
+    if (entrySnap.exists) tx.update(entryRef, { status: 'claimed' });
+  });
+}
+
+module.exports = {
+  findOffering,
+  capacityOf,
+  waitlistEntries,
+  reserveSeat,
+  attachPaymentIntent,
+  confirmSeat,
+  releaseSeat,
+  expireHold,
+  offerNextSeat,
+  OPEN_STATUSES,
+};
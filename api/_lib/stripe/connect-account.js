@@ -6,30 +6,14 @@ if (!admin.apps.length) {
     credential: admin.credential.cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)),
   });
 }
-const adminAuth = admin.auth();
 const adminDb = admin.firestore();
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const { syncConnectAccount } = require('./connect-status');
 
-module.exports = async function handler(req, res) {
-  if (req.method !== 'POST') {
-    res.setHeader('Allow', 'POST');
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  const { firebaseIdToken, platform } = req.body || {};
-
-  if (!firebaseIdToken) {
-    return res.status(401).json({ error: 'Missing Firebase ID token' });
-  }
-
-  let decodedToken;
-  try {
-    decodedToken = await adminAuth.verifyIdToken(firebaseIdToken);
-  } catch (err) {
-    return res.status(401).json({ error: 'Invalid Firebase ID token' });
-  }
-
-  const userId = decodedToken.uid;
+// POST + Firebase auth enforced by the router guards (api/stripe.js).
+module.exports = async function handler(req, res, ctx) {
+  const { platform } = req.body || {};
+  const userId = ctx.uid;
 
   try {
     // Check if user already has a Connect account
@@ -38,10 +22,11 @@ module.exports = async function handler(req, res) {
     let accountId = userData.stripeConnectAccountId;
 
     if (accountId) {
-      // Check if onboarding is complete
+      // Check if onboarding is complete (and refresh the mirrored status)
       const account = await stripe.accounts.retrieve(accountId);
+      const status = await syncConnectAccount(account);
       if (account.details_submitted) {
-        return res.status(200).json({ alreadyOnboarded: true, accountId });
+        return res.status(200).json({ alreadyOnboarded: true, accountId, status });
       }
     } else {
       // Create new Express account
@@ -0,0 +1,86 @@
+// Connect account status, mirrored onto the provider's user doc so the app
+// can show what Stripe still needs and so payment-intent.js can refuse to
+// route money to an account that can't take it:
+//
+//   users/{uid}.stripeConnect = {
+//     chargesEnabled, payoutsEnabled, detailsSubmitted,
+//     transfersCapability,        // 'active' | 'inactive' | 'pending' | null
+//     currentlyDue: [..], pastDue: [..], disabledReason, currentDeadline,
+//     updatedAt,
+//   }
+//
+// Kept fresh by account.updated / capability.updated (api/stripe-webhook.js)
+// and whenever the provider reopens onboarding (connect-account.js).
+
+const { adminDb } = require('../firebase-admin');
+const { dispatch } = require('../notify/dispatch');
+
+function connectStatus(account) {
+  const req = account.requirements || {};
+  return {
+    chargesEnabled: account.charges_enabled === true,
+    payoutsEnabled: account.payouts_enabled === true,
+    detailsSubmitted: account.details_submitted === true,
+    transfersCapability: (account.capabilities || {}).transfers || null,
+    currentlyDue: req.currently_due || [],
+    pastDue: req.past_due || [],
+    disabledReason: req.disabled_reason || null,
+    currentDeadline: req.current_deadline ? new Date(req.current_deadline * 1000) : null,
+    updatedAt: new Date(),
+  };
+}
+
+// Destination charges need the connected account able to receive transfers.
+function canAcceptCharges(status) {
+  return Boolean(status && status.chargesEnabled && status.transfersCapability === 'active');
+}
+
+async function userForAccount(account) {
+  const uid = (account.metadata || {}).firebaseUserId;
+  if (uid) {
+    const doc = await adminDb.collection('users').doc(uid).get();
+    if (doc.exists && doc.data().stripeConnectAccountId === account.id) return doc;
+  }
+  const snap = await adminDb.collection('users')
+    .where('stripeConnectAccountId', '==', account.id)
+    .limit(1)
+    .get();
+  return snap.empty ? null : snap.docs[0];
+}
+
+// Writes the account's status to its owner and, when Stripe newly needs
+// something (or the account just became able to take payments), tells them.
+// Returns the status, or null if no user owns the account.
+async function syncConnectAccount(account) {
+  const userDoc = await userForAccount(account);
+  if (!userDoc) return null;
+
+  const previous = userDoc.data().stripeConnect || {};
+  const status = connectStatus(account);
+  await userDoc.ref.set({ stripeConnect: status }, { merge: true });
+
+  const newlyDue = status.currentlyDue.filter((r) => !(previous.currentlyDue || []).includes(r));
+  let n = null;
+  if (newlyDue.length && status.detailsSubmitted) {
+    n = {
+      title: 'Stripe needs more information',
+      body: status.disabledReason
+        ? 'Payments to your listings are paused until you update your payout details.'
+        : 'Update your payout details to keep receiving bookings.',
+    };
+  } else if (canAcceptCharges(status) && !canAcceptCharges(previous)) {
+    n = { title: 'You can now accept payments', body: 'Your payout account is verified. Bookings will be paid out to you.' };
+  }
+  if (n) {
+    await dispatch({
+      type: 'account_update',
+      recipients: [userDoc.id],
+      ...n,
+      record: { stripeConnectAccountId: account.id, currentlyDue: status.currentlyDue },
+      data: { stripeConnectAccountId: account.id },
+    }).catch((err) => console.error('[connect-status] notify failed:', err.message));
+  }
+  return status;
+}
+
+module.exports = { connectStatus, canAcceptCharges, syncConnectAccount };
@@ -0,0 +1,126 @@
+// "Give" on a listing: a one-time or monthly gift to the listing's owner
+// through Stripe Checkout. Creates donations/{donationId} (status 'pending');
+// the webhook takes it from there (./donations.js).
+//
+// External URL: POST /api/donation-checkout (rewritten to
+// /api/stripe?action=donation-checkout). Returns { sessionUrl, donationId }.
+// Body: { entityType, entityId, amount (cents), interval: 'once'|'month',
+//         coverFees?, returnPath? }
+// Method, Firebase auth and body shape are enforced by the router guards.
+
+const Stripe = require('stripe');
+const { adminDb } = require('../firebase-admin');
+const { displayName } = require('../notify/membership');
+const { donationFees, findEntity, givingAccount } = require('./donations');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const CURRENCY = 'usd';
+
+function getOrigin(req) {
+  const proto = req.headers['x-forwarded-proto'] || 'https';
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  return `${proto}://${host}`;
+}
+
+// A separate customer from the Nave+ one (users.stripeCustomerId), so the
+// billing portal and subscription reconciliation only ever see Nave+.
+async function donorCustomer(uid, email) {
+  const userRef = adminDb.collection('users').doc(uid);
+  const snap = await userRef.get();
+  const existing = snap.exists ? snap.data().stripeDonorCustomerId : null;
+  if (existing) return existing;
+  const customer = await stripe.customers.create({
+    email: email || undefined,
+    metadata: { firebaseUserId: uid, kind: 'donor' },
+  });
+  await userRef.set({ stripeDonorCustomerId: customer.id }, { merge: true });
+  return customer.id;
+}
+
+module.exports = async function handler(req, res, ctx) {
+  const { entityType, entityId, interval, coverFees, returnPath } = ctx.body;
+
+  try {
+    const entity = await findEntity(entityType, entityId);
+    if (!entity) return res.status(404).json({ error: 'Listing not found' });
+    const account = await givingAccount(entity.data, { refresh: true });
+    if (!account) {
+      return res.status(409).json({ error: 'This listing isn\'t set up to receive gifts yet', reason: 'provider_not_ready' });
+    }
+
+    const { amount, fee, total } = donationFees(ctx.body.amount, Boolean(coverFees));
+    const entityName = entity.data.name || entity.data.title || 'a listing on Nave';
+    const donationRef = adminDb.collection('donations').doc();
+    const metadata = {
+      kind: 'donation',
+      donationId: donationRef.id,
+      firebaseUserId: ctx.uid,
+      entityType,
+      entityId,
+    };
+    await donationRef.set({
+      donorUid: ctx.uid,
+      donorEmail: ctx.token.email || null,
+      donorName: await displayName(ctx.uid),
+      entityType,
+      entityId,
+      entityPath: entity.ref.path,
+      entityName,
+      ownerUid: account.ownerUid,
+      providerStripeAccountId: account.accountId,
+      interval,
+      amount,
+      fee,
+      total,
+      feeCovered: Boolean(coverFees),
+      currency: CURRENCY,
+      status: 'pending',
+      createdAt: new Date(),
+    });
+
+    // Only same-site paths, so checkout can't bounce donors elsewhere.
+    const path = returnPath && /^\/[\w\-/?=&]*$/.test(returnPath) ? returnPath : '/map';
+    const back = `${getOrigin(req)}${path}${path.includes('?') ? '&' : '?'}`;
+    const recurring = interval === 'month';
+    const sessionParams = {
+      mode: recurring ? 'subscription' : 'payment',
+      customer: await donorCustomer(ctx.uid, ctx.token.email),
+      line_items: [{
+        quantity: 1,
+        price_data: {
+          currency: CURRENCY,
+          unit_amount: total,
+          product_data: {
+            name: `${recurring ? 'Monthly gift' : 'Gift'} to ${entityName}`,
+            ...(coverFees ? { description: 'Includes processing fees' } : {}),
+          },
+          ...(recurring ? { recurring: { interval: 'month' } } : {}),
+        },
+      }],
+      metadata,
+      success_url: `${back}donation=success`,
+      cancel_url: `${back}donation=canceled`,
+    };
+    if (recurring) {
+      sessionParams.subscription_data = {
+        // Subscriptions only take a percentage; two decimals is Stripe's limit.
+        application_fee_percent: Math.round((fee / total) * 10000) / 100,
+        transfer_data: { destination: account.accountId },
+        metadata,
+      };
+    } else {
+      sessionParams.payment_intent_data = {
+        application_fee_amount: fee,
+        transfer_data: { destination: account.accountId },
+        metadata,
+      };
+    }
+
+    const session = await stripe.checkout.sessions.create(sessionParams);
+    await donationRef.update({ stripeSessionId: session.id });
+    return res.status(200).json({ sessionUrl: session.url, donationId: donationRef.id });
+  } catch (err) {
+    console.error('Error creating donation checkout:', err);
+    return res.status(500).json({ error: 'Failed to create donation checkout' });
+  }
+};
@@ -0,0 +1,337 @@
+// Giving to parishes, apostolates and any other listing whose owner has a
+// Connect account that can take charges. One-time gifts and monthly
+// recurring gifts are destination charges to that account, like bookings;
+// Nave's application fee is Stripe's processing fee (which the platform pays
+// on destination charges) plus DONATION_PLATFORM_FEE_PERCENT (default 0).
+// The donor may cover that fee so the listing receives their whole gift.
+//
+//   donations/{donationId} — one per checkout (./donation-checkout.js)
+//     { donorUid, donorEmail, donorName, entityType, entityId, entityPath,
+//       entityName, ownerUid, providerStripeAccountId,
+//       interval: 'once'|'month', amount, fee, total, feeCovered, currency,
+//       status: 'pending'|'completed'|'active'|'past_due'|'canceled',
+//       stripeSessionId, stripeSubscriptionId?, stripeCustomerId? }
+//   donationPayments/{paymentIntentId | invoiceId} — every successful charge
+//     { donationId, donorUid, …, amount (charged), feeCovered, year, paidAt,
+//       timeZone, status: 'paid'|'partially_refunded'|'refunded',
+//       refundedAmount }
+//     paidAt is when Stripe took the money, not when the webhook ran, and
+//     year is its calendar year in the listing's time zone (`timeZone` on
+//     the listing, else DEFAULT_TIME_ZONE) — a Dec 31 evening gift belongs
+//     to that tax year even if the event is retried or replayed later.
+//   donationDonors/{collection}_{entityId}/donors/{donorUid} — per listing
+//     { uid, name, email, totalGiven, giftCount, firstGiftAt, lastGiftAt,
+//       monthly }
+//
+// Donors pay through their own Stripe customer (users.stripeDonorCustomerId)
+// so monthly gifts never show up as — or get reconciled as — Nave+. The
+// subscriptions and one-time intents carry metadata.kind = 'donation', which
+// the booking and Nave+ handlers in api/stripe-webhook.js skip; the handlers
+// below take those events instead. Monthly gifts need `invoice.paid` enabled
+// on the webhook endpoint.
+
+const Stripe = require('stripe');
+const { admin, adminDb } = require('../firebase-admin');
+const { dispatch } = require('../notify/dispatch');
+const { canAcceptCharges, syncConnectAccount } = require('./connect-status');
+const { formatAmount } = require('./bookings');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Must match the map's type → collection mapping (map.html COLLECTIONS).
+const ENTITY_COLLECTIONS = {
+  church: 'Churches',
+  missionary: 'missionaries',
+  pilgrimage: 'pilgrimageSites',
+  school: 'schools',
+  vocation: 'vocations',
+  retreat: 'retreats',
+  business: 'businesses',
+  campus: 'bibleStudies',
+};
+
+// Stripe's standard US card pricing, which the platform pays on destination
+// charges.
+const STRIPE_PERCENT = 2.9;
+const STRIPE_FIXED = 30;
+const PLATFORM_PERCENT = Number(process.env.DONATION_PLATFORM_FEE_PERCENT) || 0;
+
+const DEFAULT_TIME_ZONE = 'America/New_York';
+
+// { amount, fee, total } in cents. `amount` is what the donor chose to give;
+// with coverFees the charge is grossed up so the listing still nets it.
+function donationFees(amount, coverFees) {
+  const rate = (STRIPE_PERCENT + PLATFORM_PERCENT) / 100;
+  if (coverFees) {
+    const total = Math.ceil((amount + STRIPE_FIXED) / (1 - rate));
+    return { amount, fee: total - amount, total };
+  }
+  return { amount, fee: Math.round(amount * rate) + STRIPE_FIXED, total: amount };
+}
+
+async function findEntity(entityType, entityId) {
+  const name = ENTITY_COLLECTIONS[entityType];
+  if (!name || !entityId) return null;
+  const ref = adminDb.collection(name).doc(entityId);
+  const snap = await ref.get();
+  return snap.exists ? { ref, data: snap.data() } : null;
+}
+
+// Same ownership fields the map's isOwner() checks.
+function ownerOf(entity) {
+  return entity.createdByUserId || entity.ownerId || entity.organizationCreatedByUserId || null;
+}
+
+// The owner's Connect account if it can take gifts, else null. With
+// `refresh`, a "no" from the mirrored status is double-checked with Stripe.
+async function givingAccount(entity, { refresh = false } = {}) {
+  const ownerUid = ownerOf(entity);
+  if (!ownerUid) return null;
+  const snap = await adminDb.collection('users').doc(ownerUid).get();
+  const owner = snap.exists ? snap.data() : {};
+  if (!owner.stripeConnectAccountId) return null;
+  if (canAcceptCharges(owner.stripeConnect)) return { ownerUid, accountId: owner.stripeConnectAccountId };
+  if (!refresh) return null;
+  const status = await syncConnectAccount(await stripe.accounts.retrieve(owner.stripeConnectAccountId));
+  return canAcceptCharges(status) ? { ownerUid, accountId: owner.stripeConnectAccountId } : null;
+}
+
+function donorsRef(entityPath) {
+  const ref = adminDb.doc(entityPath);
+  return adminDb.collection('donationDonors').doc(`${ref.parent.id}_${ref.id}`).collection('donors');
+}
+
+function yearIn(date, timeZone) {
+  return Number(new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric' }).format(date));
+}
+
+// → { year, timeZone } for a gift paid at `paidAt` to the listing.
+async function givingYear(entityPath, paidAt) {
+  const snap = entityPath ? await adminDb.doc(entityPath).get() : null;
+  const zone = snap && snap.exists ? snap.data().timeZone : null;
+  if (zone) {
+    try {
+      return { year: yearIn(paidAt, zone), timeZone: zone };
+    } catch (err) {
+      // unknown timezone string — fall back to the default
+    }
+  }
+  return { year: yearIn(paidAt, DEFAULT_TIME_ZONE), timeZone: DEFAULT_TIME_ZONE };
+}
+
+// Records one successful charge and adds it to the donor's totals for the
+// listing. Idempotent per payment id. Returns false if already recorded.
+async function recordPayment(donationRef, paymentId, { amount, currency, paidAt, paymentIntentId, invoiceId }) {
+  const paymentRef = adminDb.collection('donationPayments').doc(paymentId);
+  const donation = await donationRef.get();
+  if (!donation.exists) return false;
+  const { year, timeZone } = await givingYear(donation.data().entityPath, paidAt);
+  return adminDb.runTransaction(async (tx) => {
+    const [donationSnap, paymentSnap] = await Promise.all([tx.get(donationRef), tx.get(paymentRef)]);
+    if (!donationSnap.exists || paymentSnap.exists) return false;
+    const d = donationSnap.data();
+    const donorRef = donorsRef(d.entityPath).doc(d.donorUid);
+    const donorSnap = await tx.get(donorRef);
+
+    tx.set(paymentRef, {
+      donationId: donationRef.id,
+      donorUid: d.donorUid,
+      donorName: d.donorName || null,
+      donorEmail: d.donorEmail || null,
+      entityType: d.entityType,
+      entityId: d.entityId,
+      entityPath: d.entityPath,
+      entityName: d.entityName || null,
+      ownerUid: d.ownerUid || null,
+      interval: d.interval,
+      amount,
+      feeCovered: d.feeCovered ? d.fee : 0,
+      currency,
+      year,
+      paidAt,
+      timeZone,
+      stripePaymentIntentId: paymentIntentId || null,
+      stripeInvoiceId: invoiceId || null,
+      status: 'paid',
+      refundedAmount: 0,
+    });
+    tx.set(donorRef, {
+      uid: d.donorUid,
+      name: d.donorName || null,
+      email: d.donorEmail || null,
+      totalGiven: admin.firestore.FieldValue.increment(amount),
+      giftCount: admin.firestore.FieldValue.increment(1),
+      currency,
+      lastGiftAt: paidAt,
+      ...(donorSnap.exists ? {} : { firstGiftAt: paidAt }),
+      ...(d.interval === 'month' ? { monthly: true } : {}),
+    }, { merge: true });
+    return true;
+  });
+}
+
+async function notifyOwner(donation, amount, currency) {
+  if (!donation.ownerUid) return;
+  const who = donation.donorName || 'Someone';
+  await dispatch({
+    type: 'donation',
+    recipients: [donation.ownerUid],
+    actorId: donation.donorUid,
+    title: donation.interval === 'month' ? 'New monthly gift' : 'New gift',
+    body: `${who} gave ${formatAmount(amount, currency)}${donation.interval === 'month' ? ' a month' : ''} to ${donation.entityName || 'your listing'}.`,
+    record: { entityId: donation.entityId, entityType: donation.entityType },
+    data: { entityId: donation.entityId, entityType: donation.entityType },
+  }).catch((err) => console.error('[donations] owner notify failed:', err.message));
+}
+
+// checkout.session.completed with metadata.kind === 'donation'. One-time
+// gifts are recorded here; monthly ones by their first invoice.paid.
+async function handleDonationCheckout(session) {
+  const donationId = (session.metadata || {}).donationId;
+  if (!donationId) return;
+  const donationRef = adminDb.collection('donations').doc(donationId);
+  const snap = await donationRef.get();
+  if (!snap.exists) return;
+  const donation = snap.data();
+
+  if (session.mode === 'subscription') {
+    if (donation.status === 'pending') {
+      await donationRef.update({
+        status: 'active',
+        stripeSubscriptionId: session.subscription,
+        stripeCustomerId: session.customer || null,
+        updatedAt: new Date(),
+      });
+      await notifyOwner(donation, session.amount_total, session.currency);
+    }
+    return;
+  }
+
+  if (session.payment_status !== 'paid') return;
+  if (donation.status === 'pending') {
+    await donationRef.update({ status: 'completed', updatedAt: new Date() });
+  }
+  const intent = await stripe.paymentIntents.retrieve(session.payment_intent, { expand: ['latest_charge'] });
+  const recorded = await recordPayment(donationRef, session.payment_intent, {
+    amount: session.amount_total,
+    currency: session.currency,
+    paidAt: new Date((intent.latest_charge?.created || intent.created) * 1000),
+    paymentIntentId: session.payment_intent,
+  });
+  if (recorded) await notifyOwner(donation, session.amount_total, session.currency);
+}
+
+function donationMetadata(invoice) {
+  return invoice.parent?.subscription_details?.metadata || {};
+}
+
+// invoice.paid — every month of a recurring gift, the first included.
+async function handleDonationInvoicePaid(invoice) {
+  const meta = donationMetadata(invoice);
+  if (meta.kind !== 'donation' || !meta.donationId || !invoice.amount_paid) return;
+  const donationRef = adminDb.collection('donations').doc(meta.donationId);
+
+  let paymentIntentId = null;
+  try {
+    const payments = await stripe.invoicePayments.list({ invoice: invoice.id, limit: 1 });
+    const pi = payments.data[0]?.payment?.payment_intent;
+    paymentIntentId = typeof pi === 'string' ? pi : pi?.id || null;
+  } catch (err) {
+    console.error(`[donations] payment lookup for ${invoice.id} failed:`, err.message);
+  }
+
+  await recordPayment(donationRef, invoice.id, {
+    amount: invoice.amount_paid,
+    currency: invoice.currency,
+    paidAt: new Date((invoice.status_transitions?.paid_at || invoice.created) * 1000),
+    paymentIntentId,
+    invoiceId: invoice.id,
+  });
+  const snap = await donationRef.get();
+  if (snap.exists && snap.data().status === 'past_due') {
+    await donationRef.update({ status: 'active', updatedAt: new Date() });
+  }
+}
+
+// invoice.payment_failed for a recurring gift: tell the donor.
+async function handleDonationPaymentFailed(invoice) {
+  const meta = donationMetadata(invoice);
+  if (!meta.donationId) return;
+  const donationRef = adminDb.collection('donations').doc(meta.donationId);
+  const snap = await donationRef.get();
+  if (!snap.exists) return;
+  const donation = snap.data();
+  if (donation.status !== 'past_due') {
+    await donationRef.update({ status: 'past_due', updatedAt: new Date() });
+  }
+  await dispatch({
+    type: 'account_update',
+    recipients: [donation.donorUid],
+    title: 'Your monthly gift didn\'t go through',
+    body: `We couldn't charge your card for your ${formatAmount(donation.total, donation.currency)} gift to ${donation.entityName || 'a listing on Nave'}. Stripe will retry over the next few days.`,
+    record: { donationId: meta.donationId },
+    data: { donationId: meta.donationId },
+  }).catch((err) => console.error('[donations] donor notify failed:', err.message));
+}
+
+// customer.subscription.updated / .deleted for a recurring gift.
+async function handleDonationSubscriptionChanged(subscription) {
+  const donationId = (subscription.metadata || {}).donationId;
+  if (!donationId) return;
+  const donationRef = adminDb.collection('donations').doc(donationId);
+  const snap = await donationRef.get();
+  if (!snap.exists) return;
+  const donation = snap.data();
+
+  const ended = ['canceled', 'incomplete_expired', 'unpaid'].includes(subscription.status);
+  const status = ended ? 'canceled' : (subscription.status === 'past_due' ? 'past_due' : 'active');
+  if (status === donation.status) return;
+  await donationRef.update({ status, updatedAt: new Date(), ...(ended ? { canceledAt: new Date() } : {}) });
+  if (ended) {
+    await donorsRef(donation.entityPath).doc(donation.donorUid).set({ monthly: false }, { merge: true });
+  }
+}
+
+// charge.refunded for a gift: the statement and the donor totals follow.
+async function handleDonationRefund(charge) {
+  if (!charge.payment_intent) return false;
+  const snap = await adminDb.collection('donationPayments')
+    .where('stripePaymentIntentId', '==', charge.payment_intent)
+    .limit(1)
+    .get();
+  if (snap.empty) return false;
+
+  await adminDb.runTransaction(async (tx) => {
+    const paymentSnap = await tx.get(snap.docs[0].ref);
+    const payment = paymentSnap.data();
+    const delta = charge.amount_refunded - (payment.refundedAmount || 0);
+    if (delta <= 0) return;
+    const fully = charge.refunded || charge.amount_refunded >= payment.amount;
+    tx.update(paymentSnap.ref, {
+      status: fully ? 'refunded' : 'partially_refunded',
+      refundedAmount: charge.amount_refunded,
+      refundedAt: new Date(),
+    });
+    tx.set(donorsRef(payment.entityPath).doc(payment.donorUid), {
+      totalGiven: admin.firestore.FieldValue.increment(-delta),
+    }, { merge: true });
+  });
+  return true;
+}
+
+module.exports = {
+  ENTITY_COLLECTIONS,
+  STRIPE_PERCENT,
+  STRIPE_FIXED,
+  PLATFORM_PERCENT,
+  donationFees,
+  findEntity,
+  ownerOf,
+  givingAccount,
+  donorsRef,
+  handleDonationCheckout,
+  handleDonationInvoicePaid,
+  handleDonationPaymentFailed,
+  handleDonationSubscriptionChanged,
+  handleDonationRefund,
+};
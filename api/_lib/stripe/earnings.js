@@ -0,0 +1,151 @@
+// Earnings summary for the signed-in provider (retreat, pilgrimage, business
+// owner with a Connect account): bookings that paid out to their account,
+// totalled per month, plus their live Stripe balance and recent payouts.
+//
+// Amounts are in cents, and never added across currencies: each month and
+// the year's totals have one entry per currency. Per booking:
+//   gross        amount charged
+//   platformFee  our 10% application fee, less the share refunded with any
+//                refund (refunds return the fee proportionally, see refund.js)
+//   refunds      refundedAmount
+//   disputesLost the full amount of a lost dispute
+//   net          gross - platformFee - refunds - disputesLost
+//
+// External URL: GET /api/provider-earnings?year=2026[&format=csv] (rewritten
+// to /api/stripe?action=earnings). format=csv returns the itemized bookings
+// as a download instead of JSON.
+// Method and Firebase auth are enforced by the router guards.
+// Firestore: composite index on bookings (providerStripeAccountId ASC,
+// createdAt ASC).
+
+const Stripe = require('stripe');
+const { adminDb } = require('../firebase-admin');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const PAID = new Set(['confirmed', 'partially_refunded', 'refunded', 'disputed', 'dispute_lost']);
+
+function bookingLine(doc) {
+  const b = doc.data();
+  const created = b.createdAt && b.createdAt.toDate ? b.createdAt.toDate() : new Date(b.createdAt);
+  const gross = b.amount || 0;
+  const refunds = Math.min(b.refundedAmount || 0, gross);
+  const fee = b.platformFeeAmount || 0;
+  const feeRefunded = gross ? Math.round(fee * (refunds / gross)) : 0;
+  const disputesLost = b.status === 'dispute_lost' ? gross - refunds : 0;
+  const platformFee = fee - feeRefunded;
+  return {
+    bookingId: doc.id,
+    date: created.toISOString().slice(0, 10),
+    month: created.toISOString().slice(0, 7),
+    offeringTitle: b.offeringTitle || '',
+    status: b.status,
+    currency: b.currency || 'usd',
+    gross,
+    platformFee,
+    refunds,
+    disputesLost,
+    net: gross - platformFee - refunds - disputesLost,
+  };
+}
+
+const emptyBucket = (fields) => ({ ...fields, bookings: 0, gross: 0, platformFee: 0, refunds: 0, disputesLost: 0, net: 0 });
+
+// → { months: [{ month, currency, …sums }], totals: [{ currency, …sums }] }
+function summarize(lines) {
+  const months = new Map();
+  const totals = new Map();
+  for (const l of lines) {
+    const monthKey = `${l.month}|${l.currency}`;
+    if (!months.has(monthKey)) months.set(monthKey, emptyBucket({ month: l.month, currency: l.currency }));
+    if (!totals.has(l.currency)) totals.set(l.currency, emptyBucket({ currency: l.currency }));
+    for (const bucket of [months.get(monthKey), totals.get(l.currency)]) {
+      bucket.bookings += 1;
+      bucket.gross += l.gross;
+      bucket.platformFee += l.platformFee;
+      bucket.refunds += l.refunds;
+      bucket.disputesLost += l.disputesLost;
+      bucket.net += l.net;
+    }
+  }
+  return {
+    months: [...months.values()].sort((a, b) => a.month.localeCompare(b.month) || a.currency.localeCompare(b.currency)),
+    totals: [...totals.values()].sort((a, b) => a.currency.localeCompare(b.currency)),
+  };
+}
+
+// Text a spreadsheet would run as a formula (an offering titled "=HYPERLINK(…)")
+// gets a leading apostrophe; plain numbers like -12.50 are left alone.
+function csvCell(v) {
+  let s = String(v == null ? '' : v);
+  if (/^[=+\-@\t\r]/.test(s) && !/^-?\d+(\.\d+)?$/.test(s)) s = `'${s}`;
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(lines) {
+  const dollars = (c) => (c / 100).toFixed(2);
+  const rows = [['Date', 'Booking', 'Offering', 'Status', 'Currency', 'Gross', 'Platform fee', 'Refunds', 'Disputes lost', 'Net']];
+  lines.forEach((l) => rows.push([
+    l.date, l.bookingId, l.offeringTitle, l.status, l.currency.toUpperCase(),
+    dollars(l.gross), dollars(l.platformFee), dollars(l.refunds), dollars(l.disputesLost), dollars(l.net),
+  ]));
+  return rows.map((r) => r.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Live numbers from the connected account. Never fails the summary.
+async function stripeSide(accountId) {
+  try {
+    const [balance, payouts] = await Promise.all([
+      stripe.balance.retrieve({}, { stripeAccount: accountId }),
+      stripe.payouts.list({ limit: 20 }, { stripeAccount: accountId }),
+    ]);
+    return {
+      balance: {
+        available: balance.available.map((b) => ({ amount: b.amount, currency: b.currency })),
+        pending: balance.pending.map((b) => ({ amount: b.amount, currency: b.currency })),
+      },
+      payouts: payouts.data.map((p) => ({
+        id: p.id,
+        amount: p.amount,
+        currency: p.currency,
+        status: p.status,
+        arrivalDate: new Date(p.arrival_date * 1000).toISOString().slice(0, 10),
+      })),
+    };
+  } catch (err) {
+    console.error('[earnings] Stripe balance/payouts failed:', err.message);
+    return { balance: null, payouts: null, stripeError: 'Stripe balance unavailable right now' };
+  }
+}
+
+module.exports = async function handler(req, res, ctx) {
+  const year = parseInt((req.query || {}).year, 10) || new Date().getUTCFullYear();
+  if (year < 2020 || year > 2100) return res.status(400).json({ error: 'Invalid year' });
+  const asCsv = (req.query || {}).format === 'csv';
+
+  try {
+    const userSnap = await adminDb.collection('users').doc(ctx.uid).get();
+    const accountId = userSnap.exists ? userSnap.data().stripeConnectAccountId : null;
+    if (!accountId) return res.status(404).json({ error: 'No Connect account found' });
+
+    const snap = await adminDb.collection('bookings')
+      .where('providerStripeAccountId', '==', accountId)
+      .where('createdAt', '>=', new Date(Date.UTC(year, 0, 1)))
+      .where('createdAt', '<', new Date(Date.UTC(year + 1, 0, 1)))
+      .orderBy('createdAt', 'asc')
+      .get();
+    const lines = snap.docs.filter((d) => PAID.has(d.data().status)).map(bookingLine);
+
+    if (asCsv) {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="nave-earnings-${year}.csv"`);
+      return res.status(200).send(toCsv(lines));
+    }
+
+    const { months, totals } = summarize(lines);
+    const live = await stripeSide(accountId);
+    return res.status(200).json({ year, accountId, totals, months, ...live });
+  } catch (err) {
+    console.error('Error building earnings summary:', err);
+    return res.status(500).json({ error: 'Failed to load earnings' });
+  }
+};
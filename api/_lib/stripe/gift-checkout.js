@@ -0,0 +1,72 @@
+// "Gift Nave+": the signed-in user pays once for N months of Nave+ for
+// someone else, by email. Creates gifts/{giftId} (status 'pending') and a
+// Stripe Checkout session; the rest happens in ./gifts.js when the payment
+// completes.
+//
+// External URL: POST /api/gift-checkout (rewritten to
+// /api/stripe?action=gift-checkout). Returns { sessionUrl, giftId }.
+// Body: { recipientEmail, months: 3|6|12, message? }
+// Method, Firebase auth and body shape are enforced by the router guards.
+
+const Stripe = require('stripe');
+const { adminDb } = require('../firebase-admin');
+const { giftPrice } = require('./gifts');
+const { displayName } = require('../notify/membership');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+function getOrigin(req) {
+  const proto = req.headers['x-forwarded-proto'] || 'https';
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  return `${proto}://${host}`;
+}
+
+module.exports = async function handler(req, res, ctx) {
+  const { months, message } = ctx.body;
+  const recipientEmail = ctx.body.recipientEmail.trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipientEmail)) {
+    return res.status(400).json({ error: 'Enter a valid email address' });
+  }
+  if (!process.env.STRIPE_SUBSCRIPTION_PRICE_ID) {
+    return res.status(500).json({ error: 'Stripe subscription price not configured' });
+  }
+
+  try {
+    const { amount, currency } = await giftPrice(months);
+    const giftRef = adminDb.collection('gifts').doc();
+    await giftRef.set({
+      purchaserUid: ctx.uid,
+      purchaserEmail: ctx.token.email || null,
+      purchaserName: await displayName(ctx.uid),
+      recipientEmail,
+      months,
+      message: (message || '').trim() || null,
+      amount,
+      currency,
+      status: 'pending',
+      createdAt: new Date(),
+    });
+
+    const session = await stripe.checkout.sessions.create({
+      mode: 'payment',
+      customer_email: ctx.token.email || undefined,
+      line_items: [{
+        quantity: 1,
+        price_data: {
+          currency,
+          unit_amount: amount,
+          product_data: { name: `Nave+ gift — ${months} months`, description: `For ${recipientEmail}` },
+        },
+      }],
+      metadata: { kind: 'gift', giftId: giftRef.id, firebaseUserId: ctx.uid },
+      success_url: `${getOrigin(req)}/join?gift=sent`,
+      cancel_url: `${getOrigin(req)}/join?canceled=true`,
+    });
+
+    await giftRef.update({ stripeSessionId: session.id });
+    return res.status(200).json({ sessionUrl: session.url, giftId: giftRef.id });
+  } catch (err) {
+    console.error('Error creating gift checkout:', err);
+    return res.status(500).json({ error: 'Failed to create gift checkout' });
+  }
+};
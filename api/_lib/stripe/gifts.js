@@ -0,0 +1,195 @@
+// Gifted Nave+: one user pays for N months for someone else, identified by
+// email. Lifecycle of gifts/{giftId}:
+//
+//   pending   — checkout created (./gift-checkout.js)
+//   paid      — checkout.session.completed (api/stripe-webhook.js); if the
+//               email belongs to a Nave account that has verified it, it's
+//               granted right away
+//   redeemed  — granted to recipientUid (here, or ./redeem-gift.js once the
+//               recipient signs in with that email, verified)
+//
+// Granting goes through Stripe so the existing subscription webhooks keep
+// users.subscription in sync:
+//   • no current subscription → a subscription whose trial covers the gift
+//     and that cancels at the end unless they add a card
+//   • already subscribed      → the gift amount as customer balance credit,
+//     which pays their next invoices
+//   • subscribed through Apple → deferred: the gift stays `paid` with
+//     deferredUid set, and is granted once that subscription stops granting
+//     access (./apple-notifications.js calls grantDeferredGifts) — Stripe
+//     can't credit an App Store bill, and a second subscription would
+//     overwrite the Apple record
+
+const Stripe = require('stripe');
+const { admin, adminDb, adminAuth } = require('../firebase-admin');
+const { isEntitled, sourceOf, canReplace } = require('../subscription');
+const { getTransporter, mailConfigured, fromAddress } = require('../mailer');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const GIFT_MONTHS = [3, 6, 12];
+const BASE_URL = process.env.PUBLIC_BASE_URL || 'https://catholicnave.com';
+
+async function giftPrice(months) {
+  const price = await stripe.prices.retrieve(process.env.STRIPE_SUBSCRIPTION_PRICE_ID);
+  return { amount: price.unit_amount * months, currency: price.currency };
+}
+
+async function ensureCustomer(uid, email) {
+  const userRef = adminDb.collection('users').doc(uid);
+  const snap = await userRef.get();
+  const user = snap.exists ? snap.data() : {};
+  if (user.stripeCustomerId) return { stripeCustomerId: user.stripeCustomerId, user };
+  const customer = await stripe.customers.create({ email: email || user.email || null, metadata: { firebaseUserId: uid } });
+  await userRef.set({ stripeCustomerId: customer.id }, { merge: true });
+  return { stripeCustomerId: customer.id, user };
+}
+
+// Applies a paid gift to uid. Returns 'credit' or 'subscription' if this
+// call granted it, 'deferred' if the recipient pays through Apple, else null.
+async function grantGift(giftId, uid, email) {
+  const giftRef = adminDb.collection('gifts').doc(giftId);
+  const userSnap = await adminDb.collection('users').doc(uid).get();
+  const existing = userSnap.exists ? userSnap.data().subscription : null;
+  if (isEntitled(existing) && sourceOf(existing) === 'apple') {
+    await giftRef.update({ deferredUid: uid, deferredReason: 'apple_subscription' });
+    return 'deferred';
+  }
+
+  const gift = await adminDb.runTransaction(async (tx) => {
+    const snap = await tx.get(giftRef);
+    if (!snap.exists || snap.data().status !== 'paid') return null;
+    tx.update(giftRef, { status: 'redeemed', recipientUid: uid, redeemedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return snap.data();
+  });
+  if (!gift) return null;
+
+  try {
+    const { stripeCustomerId, user } = await ensureCustomer(uid, email);
+    const current = user.subscription || null;
+    if (sourceOf(current) === 'apple' && isEntitled(current)) {
+      // Subscribed through Apple since the check above; try again later.
+      await giftRef.update({ status: 'paid', recipientUid: null, redeemedAt: null, deferredUid: uid, deferredReason: 'apple_subscription' });
+      return 'deferred';
+    }
+    if (sourceOf(current) === 'stripe' && current?.stripeSubscriptionId && (isEntitled(current) || current.status === 'past_due')) {
+      await stripe.customers.createBalanceTransaction(stripeCustomerId, {
+        amount: -gift.amount,
+        currency: gift.currency,
+        description: `Nave+ gift: ${gift.months} months from ${gift.purchaserName || 'a friend'}`,
+        metadata: { giftId },
+      });
+      await giftRef.update({ grantedAs: 'credit' });
+      return 'credit';
+    }
+
+    const subscription = await stripe.subscriptions.create({
+      customer: stripeCustomerId,
+      items: [{ price: process.env.STRIPE_SUBSCRIPTION_PRICE_ID }],
+      trial_period_days: Math.min(gift.months * 30, 730),
+      trial_settings: { end_behavior: { missing_payment_method: 'cancel' } },
+      metadata: { firebaseUserId: uid, plan: 'gift', giftId },
+    });
+    // The whole record is replaced, so nothing from an earlier (lapsed)
+    // Apple subscription is left behind.
+    const userRef = adminDb.collection('users').doc(uid);
+    await adminDb.runTransaction(async (tx) => {
+      const snap = await tx.get(userRef);
+      if (!canReplace(snap.data().subscription, 'stripe', subscription.id)) return;
+      tx.update(userRef, {
+        subscription: {
+          status: subscription.status,
+          source: 'stripe',
+          stripeSubscriptionId: subscription.id,
+          stripePriceId: process.env.STRIPE_SUBSCRIPTION_PRICE_ID,
+          plan: 'gift',
+          currentPeriodEnd: new Date(subscription.trial_end * 1000),
+          trialEnd: new Date(subscription.trial_end * 1000),
+          cancelAtPeriodEnd: false,
+          updatedAt: new Date(),
+        },
+      });
+    });
+    await giftRef.update({ grantedAs: 'subscription', stripeSubscriptionId: subscription.id });
+    return 'subscription';
+  } catch (err) {
+    // Put it back so the recipient (or a retry) can claim it again.
+    await giftRef.update({ status: 'paid', recipientUid: null, redeemedAt: null, grantError: err.message });
+    throw err;
+  }
+}
+
+// Grants gifts held back while uid was subscribed through Apple. Returns how
+// many were granted.
+async function grantDeferredGifts(uid) {
+  const snap = await adminDb.collection('gifts')
+    .where('deferredUid', '==', uid)
+    .where('status', '==', 'paid')
+    .get();
+  let granted = 0;
+  for (const doc of snap.docs) {
+    const outcome = await grantGift(doc.id, uid, doc.data().recipientEmail);
+    if (outcome === 'credit' || outcome === 'subscription') granted += 1;
+  }
+  return granted;
+}
+
+// `outcome` is grantGift's result.
+async function emailRecipient(gift, outcome) {
+  if (!mailConfigured()) return;
+  const from = gift.purchaserName || 'Someone';
+  const lines = [
+    `${from} gave you ${gift.months} months of Nave+.`,
+    '',
+    gift.message ? `"${gift.message}"` : null,
+    gift.message ? '' : null,
+    outcome === 'deferred'
+      ? 'You already have Nave+ through the App Store, so we\'re saving your gift: it starts as soon as that subscription ends. Turn off auto-renew in your App Store settings whenever you\'re ready.'
+      : outcome
+        ? 'It\'s active on your account now — just open Nave.'
+        : `To claim it, sign in to Nave (or create your account) with this email address and confirm it: ${BASE_URL}/join`,
+    '',
+    '— The Nave Team',
+  ].filter((l) => l !== null);
+  await getTransporter().sendMail({
+    from: fromAddress(),
+    to: gift.recipientEmail,
+    subject: `${from} gave you Nave+`,
+    text: lines.join('\n'),
+  });
+}
+
+// checkout.session.completed for a gift (metadata.kind === 'gift').
+async function handleGiftPaid(session) {
+  const giftId = (session.metadata || {}).giftId;
+  if (!giftId) return;
+  const giftRef = adminDb.collection('gifts').doc(giftId);
+  const gift = await adminDb.runTransaction(async (tx) => {
+    const snap = await tx.get(giftRef);
+    if (!snap.exists || snap.data().status !== 'pending') return null;
+    tx.update(giftRef, {
+      status: 'paid',
+      paidAt: admin.firestore.FieldValue.serverTimestamp(),
+      stripeSessionId: session.id,
+      stripePaymentIntentId: session.payment_intent || null,
+    });
+    return snap.data();
+  });
+  if (!gift) return; // replayed event
+
+  // Same bar as ./redeem-gift.js: an account that hasn't verified the
+  // address (anyone can sign up with it) has to claim the gift there.
+  let outcome = null;
+  try {
+    const recipient = await adminAuth.getUserByEmail(gift.recipientEmail);
+    if (recipient.emailVerified) outcome = await grantGift(giftId, recipient.uid, gift.recipientEmail);
+  } catch (err) {
+    if (err.code !== 'auth/user-not-found') console.error('[gifts] grant failed:', err.message);
+  }
+  try {
+    await emailRecipient(gift, outcome);
+  } catch (err) {
+    console.error('[gifts] recipient email failed:', err.message);
+  }
+}
+
+module.exports = { GIFT_MONTHS, giftPrice, grantGift, grantDeferredGifts, handleGiftPaid };
@@ -0,0 +1,57 @@
+// A donor's giving statements on demand (./statements.js). The current year
+// is year to date; past years are also saved, replacing January's copy if a
+// refund has changed them since.
+//
+// External URL: GET /api/giving-statement (rewritten to
+// /api/stripe?action=giving-statement).
+//   ?year=2026                           → { year, statements: [{ entityType,
+//                                            entityId, entityName, total, giftCount, currency }] }
+//   ?year=2026&entityType=…&entityId=…   → the PDF
+// Method and Firebase auth are enforced by the router guards.
+
+const { donorGifts, buildStatement } = require('./statements');
+const { findEntity } = require('./donations');
+
+module.exports = async (req, res, ctx) => {
+  const { entityType, entityId } = req.query || {};
+  const thisYear = new Date().getUTCFullYear();
+  const year = Number((req.query || {}).year) || thisYear;
+  if (!Number.isInteger(year) || year < 2020 || year > thisYear) {
+    return res.status(400).json({ error: 'Invalid year' });
+  }
+
+  try {
+    const groups = await donorGifts(ctx.uid, year);
+
+    if (!entityType && !entityId) {
+      return res.status(200).json({
+        year,
+        statements: [...groups.values()].map((g) => ({
+          entityType: g.entityType,
+          entityId: g.entityId,
+          entityName: g.entityName,
+          total: g.total,
+          giftCount: g.gifts.length,
+          currency: g.currency,
+        })),
+      });
+    }
+
+    const entity = await findEntity(String(entityType || ''), String(entityId || ''));
+    const group = entity && groups.get(entity.ref.path);
+    if (!group) return res.status(404).json({ error: 'No gifts to this listing in that year' });
+
+    const current = year === thisYear;
+    const { pdf, filename } = await buildStatement(ctx.uid, year, group, {
+      store: !current,
+      asOf: current ? new Date() : null,
+    });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.status(200).send(pdf);
+  } catch (err) {
+    console.error('[giving-statement] error:', err);
+    return res.status(500).json({ error: 'Failed to build giving statement' });
+  }
+};
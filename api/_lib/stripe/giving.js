@@ -0,0 +1,100 @@
+// Giving status for a listing (./donations.js).
+//
+// External URL: /api/giving (rewritten to /api/stripe?action=giving).
+//   GET    ?entityType&entityId → { acceptsDonations, fees: { percent, fixed },
+//            monthly: [the caller's active monthly gifts to it],
+//            donors?, totals? — only for the listing's owner }
+//          donors lists the DONOR_LIMIT most recent givers; totals are
+//          aggregated over every donor, not just the listed ones.
+//   DELETE { donationId } → the caller stops one of their monthly gifts
+// Method and (optional) Firebase auth are enforced by the router guards;
+// DELETE needs a signed-in caller.
+
+const Stripe = require('stripe');
+const { admin, adminDb } = require('../firebase-admin');
+const { STRIPE_PERCENT, STRIPE_FIXED, PLATFORM_PERCENT, findEntity, ownerOf, givingAccount, donorsRef } = require('./donations');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const DONOR_LIMIT = 500;
+
+function iso(v) {
+  return v && v.toDate ? v.toDate().toISOString() : null;
+}
+
+async function stopMonthly(req, res, ctx) {
+  if (!ctx.uid) return res.status(401).json({ error: 'Missing Firebase ID token' });
+  const donationId = String((req.body || {}).donationId || '');
+  const snap = donationId ? await adminDb.collection('donations').doc(donationId).get() : null;
+  if (!snap || !snap.exists || snap.data().donorUid !== ctx.uid) {
+    return res.status(404).json({ error: 'Gift not found' });
+  }
+  const donation = snap.data();
+  if (donation.interval !== 'month' || !donation.stripeSubscriptionId) {
+    return res.status(400).json({ error: 'Only monthly gifts can be stopped' });
+  }
+  if (donation.status !== 'canceled') {
+    try {
+      await stripe.subscriptions.cancel(donation.stripeSubscriptionId);
+    } catch (err) {
+      if (err.code !== 'resource_missing') throw err;
+    }
+    // customer.subscription.deleted confirms this and clears the donor's
+    // monthly flag (./donations.js).
+    await snap.ref.update({ status: 'canceled', canceledAt: new Date(), updatedAt: new Date() });
+  }
+  return res.status(200).json({ ok: true, status: 'canceled' });
+}
+
+module.exports = async (req, res, ctx) => {
+  try {
+    if (req.method === 'DELETE') return await stopMonthly(req, res, ctx);
+
+    const { entityType, entityId } = req.query || {};
+    const entity = await findEntity(String(entityType || ''), String(entityId || ''));
+    if (!entity) return res.status(404).json({ error: 'Listing not found' });
+
+    const result = {
+      acceptsDonations: Boolean(await givingAccount(entity.data)),
+      fees: { percent: STRIPE_PERCENT + PLATFORM_PERCENT, fixed: STRIPE_FIXED },
+      monthly: [],
+    };
+    if (!ctx.uid) return res.status(200).json(result);
+
+    const mine = await adminDb.collection('donations')
+      .where('donorUid', '==', ctx.uid)
+      .where('entityPath', '==', entity.ref.path)
+      .get();
+    result.monthly = mine.docs
+      .filter((d) => d.data().interval === 'month' && ['active', 'past_due'].includes(d.data().status))
+      .map((d) => ({ id: d.id, amount: d.data().amount, total: d.data().total, currency: d.data().currency, status: d.data().status, since: iso(d.data().createdAt) }));
+
+    if (ownerOf(entity.data) === ctx.uid) {
+      const all = donorsRef(entity.ref.path);
+      const { AggregateField } = admin.firestore;
+      const [donors, everyone, monthly] = await Promise.all([
+        all.orderBy('lastGiftAt', 'desc').limit(DONOR_LIMIT).get(),
+        all.aggregate({ raised: AggregateField.sum('totalGiven'), donors: AggregateField.count() }).get(),
+        all.where('monthly', '==', true).count().get(),
+      ]);
+      result.donors = donors.docs.map((d) => ({
+        uid: d.id,
+        name: d.data().name || null,
+        email: d.data().email || null,
+        totalGiven: d.data().totalGiven || 0,
+        giftCount: d.data().giftCount || 0,
+        monthly: Boolean(d.data().monthly),
+        firstGiftAt: iso(d.data().firstGiftAt),
+        lastGiftAt: iso(d.data().lastGiftAt),
+      }));
+      result.totals = {
+        raised: everyone.data().raised || 0,
+        donors: everyone.data().donors,
+        monthlyDonors: monthly.data().count,
+      };
+    }
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('[giving] error:', err);
+    return res.status(500).json({ error: 'Failed to load giving' });
+  }
+};
@@ -0,0 +1,79 @@
+// Waitlist for a sold-out retreat or pilgrimage offering (./capacity.js).
+// When a seat frees up it's held for the first person waiting for 24 hours
+// and they're notified; they then book as usual.
+//
+// External URL: /api/offering-waitlist (rewritten to
+// /api/stripe?action=offering-waitlist).
+//   GET    ?entityType&offeringId → { status, position, seatsRemaining }
+//   POST   { entityType, offeringId } → join; 409 while seats are available
+//   DELETE { entityType, offeringId } → leave (gives up an offered seat too)
+// Method and Firebase auth are enforced by the router guards.
+
+const { admin, adminDb } = require('../firebase-admin');
+const { findOffering, capacityOf, waitlistEntries, releaseSeat } = require('./capacity');
+
+async function position(offeringRef, uid) {
+  const waiting = await waitlistEntries(offeringRef).where('status', '==', 'waiting').get();
+  const order = waiting.docs
+    .sort((a, b) => a.data().joinedAt.toMillis() - b.data().joinedAt.toMillis())
+    .map((d) => d.id);
+  const i = order.indexOf(uid);
+  return i === -1 ? null : i + 1;
+}
+
+module.exports = async (req, res, ctx) => {
+  const src = req.method === 'GET' ? (req.query || {}) : (req.body || {});
+  const entityType = String(src.entityType || '');
+  const offeringId = String(src.offeringId || '');
+
+  try {
+    const offering = await findOffering(entityType, offeringId);
+    if (!offering) return res.status(404).json({ error: 'Offering not found' });
+    if (!capacityOf(offering.data)) {
+      return res.status(400).json({ error: 'This offering has no seat limit' });
+    }
+    const entryRef = waitlistEntries(offering.ref).doc(ctx.uid);
+    const seatsRemaining = offering.data.seatsRemaining ?? capacityOf(offering.data);
+
+    if (req.method === 'GET') {
+      const entry = await entryRef.get();
+      const status = entry.exists ? entry.data().status : null;
+      return res.status(200).json({
+        status,
+        position: status === 'waiting' ? await position(offering.ref, ctx.uid) : null,
+        seatsRemaining,
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const entry = await entryRef.get();
+      if (!entry.exists) return res.status(200).json({ status: null });
+      if (entry.data().status === 'offered') await releaseSeat(entry.data().holdId, 'declined');
+      await entryRef.delete();
+      return res.status(200).json({ status: null });
+    }
+
+    if (seatsRemaining > 0) {
+      return res.status(409).json({ error: 'Spots are still available — book now', reason: 'not_sold_out', seatsRemaining });
+    }
+    const created = await adminDb.runTransaction(async (tx) => {
+      const entry = await tx.get(entryRef);
+      if (entry.exists && ['waiting', 'offered'].includes(entry.data().status)) return false;
+      tx.set(entryRef, {
+        uid: ctx.uid,
+        status: 'waiting',
+        joinedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return true;
+    });
+    const entry = (await entryRef.get()).data();
+    return res.status(created ? 201 : 200).json({
+      status: entry.status,
+      position: entry.status === 'waiting' ? await position(offering.ref, ctx.uid) : null,
+      seatsRemaining,
+    });
+  } catch (err) {
+    console.error('Error updating offering waitlist:', err);
+    return res.status(500).json({ error: 'Failed to update waitlist' });
+  }
+};
@@ -6,73 +6,199 @@ if (!admin.apps.length) {
     credential: admin.credential.cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)),
   });
 }
-const adminAuth = admin.auth();
+const adminDb = admin.firestore();
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const { canAcceptCharges, syncConnectAccount } = require('./connect-status');
+const { findOffering, reserveSeat, attachPaymentIntent, releaseSeat } = require('./capacity');
+const { ownerOf } = require('./donations');
 
-module.exports = async function handler(req, res) {
-  if (req.method !== 'POST') {
-    res.setHeader('Allow', 'POST');
-    return res.status(405).json({ error: 'Method not allowed' });
+// Offerings link to the listing that publishes them; whoever owns that
+// listing is paid.
+const PARENT_LINKS = [
+  ['organizationId', ['retreatOrganizations', 'retreats']],
+  ['siteId', ['pilgrimageSites']],
+  ['pilgrimageId', ['pilgrimageSites', 'pilgrimageOfferings']],
+];
+
+async function offeringOwner(offering) {
+  if (ownerOf(offering.data)) return ownerOf(offering.data);
+  for (const [field, collections] of PARENT_LINKS) {
+    if (!offering.data[field]) continue;
+    for (const name of collections) {
+      const snap = await adminDb.collection(name).doc(String(offering.data[field])).get();
+      if (snap.exists && ownerOf(snap.data())) return ownerOf(snap.data());
+    }
   }
+  return null;
+}
+
+// The Connect account the booking pays: the offering owner's, never one the
+// client names. { accountId: null } when the owner has none (the platform
+// takes the payment, as before Connect). The mirrored status is trusted when
+// it says yes; otherwise ask Stripe (accounts onboarded before the webhook
+// sync existed, or a missed account.updated) before refusing.
+async function providerAccount(offering) {
+  const ownerUid = await offeringOwner(offering);
+  if (!ownerUid) return { accountId: null };
+  const snap = await adminDb.collection('users').doc(ownerUid).get();
+  const owner = snap.exists ? snap.data() : {};
+  if (!owner.stripeConnectAccountId) return { accountId: null };
+  if (canAcceptCharges(owner.stripeConnect)) return { accountId: owner.stripeConnectAccountId };
+
+  const status = await syncConnectAccount(await stripe.accounts.retrieve(owner.stripeConnectAccountId));
+  if (canAcceptCharges(status)) return { accountId: owner.stripeConnectAccountId };
+  return { error: 'This provider can\'t accept payments yet', code: 409 };
+}
+
+// Open intents worth handing back on a retry: not yet paid, not canceled.
+const REUSABLE_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+function cacheRef(uid, offeringRef) {
+  return adminDb.collection('paymentIntentCache').doc(`${uid}_${offeringRef.parent.id}_${offeringRef.id}`);
+}
+
+// The caller's last intent for this offering if it can still be paid as-is
+// (or is mid-payment), else null. Once it has gone through (or been canceled) the entry is
+// dropped, so buying again — a second seat, or after a refund — starts fresh.
+async function cachedIntent(ref, { amount, currency, destination }) {
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+  let intent;
+  try {
+    intent = await stripe.paymentIntents.retrieve(snap.data().paymentIntentId);
+  } catch (err) {
+    if (err.code !== 'resource_missing') throw err;
+  }
+  if (!intent || intent.status === 'succeeded' || intent.status === 'canceled') {
+    await ref.delete();
+    return null;
+  }
+  if (intent.status === 'processing') return intent;
+  const same = intent.amount === amount && intent.currency === currency
+    && (intent.transfer_data?.destination || null) === (destination || null);
+  return same && REUSABLE_STATUSES.includes(intent.status) ? intent : null;
+}
 
+// Method, Firebase auth and body shape are checked by the router's guards
+// (api/stripe.js); ctx.uid is the verified caller.
+//
+// The charge is the offering's stored price — `amount` from the client must
+// match it (400 reason 'price_mismatch' otherwise, with the right amount) —
+// and goes to the offering owner's Connect account (providerAccount above).
+// Retries are safe: an optional `idempotencyKey` is passed to Stripe, and the
+// caller's open intent for the same offering (paymentIntentCache/{uid}_
+// {collection}_{offeringId}) is handed back instead of creating another.
+//
+// Offerings with a seat limit (./capacity.js) get a seat reserved before the
+// intent is looked up or created — 409 { reason: 'sold_out', waitlist: true }
+// when none are left. Reserving first matters: it cancels the intent on the
+// caller's own lapsed hold, which must then not be handed back. The hold id
+// travels in the intent's metadata so the webhook can confirm or release it.
+module.exports = async function handler(req, res, ctx) {
   const {
-    firebaseIdToken,
     amount,
-    currency,
+    currency: requestedCurrency,
     offeringId,
-    offeringTitle,
     entityType,
     entityId,
-    providerStripeAccountId,
+    idempotencyKey,
   } = req.body || {};
 
-  if (!firebaseIdToken) {
-    return res.status(401).json({ error: 'Missing Firebase ID token' });
-  }
-  if (!amount || amount <= 0) {
-    return res.status(400).json({ error: 'Invalid amount' });
-  }
-  if (!offeringTitle) {
-    return res.status(400).json({ error: 'Missing offering title' });
-  }
+  const userId = ctx.uid;
 
-  let decodedToken;
   try {
-    decodedToken = await adminAuth.verifyIdToken(firebaseIdToken);
-  } catch (err) {
-    return res.status(401).json({ error: 'Invalid Firebase ID token' });
-  }
+    const offering = await findOffering(entityType, offeringId);
+    if (!offering) return res.status(404).json({ error: 'Offering not found' });
+    const price = Math.round(Number(offering.data.price) * 100);
+    if (!(price > 0)) return res.status(400).json({ error: 'This offering can\'t be booked online' });
+    const currency = (offering.data.currency || 'usd').toLowerCase();
+    if (Math.round(amount) !== price || (requestedCurrency && requestedCurrency.toLowerCase() !== currency)) {
+      return res.status(400).json({ error: 'The price of this offering has changed', reason: 'price_mismatch', amount: price, currency });
+    }
+    const offeringTitle = offering.data.title || offering.data.destination || req.body.offeringTitle;
+
+    const provider = await providerAccount(offering);
+    if (provider.error) {
+      return res.status(provider.code).json({ error: provider.error, reason: 'provider_not_ready' });
+    }
+    const destination = provider.accountId;
 
-  const userId = decodedToken.uid;
+    const seat = await reserveSeat({ entityType, offeringId, uid: userId });
+    if (seat.error === 'sold_out') {
+      return res.status(409).json({ error: 'This offering is sold out', reason: 'sold_out', waitlist: true });
+    }
 
-  try {
-    const intentParams = {
-      amount: Math.round(amount),
-      currency: currency || 'usd',
-      payment_method_types: ['card'],
-      metadata: {
-        firebaseUserId: userId,
-        entityType: entityType || '',
-        entityId: entityId || '',
-        offeringId: offeringId || '',
-        offeringTitle: offeringTitle || '',
-      },
-    };
-
-    // Stripe Connect: split payment with platform fee
-    if (providerStripeAccountId) {
-      intentParams.application_fee_amount = Math.round(amount * 0.10); // 10% platform fee
-      intentParams.transfer_data = {
-        destination: providerStripeAccountId,
+    const cache = cacheRef(userId, offering.ref);
+    const existing = await cachedIntent(cache, { amount: price, currency, destination });
+    if (existing && existing.status === 'processing') {
+      return res.status(409).json({ error: 'Your payment for this offering is still processing', reason: 'payment_processing' });
+    }
+    let paymentIntent = existing;
+    if (!paymentIntent) {
+      const intentParams = {
+        amount: price,
+        currency,
+        payment_method_types: ['card'],
+        metadata: {
+          firebaseUserId: userId,
+          entityType: entityType || '',
+          entityId: entityId || '',
+          offeringId: offeringId || '',
+          offeringTitle: offeringTitle || '',
+          ...(seat.holdId ? { seatHoldId: seat.holdId } : {}),
+        },
       };
-      intentParams.metadata.providerStripeAccountId = providerStripeAccountId;
+
+      // Stripe Connect: split payment with platform fee
+      if (destination) {
+        intentParams.application_fee_amount = Math.round(price * 0.10); // 10% platform fee
+        intentParams.transfer_data = { destination };
+        intentParams.metadata.providerStripeAccountId = destination;
+      }
+
+      try {
+        // Scoped to the caller so one user's key can never return another's
+        // intent, and to the hold so a retry after it lapsed (and its intent
+        // was canceled) gets a new one.
+        paymentIntent = await stripe.paymentIntents.create(
+          intentParams,
+          idempotencyKey ? { idempotencyKey: ['pi', userId, idempotencyKey, seat.holdId].filter(Boolean).join('_') } : undefined,
+        );
+      } catch (err) {
+        if (seat.holdId && !seat.previousPaymentIntentId) await releaseSeat(seat.holdId, 'intent_failed');
+        if (err.type === 'StripeIdempotencyError') {
+          return res.status(409).json({ error: 'idempotencyKey was already used for a different payment', reason: 'idempotency_key_reused' });
+        }
+        throw err;
+      }
+      if (paymentIntent.status === 'canceled') {
+        return res.status(409).json({ error: 'This checkout has expired — please start again', reason: 'checkout_expired' });
+      }
+      await cache.set({
+        paymentIntentId: paymentIntent.id,
+        amount: price,
+        currency,
+        idempotencyKey: idempotencyKey || null,
+        createdAt: new Date(),
+      });
+    } else if (seat.holdId && paymentIntent.metadata.seatHoldId !== seat.holdId) {
+      await stripe.paymentIntents.update(paymentIntent.id, { metadata: { seatHoldId: seat.holdId } });
     }
 
-    const paymentIntent = await stripe.paymentIntents.create(intentParams);
+    if (seat.holdId) {
+      await attachPaymentIntent(seat.holdId, paymentIntent.id);
+      // A retried checkout moves the hold to the new intent; the old one
+      // must not be able to pay for the same seat.
+      if (seat.previousPaymentIntentId && seat.previousPaymentIntentId !== paymentIntent.id) {
+        await stripe.paymentIntents.cancel(seat.previousPaymentIntentId).catch(() => {});
+      }
+    }
 
     return res.status(200).json({
       clientSecret: paymentIntent.client_secret,
       publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+      paymentIntentId: paymentIntent.id,
+      reused: paymentIntent === existing,
     });
   } catch (err) {
     console.error('Error creating payment intent:', err);
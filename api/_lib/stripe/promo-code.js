@@ -0,0 +1,25 @@
+// Checks a Nave+ promo code before checkout so the join page can show what
+// it unlocks. Redemption itself happens at checkout (subscription-checkout.js).
+//
+// External URL: GET /api/promo-code?code=SENT2026 (rewritten to
+// /api/stripe?action=promo-code).
+// Method and Firebase auth are enforced by the router guards.
+
+const { resolvePromo, trialDaysFor } = require('./promo');
+
+module.exports = async function handler(req, res, ctx) {
+  try {
+    const { promo, error } = await resolvePromo((req.query || {}).code, ctx.uid);
+    if (error) return res.status(200).json({ valid: false, error });
+    return res.status(200).json({
+      valid: true,
+      code: promo.code,
+      partnerName: promo.partnerName || null,
+      trialDays: trialDaysFor(promo),
+      hasDiscount: Boolean(promo.stripeCouponId),
+    });
+  } catch (err) {
+    console.error('Error checking promo code:', err);
+    return res.status(500).json({ error: 'Failed to check promo code' });
+  }
+};
@@ -0,0 +1,123 @@
+// Partner promo codes for Nave+ (a parish or apostolate hands out its own
+// code). Our own `promoCodes` collection, doc id = the code in upper case:
+//
+//   promoCodes/{CODE} = {
+//     partnerName, entityType, entityId,   // who the code belongs to
+//     stripeCouponId?,                      // discount applied at checkout
+//     trialDays?,                           // replaces the default 30-day trial
+//     active, expiresAt?, maxRedemptions?,
+//     redemptionCount,                      // maintained here
+//   }
+//   promoCodes/{CODE}/redemptions/{uid} = {
+//     uid, status: 'reserved'|'redeemed', source, reservedAt,
+//     subscriptionId?, redeemedAt?
+//   }
+//
+// One redemption per user per code. Checkout reserves a redemption before
+// sending the user to Stripe, so maxRedemptions holds even when several
+// people check out at once: the cap check and the count both happen in one
+// transaction, and redemptionCount includes reservations. The reservation
+// becomes 'redeemed' when the subscription exists, or is released (and the
+// count given back) if checkout fails or its session expires. Counts feed
+// the partner dashboard (api/_lib/app/dashboard-data.js).
+
+const { admin, adminDb } = require('../firebase-admin');
+
+const DEFAULT_TRIAL_DAYS = 30;
+
+function normalize(code) {
+  return String(code || '').trim().toUpperCase().replace(/[^A-Z0-9_-]/g, '');
+}
+
+// Why a code can't be used right now, or null.
+function unusable(snap) {
+  if (!snap.exists || snap.data().active === false) return 'That promo code isn\'t valid';
+  const promo = snap.data();
+  if (promo.expiresAt && promo.expiresAt.toMillis() < Date.now()) return 'That promo code has expired';
+  if (promo.maxRedemptions && (promo.redemptionCount || 0) >= promo.maxRedemptions) {
+    return 'That promo code has been fully redeemed';
+  }
+  return null;
+}
+
+// Read-only check for showing a code before checkout. Returns { promo } for
+// a usable code, or { error } explaining why not.
+async function resolvePromo(code, uid) {
+  const id = normalize(code);
+  if (!id) return { error: 'Enter a promo code' };
+  const ref = adminDb.collection('promoCodes').doc(id);
+  const redemption = uid ? (await ref.collection('redemptions').doc(uid).get()).data() : null;
+  if (redemption && redemption.status !== 'reserved') return { error: 'You\'ve already used this promo code' };
+  const snap = await ref.get();
+  // The user's own reservation already counts toward the cap.
+  const error = redemption ? (snap.exists ? null : 'That promo code isn\'t valid') : unusable(snap);
+  return error ? { error } : { promo: { code: id, ...snap.data() } };
+}
+
+// Holds one of the code's redemptions for `uid` while they check out.
+// Checking out again reuses the same reservation. → { promo } | { error }
+async function reserveRedemption(code, uid, { source = 'web' } = {}) {
+  const id = normalize(code);
+  if (!id) return { error: 'Enter a promo code' };
+  const ref = adminDb.collection('promoCodes').doc(id);
+  const redemptionRef = ref.collection('redemptions').doc(uid);
+  return adminDb.runTransaction(async (tx) => {
+    const [snap, redemption] = await Promise.all([tx.get(ref), tx.get(redemptionRef)]);
+    if (redemption.exists) {
+      if (redemption.data().status !== 'reserved') return { error: 'You\'ve already used this promo code' };
+      return snap.exists ? { promo: { code: id, ...snap.data() } } : { error: 'That promo code isn\'t valid' };
+    }
+    const error = unusable(snap);
+    if (error) return { error };
+    tx.set(redemptionRef, { uid, status: 'reserved', source, reservedAt: admin.firestore.FieldValue.serverTimestamp() });
+    tx.update(ref, { redemptionCount: admin.firestore.FieldValue.increment(1) });
+    return { promo: { code: id, ...snap.data() } };
+  });
+}
+
+// Gives a reservation back (checkout failed or expired). Redeemed ones stay.
+async function releaseRedemption(code, uid) {
+  const ref = adminDb.collection('promoCodes').doc(normalize(code));
+  const redemptionRef = ref.collection('redemptions').doc(uid);
+  await adminDb.runTransaction(async (tx) => {
+    const redemption = await tx.get(redemptionRef);
+    if (!redemption.exists || redemption.data().status !== 'reserved') return;
+    tx.delete(redemptionRef);
+    tx.update(ref, { redemptionCount: admin.firestore.FieldValue.increment(-1) });
+  });
+}
+
+function trialDaysFor(promo) {
+  return promo && promo.trialDays ? Math.min(promo.trialDays, 730) : DEFAULT_TRIAL_DAYS;
+}
+
+// Marks the user's redemption as used once the subscription exists. Without
+// a reservation (a checkout started before reservations existed) it takes a
+// redemption now, under the same cap check. Idempotent per user: a replayed
+// webhook doesn't count twice. Returns false if the code was already full.
+async function recordRedemption(code, uid, { subscriptionId = null, source = 'web' } = {}) {
+  const ref = adminDb.collection('promoCodes').doc(normalize(code));
+  const redemptionRef = ref.collection('redemptions').doc(uid);
+  return adminDb.runTransaction(async (tx) => {
+    const [snap, redemption] = await Promise.all([tx.get(ref), tx.get(redemptionRef)]);
+    const redeemed = { status: 'redeemed', subscriptionId, redeemedAt: admin.firestore.FieldValue.serverTimestamp() };
+    if (redemption.exists) {
+      if (redemption.data().status === 'reserved') tx.update(redemptionRef, redeemed);
+      return true;
+    }
+    if (unusable(snap)) return false;
+    tx.set(redemptionRef, { uid, source, reservedAt: admin.firestore.FieldValue.serverTimestamp(), ...redeemed });
+    tx.update(ref, { redemptionCount: admin.firestore.FieldValue.increment(1) });
+    return true;
+  });
+}
+
+module.exports = {
+  resolvePromo,
+  reserveRedemption,
+  releaseRedemption,
+  recordRedemption,
+  trialDaysFor,
+  normalize,
+  DEFAULT_TRIAL_DAYS,
+};
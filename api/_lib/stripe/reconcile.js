@@ -0,0 +1,241 @@
+// Vercel cron — nightly check that users/{uid}.subscription still matches
+// Stripe. The webhook finds users by stripeCustomerId and silently gives up
+// when none match, and a missed or failed delivery is never retried once
+// Stripe stops trying, so without this a record can drift forever.
+//
+//   1. Every active / trialing / past_due subscription in Stripe is matched
+//      to its user (metadata.firebaseUserId, then stripeCustomerId) and the
+//      record is repaired if status, id, period end or cancel-at-period-end
+//      differ. A missing/wrong users.stripeCustomerId is repaired too.
+//   2. Every user whose Stripe record still says active / trialing /
+//      past_due but whose subscription wasn't in that list is re-read from
+//      Stripe and given its real status (canceled, unpaid, …).
+//
+// A pass that doesn't fit in one run's time budget saves a cursor in the
+// report doc — the Stripe list position (status + last subscription id) or
+// the last user checked in step 2 — and the next run resumes from it with
+// `starting_after`, so a large list is still covered over several nights.
+// Step 2 only starts once step 1 has seen the whole list.
+//
+// Anything we can't fix is reported as an orphan: Stripe customers with a
+// live subscription but no Nave user, customers shared by several users,
+// and users whose subscription no longer exists in Stripe. The current pass
+// is saved to adminReports/subscriptionReconciliation for the admin
+// dashboard (api/_lib/app/dashboard-data.js): a resumed run adds its counts,
+// repairs, orphans and failures to the pass so far, and a new pass starts
+// the report over. Records owned by a live Apple
+// subscription are left alone (see ../subscription.js).
+//
+// Subscriptions with metadata.kind (e.g. recurring donations) aren't Nave+
+// and are skipped.
+//
+// External URL: /api/reconcile-subscriptions (rewritten to
+// /api/stripe?action=reconcile-subscriptions). Daily (Hobby crons are
+// daily-only). Required env: STRIPE_SECRET_KEY, CRON_SECRET.
+
+const Stripe = require('stripe');
+const { admin, adminDb } = require('../firebase-admin');
+const { canReplace } = require('../subscription');
+const { stripePeriodEnd, stripeSubscriptionRecord } = require('./subscription-record');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const LIVE_STATUSES = ['active', 'trialing', 'past_due'];
+const TIME_BUDGET_MS = 25 * 1000;  // stripe function maxDuration is 30s
+const REPORT_LIMIT = 200;
+const USER_PAGE = 100;
+
+function millis(v) {
+  if (!v) return null;
+  if (v.toMillis) return v.toMillis();
+  return v instanceof Date ? v.getTime() : null;
+}
+
+// Field names that differ between the stored record and Stripe.
+function drift(current, sub) {
+  if (!current) return ['missing'];
+  const diffs = [];
+  if (current.stripeSubscriptionId !== sub.id) diffs.push('stripeSubscriptionId');
+  if (current.status !== sub.status) diffs.push('status');
+  const end = stripePeriodEnd(sub);
+  if (millis(current.currentPeriodEnd) !== (end ? end.getTime() : null)) diffs.push('currentPeriodEnd');
+  if (Boolean(current.cancelAtPeriodEnd) !== Boolean(sub.cancel_at_period_end)) diffs.push('cancelAtPeriodEnd');
+  return diffs;
+}
+
+async function usersFor(sub) {
+  const uid = (sub.metadata || {}).firebaseUserId;
+  if (uid) {
+    const snap = await adminDb.collection('users').doc(uid).get();
+    if (snap.exists) return [snap];
+  }
+  const byCustomer = await adminDb.collection('users').where('stripeCustomerId', '==', sub.customer).get();
+  return byCustomer.docs;
+}
+
+async function repair(userDoc, sub, diffs) {
+  const user = userDoc.data();
+  const current = user.subscription;
+  const updates = {};
+  if (user.stripeCustomerId !== sub.customer) updates.stripeCustomerId = sub.customer;
+  if (diffs.includes('missing') || diffs.includes('stripeSubscriptionId') || current.source === 'apple') {
+    updates.subscription = stripeSubscriptionRecord(sub, (sub.metadata || {}).plan || (current && current.plan) || 'monthly');
+  } else {
+    Object.assign(updates, {
+      'subscription.status': sub.status,
+      'subscription.source': 'stripe',
+      'subscription.currentPeriodEnd': stripePeriodEnd(sub),
+      'subscription.trialEnd': sub.trial_end ? new Date(sub.trial_end * 1000) : null,
+      'subscription.cancelAtPeriodEnd': sub.cancel_at_period_end,
+      'subscription.updatedAt': new Date(),
+    });
+  }
+  await userDoc.ref.update(updates);
+}
+
+async function checkSubscription(sub, run) {
+  if ((sub.metadata || {}).kind) return;
+  run.seen.add(sub.id);
+  run.checked++;
+  try {
+    const docs = await usersFor(sub);
+    if (!docs.length) {
+      run.orphans.push({ type: 'customer_without_user', customerId: sub.customer, subscriptionId: sub.id, status: sub.status });
+      return;
+    }
+    if (docs.length > 1) {
+      run.orphans.push({ type: 'shared_customer', customerId: sub.customer, subscriptionId: sub.id, uids: docs.map((d) => d.id) });
+      return;
+    }
+    const userDoc = docs[0];
+    const current = userDoc.data().subscription || null;
+    if (!canReplace(current, 'stripe', sub.id)) { run.otherStore++; return; }
+    const diffs = drift(current, sub);
+    if (!diffs.length && userDoc.data().stripeCustomerId === sub.customer) return;
+    await repair(userDoc, sub, diffs);
+    run.repaired.push({ uid: userDoc.id, subscriptionId: sub.id, fields: diffs.length ? diffs : ['stripeCustomerId'] });
+  } catch (e) {
+    console.error(`[reconcile] ${sub.id} failed:`, e.message);
+    run.failures.push({ subscriptionId: sub.id, error: e.message });
+  }
+}
+
+// A user whose record says live but whose subscription wasn't in Stripe's
+// live list. Subscriptions seen earlier in this run are skipped; ones seen on
+// an earlier night are simply re-read.
+async function checkUser(userDoc, run) {
+  const current = userDoc.data().subscription;
+  if ((current.source || 'stripe') !== 'stripe' || run.seen.has(current.stripeSubscriptionId)) return;
+  try {
+    let sub = null;
+    if (current.stripeSubscriptionId) {
+      sub = await stripe.subscriptions.retrieve(current.stripeSubscriptionId).catch((e) => {
+        if (e.code === 'resource_missing') return null;
+        throw e;
+      });
+    }
+    if (!sub) {
+      run.orphans.push({ type: 'stale_user_status', uid: userDoc.id, subscriptionId: current.stripeSubscriptionId || null, status: current.status });
+      return;
+    }
+    if ((sub.metadata || {}).kind) return;
+    const diffs = drift(current, sub);
+    if (!diffs.length) return;
+    await repair(userDoc, sub, diffs);
+    run.repaired.push({ uid: userDoc.id, subscriptionId: sub.id, fields: diffs });
+  } catch (e) {
+    console.error(`[reconcile] user ${userDoc.id} failed:`, e.message);
+    run.failures.push({ uid: userDoc.id, error: e.message });
+  }
+}
+
+// Step 1 from `cursor` ({ status, startingAfter }). Returns where it stopped,
+// or null once every live status has been listed.
+async function listStripe(cursor, run) {
+  const first = Math.max(0, LIVE_STATUSES.indexOf(cursor.status));
+  for (let i = first; i < LIVE_STATUSES.length; i++) {
+    const status = LIVE_STATUSES[i];
+    let last = i === first ? cursor.startingAfter || null : null;
+    const params = { status, limit: 100 };
+    if (last) params.starting_after = last;
+    for await (const sub of stripe.subscriptions.list(params)) {
+      if (run.outOfTime()) return { phase: 'stripe', status, startingAfter: last };
+      last = sub.id;
+      await checkSubscription(sub, run);
+    }
+  }
+  return null;
+}
+
+// Step 2 from `cursor` ({ startAfter: user id }), in document-id order.
+async function listUsers(cursor, run) {
+  let startAfter = cursor.startAfter || null;
+  for (;;) {
+    let query = adminDb.collection('users')
+      .where('subscription.status', 'in', LIVE_STATUSES)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(USER_PAGE);
+    if (startAfter) query = query.startAfter(startAfter);
+    const page = await query.get();
+    for (const userDoc of page.docs) {
+      if (run.outOfTime()) return { phase: 'users', startAfter };
+      startAfter = userDoc.id;
+      await checkUser(userDoc, run);
+    }
+    if (page.size < USER_PAGE) return null;
+  }
+}
+
+module.exports = async (req, res) => {
+  // CRON_SECRET bearer is checked by the router's cronSecret() guard.
+  const started = Date.now();
+  const run = {
+    seen: new Set(),
+    repaired: [],
+    orphans: [],
+    failures: [],
+    checked: 0,
+    otherStore: 0,
+    outOfTime: () => Date.now() - started > TIME_BUDGET_MS,
+  };
+
+  try {
+    const reportRef = adminDb.collection('adminReports').doc('subscriptionReconciliation');
+    const previous = (await reportRef.get()).data() || {};
+    const resumed = previous.cursor || null;
+    const passStartedAt = resumed && previous.passStartedAt ? previous.passStartedAt : admin.firestore.Timestamp.now();
+
+    let cursor = resumed || { phase: 'stripe' };
+    if (cursor.phase === 'stripe') cursor = (await listStripe(cursor, run)) || { phase: 'users' };
+    if (cursor.phase === 'users') cursor = await listUsers(cursor, run);
+
+    // Earlier runs of this pass, if it's a continuation.
+    const pass = resumed ? previous : {};
+    const report = {
+      runAt: admin.firestore.FieldValue.serverTimestamp(),
+      passStartedAt,
+      resumed: Boolean(resumed),
+      runs: (pass.runs || 0) + 1,
+      complete: !cursor,
+      cursor: cursor || null,
+      checked: (pass.checked || 0) + run.checked,
+      repairedCount: (pass.repairedCount || 0) + run.repaired.length,
+      orphanCount: (pass.orphanCount || 0) + run.orphans.length,
+      failureCount: (pass.failureCount || 0) + run.failures.length,
+      otherStore: (pass.otherStore || 0) + run.otherStore,
+      repaired: [...(pass.repaired || []), ...run.repaired].slice(0, REPORT_LIMIT),
+      orphans: [...(pass.orphans || []), ...run.orphans].slice(0, REPORT_LIMIT),
+      failures: [...(pass.failures || []), ...run.failures].slice(0, REPORT_LIMIT),
+    };
+    await reportRef.set(report);
+
+    return res.status(200).json({
+      ok: true,
+      ...report,
+      runAt: new Date().toISOString(),
+      passStartedAt: passStartedAt.toDate().toISOString(),
+    });
+  } catch (err) {
+    console.error('[reconcile] error:', err);
+    return res.status(500).json({ error: 'Internal error', message: err.message });
+  }
+};
@@ -0,0 +1,38 @@
+// Claims every paid Nave+ gift sent to the signed-in user's (verified) email.
+// Call after sign-up/sign-in; gifts to emails that already had an account
+// with that address verified are granted at payment time and won't show up
+// here.
+//
+// External URL: POST /api/redeem-gift (rewritten to
+// /api/stripe?action=redeem-gift). Returns { granted, deferred } — deferred
+// gifts wait for the user's App Store subscription to end (./gifts.js).
+// Method and Firebase auth are enforced by the router guards.
+
+const { adminDb } = require('../firebase-admin');
+const { grantGift } = require('./gifts');
+
+module.exports = async function handler(req, res, ctx) {
+  const email = (ctx.token.email || '').toLowerCase();
+  if (!email || ctx.token.email_verified !== true) {
+    return res.status(403).json({ error: 'Verify your email address to claim gifts' });
+  }
+
+  try {
+    const snap = await adminDb.collection('gifts')
+      .where('recipientEmail', '==', email)
+      .where('status', '==', 'paid')
+      .get();
+
+    let granted = 0;
+    let deferred = 0;
+    for (const doc of snap.docs) {
+      const outcome = await grantGift(doc.id, ctx.uid, email);
+      if (outcome === 'deferred') deferred += 1;
+      else if (outcome) granted += 1;
+    }
+    return res.status(200).json({ granted, deferred });
+  } catch (err) {
+    console.error('Error redeeming gift:', err);
+    return res.status(500).json({ error: 'Failed to redeem gift' });
+  }
+};
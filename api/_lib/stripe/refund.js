@@ -0,0 +1,85 @@
+// Provider-initiated refund of a booking (retreat, pilgrimage, business
+// owner refunding a customer). Only the owner of the Connect account the
+// booking paid out to can refund it.
+//
+// Bookings are destination charges with a 10% application fee, so the
+// refund reverses the transfer AND refunds the application fee
+// proportionally: each side gives back what it received, and the platform
+// never funds a provider's refund. Booking status is updated by the
+// charge.refunded webhook (api/stripe-webhook.js), which also notifies the
+// buyer and provider.
+//
+// External URL: POST /api/refund-booking (rewritten to
+// /api/stripe?action=refund).
+//
+// Body: { bookingId, amount? (cents; defaults to everything not yet refunded),
+//         reason?: 'requested_by_customer'|'duplicate'|'fraudulent' }
+// Method, Firebase auth and body shape are enforced by the router guards.
+
+const Stripe = require('stripe');
+const { adminDb } = require('../firebase-admin');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const REFUNDABLE = new Set(['confirmed', 'partially_refunded']);
+
+module.exports = async function handler(req, res, ctx) {
+  const { bookingId, amount, reason } = ctx.body;
+
+  try {
+    const [bookingSnap, userSnap] = await Promise.all([
+      adminDb.collection('bookings').doc(bookingId).get(),
+      adminDb.collection('users').doc(ctx.uid).get(),
+    ]);
+    if (!bookingSnap.exists) return res.status(404).json({ error: 'Booking not found' });
+    const booking = bookingSnap.data();
+    const accountId = userSnap.exists ? userSnap.data().stripeConnectAccountId : null;
+
+    if (!booking.providerStripeAccountId || booking.providerStripeAccountId !== accountId) {
+      return res.status(403).json({ error: 'Only the provider of this booking can refund it' });
+    }
+    if (!REFUNDABLE.has(booking.status)) {
+      return res.status(409).json({ error: `Booking is ${booking.status}; it can't be refunded` });
+    }
+    if (!booking.stripePaymentIntentId) {
+      return res.status(409).json({ error: 'Booking has no payment to refund' });
+    }
+
+    const remaining = (booking.amount || 0) - (booking.refundedAmount || 0);
+    const refundAmount = amount == null ? remaining : Math.round(amount);
+    if (refundAmount < 1 || refundAmount > remaining) {
+      return res.status(400).json({ error: `amount must be between 1 and ${remaining} cents` });
+    }
+
+    // Keyed on what's been refunded so far: a retried request can't refund
+    // twice, but a later, separate partial refund still goes through.
+    const refund = await stripe.refunds.create({
+      payment_intent: booking.stripePaymentIntentId,
+      amount: refundAmount,
+      reason: reason || 'requested_by_customer',
+      reverse_transfer: true,
+      refund_application_fee: true,
+      metadata: { bookingId, refundedBy: ctx.uid },
+    }, {
+      idempotencyKey: `refund_${bookingId}_${booking.refundedAmount || 0}_${refundAmount}`,
+    });
+
+    await bookingSnap.ref.update({
+      lastRefundId: refund.id,
+      lastRefundRequestedBy: ctx.uid,
+      updatedAt: new Date(),
+    });
+
+    return res.status(200).json({
+      refundId: refund.id,
+      status: refund.status,
+      amount: refund.amount,
+      remaining: remaining - refund.amount,
+    });
+  } catch (err) {
+    console.error('Error refunding booking:', err);
+    if (err.type === 'StripeInvalidRequestError') {
+      return res.status(400).json({ error: err.message });
+    }
+    return res.status(500).json({ error: 'Failed to refund booking' });
+  }
+};
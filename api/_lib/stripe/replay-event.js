@@ -0,0 +1,44 @@
+// Admin replay for a Stripe webhook event that failed (listed in
+// stripeEventFailures, shown on the /dashboard page). Re-fetches the event
+// from Stripe — never trusts a stored copy — and runs it through the
+// webhook's own runEvent(), so claims, dedup and failure bookkeeping are
+// exactly what a live delivery gets. Stripe keeps events for 30 days.
+//
+// External URL: POST /api/replay-stripe-event (rewritten to
+// /api/stripe?action=replay-event). Returns { status, error? } where status
+// is processed | duplicate | in_progress | failed.
+// Body: { eventId }
+// Method, dashboard password and body shape are enforced by the router guards.
+
+const Stripe = require('stripe');
+const { adminDb } = require('../firebase-admin');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+module.exports = async function handler(req, res, ctx) {
+  const { eventId } = ctx.body;
+  // Loaded lazily: the webhook module initialises its own Stripe client and handlers.
+  const { runEvent } = require('../../stripe-webhook');
+
+  try {
+    const failureSnap = await adminDb.collection('stripeEventFailures').doc(eventId).get();
+    const account = failureSnap.exists ? failureSnap.data().account : null;
+
+    let event;
+    try {
+      event = await stripe.events.retrieve(eventId, account ? { stripeAccount: account } : undefined);
+    } catch (err) {
+      if (err.code === 'resource_missing') {
+        return res.status(404).json({ error: 'Event not found in Stripe (older than 30 days?)' });
+      }
+      throw err;
+    }
+
+    const result = await runEvent(event, { source: 'replay' });
+    const code = result.status === 'failed' ? 500 : result.status === 'in_progress' ? 409 : 200;
+    return res.status(code).json(result);
+  } catch (err) {
+    console.error('Error replaying Stripe event:', err);
+    return res.status(500).json({ error: 'Failed to replay event' });
+  }
+};
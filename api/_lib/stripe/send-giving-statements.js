@@ -0,0 +1,94 @@
+// Vercel cron — January's year-end giving statements (./statements.js).
+// Every donor who gave through Nave last year gets one email with a PDF per
+// listing they gave to. Runs daily through January and picks up where the
+// last run stopped: a donor is done once all their statements are emailed.
+// Donors with no email on file are stored but not emailed.
+//
+// External URL: /api/send-giving-statements (rewritten to
+// /api/stripe?action=giving-statements). `?year=2025` re-runs a given year.
+// Required env: GMAIL_USER, GMAIL_APP_PASSWORD, CRON_SECRET.
+
+const { adminDb } = require('../firebase-admin');
+const { getTransporter, mailConfigured, fromAddress } = require('../mailer');
+const { formatAmount } = require('./bookings');
+const { groupGifts, buildStatement } = require('./statements');
+
+const TIME_BUDGET_MS = 25 * 1000;  // stripe function maxDuration is 30s
+
+async function emailDonor(email, year, statements) {
+  const lines = statements.map((s) => `- ${s.org.name}: ${formatAmount(s.group.total, s.group.currency)} (${s.group.gifts.length} gift${s.group.gifts.length === 1 ? '' : 's'})`);
+  await getTransporter().sendMail({
+    from: fromAddress(),
+    to: email,
+    subject: `Your ${year} giving statement${statements.length === 1 ? '' : 's'}`,
+    text: [
+      `Thank you for your generosity in ${year}. Your giving statement${statements.length === 1 ? ' is' : 's are'} attached:`,
+      '',
+      ...lines,
+      '',
+      'You can download them again any time from Nave.',
+      '',
+      '— The Nave Team',
+    ].join('\n'),
+    attachments: statements.map((s) => ({ filename: s.filename, content: s.pdf, contentType: 'application/pdf' })),
+  });
+}
+
+module.exports = async (req, res) => {
+  // CRON_SECRET bearer is checked by the router's cronSecret() guard.
+  if (!mailConfigured()) {
+    return res.status(500).json({ error: 'Gmail credentials not configured' });
+  }
+  const started = Date.now();
+  const year = Number((req.query || {}).year) || new Date().getUTCFullYear() - 1;
+
+  try {
+    const [payments, existing] = await Promise.all([
+      adminDb.collection('donationPayments').where('year', '==', year).get(),
+      adminDb.collection('givingStatements').where('year', '==', year).get(),
+    ]);
+    const emailedDonors = new Set();
+    const pendingDonors = new Set();
+    existing.docs.forEach((d) => (d.data().emailedAt ? emailedDonors : pendingDonors).add(d.data().donorUid));
+
+    const byDonor = new Map();
+    for (const doc of payments.docs) {
+      const uid = doc.data().donorUid;
+      if (!byDonor.has(uid)) byDonor.set(uid, []);
+      byDonor.get(uid).push(doc);
+    }
+
+    let sent = 0;
+    let stored = 0;
+    let noEmail = 0;
+    const failures = [];
+    let complete = true;
+    for (const [uid, docs] of byDonor) {
+      if (emailedDonors.has(uid) && !pendingDonors.has(uid)) continue;
+      if (Date.now() - started > TIME_BUDGET_MS) { complete = false; break; }
+      try {
+        const groups = [...groupGifts(docs).values()];
+        if (!groups.length) continue;
+        const statements = [];
+        for (const group of groups) statements.push(await buildStatement(uid, year, group, { store: true }));
+        stored += statements.length;
+
+        const email = statements[0].donor.email;
+        if (!email) { noEmail++; continue; }
+        await emailDonor(email, year, statements);
+        const batch = adminDb.batch();
+        statements.forEach((s) => batch.update(adminDb.collection('givingStatements').doc(s.id), { emailedAt: new Date() }));
+        await batch.commit();
+        sent++;
+      } catch (err) {
+        console.error(`[giving-statements] donor ${uid} failed:`, err.message);
+        failures.push({ uid, error: err.message });
+      }
+    }
+
+    return res.status(200).json({ ok: true, year, complete, donors: byDonor.size, sent, stored, noEmail, failures });
+  } catch (err) {
+    console.error('[giving-statements] error:', err);
+    return res.status(500).json({ error: 'Internal error', message: err.message });
+  }
+};
@@ -0,0 +1,201 @@
+// Year-end giving statements: one PDF per donor, recipient listing and
+// calendar year, built from donationPayments (./donations.js). Amounts are
+// net of refunds. Sent in January by ./send-giving-statements.js and
+// downloadable any time from ./giving-statement.js (year to date for the
+// current year).
+//
+// Stored privately (no download token) at
+//   giving-statements/{year}/{donorUid}/{collection}_{entityId}.pdf
+// with a record at givingStatements/{year}_{donorUid}_{collection}_{entityId}:
+//   { donorUid, year, entityPath, entityType, entityId, entityName, ein,
+//     total, giftCount, currency, storagePath, generatedAt, emailedAt? }
+//
+// The EIN and address come from the listing doc (ein / EIN / taxId;
+// address, city, state, zipCode).
+
+const { admin, adminDb } = require('../firebase-admin');
+const { pdfDocument } = require('../pdf');
+const { BUCKET } = require('../content/host-image');
+const { formatAmount } = require('./bookings');
+
+const MARGIN = 72;
+
+function toDate(v) {
+  return v && v.toDate ? v.toDate() : (v instanceof Date ? v : null);
+}
+
+function formatDate(d, timeZone = 'UTC') {
+  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone });
+}
+
+function formatEin(raw) {
+  const digits = String(raw || '').replace(/\D/g, '');
+  return digits.length === 9 ? `${digits.slice(0, 2)}-${digits.slice(2)}` : (raw ? String(raw) : null);
+}
+
+function statementKey(year, donorUid, entityPath) {
+  const ref = adminDb.doc(entityPath);
+  return { id: `${year}_${donorUid}_${ref.parent.id}_${ref.id}`, file: `${ref.parent.id}_${ref.id}.pdf` };
+}
+
+// Groups paid (not fully refunded) gifts by listing:
+// Map(entityPath → { entityPath, entityType, entityId, entityName, currency,
+//   donorName, donorEmail, gifts: [{ date, timeZone, amount, interval }], total }).
+// Gift dates print in the time zone their year was counted in.
+function groupGifts(paymentDocs) {
+  const groups = new Map();
+  for (const doc of paymentDocs) {
+    const p = doc.data();
+    const amount = (p.amount || 0) - (p.refundedAmount || 0);
+    if (amount <= 0) continue;
+    if (!groups.has(p.entityPath)) {
+      groups.set(p.entityPath, {
+        entityPath: p.entityPath,
+        entityType: p.entityType,
+        entityId: p.entityId,
+        entityName: p.entityName || null,
+        currency: p.currency || 'usd',
+        donorName: p.donorName || null,
+        donorEmail: p.donorEmail || null,
+        gifts: [],
+        total: 0,
+      });
+    }
+    const g = groups.get(p.entityPath);
+    g.gifts.push({ date: toDate(p.paidAt), timeZone: p.timeZone || 'UTC', amount, interval: p.interval });
+    g.total += amount;
+  }
+  for (const g of groups.values()) g.gifts.sort((a, b) => a.date - b.date);
+  return groups;
+}
+
+async function donorGifts(donorUid, year) {
+  const snap = await adminDb.collection('donationPayments')
+    .where('donorUid', '==', donorUid)
+    .where('year', '==', year)
+    .get();
+  return groupGifts(snap.docs);
+}
+
+async function recipient(group) {
+  const snap = await adminDb.doc(group.entityPath).get();
+  const e = snap.exists ? snap.data() : {};
+  return {
+    name: e.name || e.title || group.entityName || 'Recipient organization',
+    ein: formatEin(e.ein || e.EIN || e.taxId),
+    address: [e.address, e.city, e.state, e.zipCode].filter(Boolean).join(', ') || null,
+  };
+}
+
+// → Buffer. `asOf` marks a year-to-date statement for the current year.
+function renderStatement({ year, org, donor, group, issuedAt, asOf = null }) {
+  const doc = pdfDocument();
+  const right = doc.width - MARGIN;
+  const money = (cents) => formatAmount(cents, group.currency);
+  let y = MARGIN;
+
+  doc.text('Nave', MARGIN, y, { size: 10, bold: true, gray: 0.4 });
+  doc.text(`${year} Giving Statement`, right, y, { size: 18, bold: true, align: 'right' });
+  y += 36;
+
+  doc.text(org.name, MARGIN, y, { size: 13, bold: true });
+  y += 16;
+  doc.text(`EIN: ${org.ein || 'not provided'}`, MARGIN, y);
+  y += 14;
+  if (org.address) { doc.text(org.address, MARGIN, y); y += 14; }
+  y += 14;
+
+  doc.text('Donor', MARGIN, y, { size: 9, gray: 0.45 });
+  doc.text(asOf ? 'Year to date as of' : 'Statement date', right, y, { size: 9, gray: 0.45, align: 'right' });
+  y += 14;
+  doc.text(donor.name || donor.email || 'Nave member', MARGIN, y, { bold: true });
+  doc.text(formatDate(asOf || issuedAt), right, y, { align: 'right' });
+  y += 14;
+  if (donor.email && donor.name) { doc.text(donor.email, MARGIN, y); y += 14; }
+  y += 18;
+
+  const header = () => {
+    doc.text('Date', MARGIN, y, { size: 9, bold: true });
+    doc.text('Gift', MARGIN + 120, y, { size: 9, bold: true });
+    doc.text('Amount', right, y, { size: 9, bold: true, align: 'right' });
+    y += 6;
+    doc.rule(MARGIN, y, right);
+    y += 14;
+  };
+  header();
+  for (const gift of group.gifts) {
+    if (y > doc.height - MARGIN - 40) {
+      doc.addPage();
+      y = MARGIN;
+      header();
+    }
+    doc.text(gift.date ? formatDate(gift.date, gift.timeZone) : '', MARGIN, y);
+    doc.text(gift.interval === 'month' ? 'Monthly gift' : 'One-time gift', MARGIN + 120, y);
+    doc.text(money(gift.amount), right, y, { align: 'right' });
+    y += 16;
+  }
+  doc.rule(MARGIN, y - 8, right);
+  y += 6;
+  doc.text(`Total (${group.gifts.length} gift${group.gifts.length === 1 ? '' : 's'})`, MARGIN, y, { bold: true });
+  doc.text(money(group.total), right, y, { bold: true, align: 'right' });
+  y += 32;
+
+  const notes = [
+    'No goods or services were provided in exchange for these contributions.',
+    `${org.name} received these gifts through Nave, which processed the payments with Stripe. `
+      + 'Amounts are net of refunds and include any processing fees you chose to cover. '
+      + `Whether a gift is tax-deductible depends on ${org.name}'s tax-exempt status; please keep this `
+      + 'statement for your records and consult a tax advisor with questions.',
+  ];
+  for (const note of notes) {
+    for (const line of doc.wrapText(note, right - MARGIN, 10)) {
+      if (y > doc.height - MARGIN) { doc.addPage(); y = MARGIN; }
+      doc.text(line, MARGIN, y);
+      y += 14;
+    }
+    y += 8;
+  }
+  return doc.toBuffer();
+}
+
+// Renders one listing's statement and, with `store`, saves it and its
+// record (a past year's statement is replaced if refunds changed it).
+// Returns { id, pdf, filename, org, group }.
+async function buildStatement(donorUid, year, group, { store = false, asOf = null } = {}) {
+  const userSnap = await adminDb.collection('users').doc(donorUid).get();
+  const user = userSnap.exists ? userSnap.data() : {};
+  const donor = {
+    name: [user.firstName, user.lastName].filter(Boolean).join(' ').trim() || group.donorName,
+    email: user.email || group.donorEmail,
+  };
+  const org = await recipient(group);
+  const pdf = renderStatement({ year, org, donor, group, issuedAt: new Date(), asOf });
+  const key = statementKey(year, donorUid, group.entityPath);
+  const filename = `${year} giving statement - ${org.name}.pdf`.replace(/[^\w .-]/g, '');
+
+  if (store) {
+    const storagePath = `giving-statements/${year}/${donorUid}/${key.file}`;
+    await admin.storage().bucket(BUCKET).file(storagePath).save(pdf, {
+      contentType: 'application/pdf',
+      resumable: false,
+      metadata: { contentDisposition: `attachment; filename="${filename}"` },
+    });
+    await adminDb.collection('givingStatements').doc(key.id).set({
+      donorUid,
+      year,
+      entityPath: group.entityPath,
+      entityType: group.entityType,
+      entityId: group.entityId,
+      entityName: org.name,
+      ein: org.ein,
+      total: group.total,
+      giftCount: group.gifts.length,
+      currency: group.currency,
+      storagePath,
+      generatedAt: new Date(),
+    }, { merge: true });
+  }
+  return { id: key.id, pdf, filename, org, group, donor };
+}
+
+module.exports = { groupGifts, donorGifts, buildStatement, renderStatement };
@@ -7,37 +7,34 @@ if (!admin.apps.length) {
   });
 }
 const adminDb = admin.firestore();
-const adminAuth = admin.auth();
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const { reserveRedemption, releaseRedemption, recordRedemption, trialDaysFor } = require('./promo');
+const { stripePeriodEnd } = require('./subscription-record');
 
-module.exports = async function handler(req, res) {
-  if (req.method !== 'POST') {
-    res.setHeader('Allow', 'POST');
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  const { firebaseIdToken, plan, platform } = req.body || {};
-
-  if (!firebaseIdToken) {
-    return res.status(401).json({ error: 'Missing Firebase ID token' });
-  }
+// POST + Firebase auth enforced by the router guards (api/stripe.js).
+// Optional `promoCode` (a partner code from promoCodes, see ./promo.js) swaps
+// in its trial length and Stripe coupon. One of the code's redemptions is
+// reserved for the user here; the webhook marks it redeemed, or releases it
+// when the session expires (checkout.session.expired).
+module.exports = async function handler(req, res, ctx) {
+  const { platform, promoCode } = req.body || {};
 
   // iOS native flow: return a clientSecret for PaymentSheet instead of a redirect URL
   if (platform === 'ios') {
-    return handleiOSSubscription(req, res, firebaseIdToken);
-  }
-
-  let decodedToken;
-  try {
-    decodedToken = await adminAuth.verifyIdToken(firebaseIdToken);
-  } catch (err) {
-    return res.status(401).json({ error: 'Invalid Firebase ID token' });
+    return handleiOSSubscription(req, res, ctx);
   }
 
-  const userId = decodedToken.uid;
-  const userEmail = decodedToken.email || null;
+  const userId = ctx.uid;
+  const userEmail = ctx.token.email || null;
+  let promo = null;
 
   try {
+    if (promoCode) {
+      const reserved = await reserveRedemption(promoCode, userId, { source: 'web' });
+      if (reserved.error) return res.status(400).json({ error: reserved.error });
+      promo = reserved.promo;
+    }
+
     // Look up or create Stripe customer
     const userRef = adminDb.collection('users').doc(userId);
     const userSnap = await userRef.get();
@@ -54,32 +51,38 @@ module.exports = async function handler(req, res) {
 
     // Nave+ — $0.99/month recurring price (matches iOS Apple IAP).
     // Set STRIPE_SUBSCRIPTION_PRICE_ID in Vercel env to the Stripe price_... for
-    // the $0.99/mo plan. 30-day free trial is applied at checkout.
+    // the $0.99/mo plan. 30-day free trial (or the promo's) is applied at checkout.
     const priceId = process.env.STRIPE_SUBSCRIPTION_PRICE_ID;
     if (!priceId) {
+      if (promo) await releaseRedemption(promo.code, userId);
       return res.status(500).json({ error: 'Stripe subscription price not configured' });
     }
 
     const lineItems = [{ price: priceId, quantity: 1 }];
+    const metadata = { firebaseUserId: userId, plan: 'monthly', ...(promo ? { promoCode: promo.code } : {}) };
 
     const sessionParams = {
       mode: 'subscription',
       customer: stripeCustomerId,
       line_items: lineItems,
       subscription_data: {
-        trial_period_days: 30,
-        metadata: { firebaseUserId: userId, plan: 'monthly' },
+        trial_period_days: trialDaysFor(promo),
+        metadata,
       },
-      metadata: { firebaseUserId: userId, plan: 'monthly' },
+      metadata,
       success_url: `${getOrigin(req)}/join?session_id={CHECKOUT_SESSION_ID}&step=form`,
       cancel_url: `${getOrigin(req)}/join?canceled=true`,
     };
+    if (promo && promo.stripeCouponId) {
+      sessionParams.discounts = [{ coupon: promo.stripeCouponId }];
+    }
 
     const session = await stripe.checkout.sessions.create(sessionParams);
 
     return res.status(200).json({ sessionUrl: session.url });
   } catch (err) {
     console.error('Error creating subscription checkout:', err);
+    if (promo) await releaseRedemption(promo.code, userId).catch(() => {});
     return res.status(500).json({ error: err.message || 'Failed to create checkout session' });
   }
 };
@@ -90,18 +93,11 @@ function getOrigin(req) {
   return `${proto}://${host}`;
 }
 
-async function handleiOSSubscription(req, res, firebaseIdToken) {
-  const { action, paymentMethodId } = req.body || {};
-
-  let decodedToken;
-  try {
-    decodedToken = await adminAuth.verifyIdToken(firebaseIdToken);
-  } catch (err) {
-    return res.status(401).json({ error: 'Invalid Firebase ID token' });
-  }
+async function handleiOSSubscription(req, res, ctx) {
+  const { action, paymentMethodId, promoCode } = req.body || {};
 
-  const userId = decodedToken.uid;
-  const userEmail = decodedToken.email || null;
+  const userId = ctx.uid;
+  const userEmail = ctx.token.email || null;
 
   try {
     const userRef = adminDb.collection('users').doc(userId);
@@ -161,21 +157,42 @@ async function handleiOSSubscription(req, res, firebaseIdToken) {
         });
       }
 
-      const subscription = await stripe.subscriptions.create({
+      let promo = null;
+      if (promoCode) {
+        const reserved = await reserveRedemption(promoCode, userId, { source: 'ios' });
+        if (reserved.error) return res.status(400).json({ error: reserved.error });
+        promo = reserved.promo;
+      }
+
+      const subscriptionParams = {
         customer: stripeCustomerId,
         items: [{ price: priceId }],
         default_payment_method: pmId || paymentMethodId,
         metadata: { firebaseUserId: userId },
-      });
+      };
+      if (promo) {
+        subscriptionParams.trial_period_days = trialDaysFor(promo);
+        subscriptionParams.metadata.promoCode = promo.code;
+        if (promo.stripeCouponId) subscriptionParams.discounts = [{ coupon: promo.stripeCouponId }];
+      }
+      let subscription;
+      try {
+        subscription = await stripe.subscriptions.create(subscriptionParams);
+      } catch (err) {
+        if (promo) await releaseRedemption(promo.code, userId).catch(() => {});
+        throw err;
+      }
+      if (promo) await recordRedemption(promo.code, userId, { subscriptionId: subscription.id, source: 'ios' });
 
       // Update user doc with subscription info
       await userRef.set({
         subscription: {
           status: subscription.status,
+          source: 'stripe',
           stripeSubscriptionId: subscription.id,
           stripePriceId: priceId,
           plan: 'business_monthly',
-          currentPeriodEnd: new Date(subscription.current_period_end * 1000),
+          currentPeriodEnd: stripePeriodEnd(subscription),
           cancelAtPeriodEnd: subscription.cancel_at_period_end,
           updatedAt: new Date(),
         },
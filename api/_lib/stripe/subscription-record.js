@@ -0,0 +1,25 @@
+// Builds users/{uid}.subscription for a Stripe subscription (shape in
+// ../subscription.js, shared with Apple IAP). Used by api/stripe-webhook.js
+// and the nightly reconciliation (./reconcile.js) so both write the same thing.
+
+// Newer Stripe API versions moved the billing period onto subscription items.
+function stripePeriodEnd(subscription) {
+  const end = subscription.current_period_end || subscription.items?.data?.[0]?.current_period_end;
+  return end ? new Date(end * 1000) : null;
+}
+
+function stripeSubscriptionRecord(subscription, plan) {
+  return {
+    status: subscription.status,
+    source: 'stripe',
+    stripeSubscriptionId: subscription.id,
+    stripePriceId: subscription.items.data[0]?.price?.id || null,
+    plan,
+    currentPeriodEnd: stripePeriodEnd(subscription),
+    trialEnd: subscription.trial_end ? new Date(subscription.trial_end * 1000) : null,
+    cancelAtPeriodEnd: subscription.cancel_at_period_end,
+    updatedAt: new Date(),
+  };
+}
+
+module.exports = { stripePeriodEnd, stripeSubscriptionRecord };
@@ -0,0 +1,94 @@
+// Read-only view of the signed-in user's Nave+ subscription for the web
+// profile: current plan and status, the card on file, the upcoming invoice
+// and recent invoice history (with Stripe-hosted links and PDFs). Changes go
+// through the billing portal (./billing-portal.js).
+//
+// External URL: GET /api/subscription (rewritten to
+// /api/stripe?action=subscription).
+// Method and Firebase auth are enforced by the router guards.
+
+const Stripe = require('stripe');
+const { adminDb } = require('../firebase-admin');
+const { stripePeriodEnd } = require('./subscription-record');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const INVOICE_LIMIT = 24;
+
+function toIso(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+async function findSubscription(stripeCustomerId, knownId) {
+  const expand = ['default_payment_method', 'items.data.price'];
+  if (knownId) {
+    try {
+      return await stripe.subscriptions.retrieve(knownId, { expand });
+    } catch (err) {
+      if (err.code !== 'resource_missing') throw err;
+    }
+  }
+  const list = await stripe.subscriptions.list({ customer: stripeCustomerId, status: 'all', limit: 1, expand: expand.map((e) => `data.${e}`) });
+  return list.data[0] || null;
+}
+
+module.exports = async function handler(req, res, ctx) {
+  try {
+    const userSnap = await adminDb.collection('users').doc(ctx.uid).get();
+    const user = userSnap.exists ? userSnap.data() : {};
+    if (!user.stripeCustomerId) {
+      return res.status(200).json({ subscription: null, upcomingInvoice: null, invoices: [] });
+    }
+
+    const [sub, invoices] = await Promise.all([
+      findSubscription(user.stripeCustomerId, user.subscription?.stripeSubscriptionId),
+      stripe.invoices.list({ customer: user.stripeCustomerId, limit: INVOICE_LIMIT }),
+    ]);
+
+    let upcomingInvoice = null;
+    if (sub && ['active', 'trialing', 'past_due'].includes(sub.status) && !sub.cancel_at_period_end) {
+      try {
+        const preview = await stripe.invoices.createPreview({ customer: user.stripeCustomerId, subscription: sub.id });
+        upcomingInvoice = {
+          amountDue: preview.amount_due,
+          currency: preview.currency,
+          date: toIso(preview.next_payment_attempt || preview.period_end),
+        };
+      } catch (err) {
+        console.error('[subscription] upcoming invoice preview failed:', err.message);
+      }
+    }
+
+    const price = sub?.items?.data?.[0]?.price;
+    const card = sub?.default_payment_method?.card;
+    return res.status(200).json({
+      subscription: sub && {
+        id: sub.id,
+        status: sub.status,
+        plan: user.subscription?.plan || null,
+        amount: price?.unit_amount ?? null,
+        currency: price?.currency || null,
+        interval: price?.recurring?.interval || null,
+        currentPeriodEnd: stripePeriodEnd(sub)?.toISOString() ?? null,
+        trialEnd: toIso(sub.trial_end),
+        cancelAtPeriodEnd: sub.cancel_at_period_end,
+        canceledAt: toIso(sub.canceled_at),
+        paymentMethod: card ? { brand: card.brand, last4: card.last4, expMonth: card.exp_month, expYear: card.exp_year } : null,
+      },
+      upcomingInvoice,
+      invoices: invoices.data.map((inv) => ({
+        id: inv.id,
+        number: inv.number,
+        status: inv.status,
+        total: inv.total,
+        amountPaid: inv.amount_paid,
+        currency: inv.currency,
+        created: toIso(inv.created),
+        hostedInvoiceUrl: inv.hosted_invoice_url,
+        invoicePdf: inv.invoice_pdf,
+      })),
+    });
+  } catch (err) {
+    console.error('Error loading subscription:', err);
+    return res.status(500).json({ error: 'Failed to load subscription' });
+  }
+};
@@ -0,0 +1,42 @@
+// Vercel cron — releases seat holds and waitlist offers that have lapsed
+// (./capacity.js). Booking an offering already releases its own lapsed
+// holds, so this only matters for offerings nobody has tried to book since:
+// without it their seats would stay taken and the waitlist would stall.
+//
+// External URL: /api/sweep-seat-holds (rewritten to
+// /api/stripe?action=sweep-seat-holds). Daily (Hobby crons are daily-only).
+// Required env: STRIPE_SECRET_KEY, CRON_SECRET.
+
+const { adminDb } = require('../firebase-admin');
+const { expireHold, OPEN_STATUSES } = require('./capacity');
+
+const TIME_BUDGET_MS = 25 * 1000;  // stripe function maxDuration is 30s
+
+module.exports = async (req, res) => {
+  // CRON_SECRET bearer is checked by the router's cronSecret() guard.
+  const started = Date.now();
+  try {
+    const snap = await adminDb.collection('seatHolds').where('status', 'in', OPEN_STATUSES).get();
+    const now = Date.now();
+    let released = 0;
+    let kept = 0;
+    let deferred = 0;
+
+    for (const doc of snap.docs) {
+      if (doc.data().expiresAt.toMillis() >= now) continue;
+      if (Date.now() - started > TIME_BUDGET_MS) { deferred++; continue; }
+      try {
+        if (await expireHold(doc)) released++;
+        else kept++;
+      } catch (e) {
+        console.error(`[sweep-seat-holds] ${doc.id} failed:`, e.message);
+        kept++;
+      }
+    }
+
+    return res.status(200).json({ ok: true, open: snap.size, released, kept, deferred });
+  } catch (err) {
+    console.error('[sweep-seat-holds] error:', err);
+    return res.status(500).json({ error: 'Internal error', message: err.message });
+  }
+};
@@ -0,0 +1,40 @@
+// users/{uid}.subscription is one record no matter where the user paid for
+// Nave+ — Stripe (web, iOS PaymentSheet, gifts) or Apple in-app purchase:
+//
+//   {
+//     status:            'trialing'|'active'|'past_due'|'canceled'|…  (Stripe's vocabulary)
+//     source:            'stripe'|'apple'   (records written before this field are Stripe)
+//     plan, currentPeriodEnd, trialEnd, cancelAtPeriodEnd, updatedAt,
+//     stripeSubscriptionId, stripePriceId            — source 'stripe'
+//     appleOriginalTransactionId, appleProductId,
+//     appleEnvironment                               — source 'apple'
+//   }
+//
+// Clients only need `status` (join.js: trialing/active = premium). Someone
+// can briefly hold both (e.g. switching stores), so an event from one store
+// never clobbers a live subscription from the other: see canReplace().
+
+const ENTITLED_STATUSES = ['trialing', 'active'];
+
+function isEntitled(sub) {
+  return Boolean(sub && ENTITLED_STATUSES.includes(sub.status));
+}
+
+function sourceOf(sub) {
+  return (sub && sub.source) || 'stripe';
+}
+
+function idOf(sub) {
+  if (!sub) return null;
+  return sourceOf(sub) === 'apple' ? sub.appleOriginalTransactionId : sub.stripeSubscriptionId;
+}
+
+// May an update about subscription `id` from `source` overwrite `current`?
+// Yes if it's the same subscription, or if `current` no longer grants access.
+function canReplace(current, source, id) {
+  if (!current || !current.status) return true;
+  if (sourceOf(current) === source && idOf(current) === id) return true;
+  return !isEntitled(current);
+}
+
+module.exports = { ENTITLED_STATUSES, isEntitled, sourceOf, canReplace };
@@ -9,7 +9,7 @@
 //                            requesterUid }
 
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
+const { getTransporter } = require('./_lib/mailer');
 const { admin, adminDb } = require('./_lib/firebase-admin');
 
 const CODE_TTL_MIN = 15;
@@ -17,19 +17,6 @@ const MAX_ATTEMPTS = 5;
 const SEED_UID = 'nave_system';
 const REVIEW_RECIPIENTS = ['oliver@catholicnave.com', 'mychal@catholicnave.com'];
 
-let cachedTransporter = null;
-function getTransporter() {
-  if (cachedTransporter) return cachedTransporter;
-  cachedTransporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.GMAIL_USER,
-      pass: process.env.GMAIL_APP_PASSWORD,
-    },
-  });
-  return cachedTransporter;
-}
-
 function generateCode() {
   return String(100000 + crypto.randomInt(900000));
 }
@@ -1,34 +1,62 @@
-// Router for app-lifecycle endpoints. Consolidated to stay under Vercel
-// Hobby's 12-Serverless-Function limit. Underlying handlers live unchanged
+// Router for app-lifecycle and admin endpoints. Consolidated to stay under Vercel
+// Hobby's 12-Serverless-Function limit. Underlying handlers live
 // in api/_lib/app/*. External URLs preserved via vercel.json rewrites; the
 // cron path is rewritten too:
 //
 //   /api/register-install         -> /api/app?action=register-install
 //   /api/check-app-store-version  -> /api/app?action=check-version   (cron)
+//   /api/apple-notifications      -> /api/app?action=apple-notifications
+//   /api/apple-subscription       -> /api/app?action=apple-subscription
+//   /api/dashboard-data           -> /api/app?action=dashboard-data  (dashboard)
 //
 // Thunks with LITERAL require paths: the literal lets Vercel's file tracer
 // bundle each file, the thunk defers execution so only the matched action
-// loads (per-function isolation preserved).
+// loads (per-function isolation preserved). Per-action `guards` come from
+// api/_lib/middleware.js.
 
-const handlers = {
-  'register-install': () => require('./_lib/app/register-install.js'),
-  'check-version': () => require('./_lib/app/check-version.js'),
-};
+const { createRouter } = require('./_lib/router');
+const { methods, firebaseAuth, cronSecret, validateBody } = require('./_lib/middleware');
 
-module.exports = async (req, res) => {
-  const action = req.query.action;
-  const load = handlers[action];
-  if (!load) {
-    res.status(404).json({ error: `Unknown app action: ${action || '(none)'}` });
-    return;
-  }
-  let handler;
-  try {
-    handler = load();
-  } catch (err) {
-    console.error(`app router: failed to load "${action}":`, err);
-    res.status(500).json({ error: 'App handler failed to load' });
-    return;
-  }
-  return handler(req, res);
+const actions = {
+  // Public first-launch ping (no account yet); sets its own open CORS.
+  'register-install': {
+    guards: [],
+    load: () => require('./_lib/app/register-install.js'),
+  },
+  'check-version': {
+    guards: [cronSecret()],
+    load: () => require('./_lib/app/check-version.js'),
+  },
+  // Called by Apple, not the app — the signed payload is its own auth.
+  'apple-notifications': {
+    guards: [
+      methods('POST'),
+      validateBody({
+        required: ['signedPayload'],
+        properties: { signedPayload: { type: 'string', maxLength: 100000 } },
+      }),
+    ],
+    load: () => require('./_lib/app/apple-notifications.js'),
+  },
+  'apple-subscription': {
+    guards: [
+      methods('POST'),
+      firebaseAuth(),
+      validateBody({
+        required: ['signedTransaction'],
+        properties: {
+          signedTransaction: { type: 'string', maxLength: 50000 },
+          appAccountToken: { type: 'string', maxLength: 64 },
+        },
+      }),
+    ],
+    load: () => require('./_lib/app/apple-subscription.js'),
+  },
+  // Checks the dashboard password itself (GET header or POST body).
+  'dashboard-data': {
+    guards: [methods('GET', 'POST')],
+    load: () => require('./_lib/app/dashboard-data.js'),
+  },
 };
+
+module.exports = createRouter('app', actions);
@@ -2,30 +2,7 @@
 // Proxies OpenAI calls with JSON mode support for orchestrator classification.
 // Higher content limits than gabriel.js to accommodate domain-specific expert prompts.
 
-// ── In-memory rate limiter ────────────────────────────────────────
-const RATE_LIMIT_WINDOW_MS = 60 * 1000;
-const RATE_LIMIT_MAX = 20; // higher — 2 calls per user query
-const ipRequests = new Map();
-
-function isRateLimited(ip) {
-    const now = Date.now();
-    const record = ipRequests.get(ip);
-    if (!record || now - record.windowStart > RATE_LIMIT_WINDOW_MS) {
-        ipRequests.set(ip, { windowStart: now, count: 1 });
-        return false;
-    }
-    record.count++;
-    return record.count > RATE_LIMIT_MAX;
-}
-
-setInterval(() => {
-    const now = Date.now();
-    for (const [ip, record] of ipRequests) {
-        if (now - record.windowStart > RATE_LIMIT_WINDOW_MS * 2) {
-            ipRequests.delete(ip);
-        }
-    }
-}, 5 * 60 * 1000);
+import { enforceRateLimit, clientIp } from './_lib/rate-limit.js';
 
 // ── Prompt injection firewall ─────────────────────────────────────
 const MAX_USER_MESSAGE_LENGTH = 500;
@@ -97,16 +74,9 @@ export default async function handler(req, res) {
     if (req.method === 'OPTIONS') return res.status(200).end();
     if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-    // Rate limiting
-    const clientIP = req.headers['x-forwarded-for']?.split(',')[0]?.trim()
-        || req.headers['x-real-ip']
-        || req.socket?.remoteAddress
-        || 'unknown';
-
-    if (isRateLimited(clientIP)) {
-        res.setHeader('Retry-After', '60');
-        return res.status(429).json({ error: 'Too many requests. Please wait a moment and try again.' });
-    }
+    // Rate limiting — shared bucket across instances (api/_lib/rate-limit.js)
+    const clientIP = clientIp(req);
+    if (!(await enforceRateLimit(req, res, 'ask-gabe'))) return;
 
     const apiKey = process.env.OPENAI_API_KEY;
     if (!apiKey) return res.status(500).json({ error: 'OpenAI API key not configured on server' });
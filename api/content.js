@@ -5,26 +5,17 @@
 //   /api/ingest-feed -> /api/content?action=ingest-feed   (cron)
 //
 // Thunks with LITERAL require paths so Vercel's file tracer bundles each file
-// while only the matched action actually loads.
+// while only the matched action actually loads. Cron secret / method checks
+// are per-action `guards` (api/_lib/middleware.js).
 
-const handlers = {
-  'ingest-feed': () => require('./_lib/content/ingest-feed.js'),
-};
+const { createRouter } = require('./_lib/router');
+const { methods, cronSecret } = require('./_lib/middleware');
 
-module.exports = async (req, res) => {
-  const action = req.query.action;
-  const load = handlers[action];
-  if (!load) {
-    res.status(404).json({ error: `Unknown content action: ${action || '(none)'}` });
-    return;
-  }
-  let handler;
-  try {
-    handler = load();
-  } catch (err) {
-    console.error(`content router: failed to load "${action}":`, err);
-    res.status(500).json({ error: 'Content handler failed to load' });
-    return;
-  }
-  return handler(req, res);
+const actions = {
+  'ingest-feed': {
+    guards: [methods('GET', 'POST'), cronSecret()],
+    load: () => require('./_lib/content/ingest-feed.js'),
+  },
 };
+
+module.exports = createRouter('content', actions);
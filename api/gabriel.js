@@ -2,39 +2,7 @@
 // The API key is stored as a Vercel environment variable (OPENAI_API_KEY)
 // so it never appears in client-side code or the git repo.
 
-// ── In-memory rate limiter (per serverless instance) ──────────────
-// Tracks requests per IP: max 10 requests per 60-second window
-const RATE_LIMIT_WINDOW_MS = 60 * 1000; // 60 seconds
-const RATE_LIMIT_MAX = 10;              // max requests per window
-const ipRequests = new Map();
-
-function isRateLimited(ip) {
-    const now = Date.now();
-    const record = ipRequests.get(ip);
-
-    if (!record || now - record.windowStart > RATE_LIMIT_WINDOW_MS) {
-        // New window
-        ipRequests.set(ip, { windowStart: now, count: 1 });
-        return false;
-    }
-
-    record.count++;
-    if (record.count > RATE_LIMIT_MAX) {
-        return true;
-    }
-
-    return false;
-}
-
-// Clean up stale entries every 5 minutes to prevent memory leaks
-setInterval(() => {
-    const now = Date.now();
-    for (const [ip, record] of ipRequests) {
-        if (now - record.windowStart > RATE_LIMIT_WINDOW_MS * 2) {
-            ipRequests.delete(ip);
-        }
-    }
-}, 5 * 60 * 1000);
+import { enforceRateLimit, clientIp } from './_lib/rate-limit.js';
 
 // ── Prompt injection firewall ─────────────────────────────────────
 const MAX_USER_MESSAGE_LENGTH = 500;   // max chars per user message
@@ -144,15 +112,10 @@ export default async function handler(req, res) {
     }
 
     // ── Rate limiting ─────────────────────────────────────────────
-    const clientIP = req.headers['x-forwarded-for']?.split(',')[0]?.trim()
-        || req.headers['x-real-ip']
-        || req.socket?.remoteAddress
-        || 'unknown';
-
-    if (isRateLimited(clientIP)) {
-        res.setHeader('Retry-After', '60');
-        return res.status(429).json({ error: 'Too many requests. Please wait a moment and try again.' });
-    }
+    // Shared Firestore bucket (see api/_lib/rate-limit.js) — holds across
+    // instances and cold starts.
+    const clientIP = clientIp(req);
+    if (!(await enforceRateLimit(req, res, 'gabriel'))) return;
 
     const apiKey = process.env.OPENAI_API_KEY;
     if (!apiKey) {
@@ -0,0 +1,169 @@
+// LiveKit webhook receiver — ground truth for who actually joined a call and
+// how long it lasted. Configure it in LiveKit Cloud → Settings → Webhooks with
+// the same API key/secret call-token.js uses. Rooms are named after their
+// call doc (room "dm_<threadId>" ↔ calls/dm_<threadId>).
+//
+//   room_started       → roomStartedAt, roomSid
+//   participant_joined → participants.{uid}.joinedAt; an invitee joining
+//                        counts as answering (./call-state.js)
+//   participant_left   → participants.{uid}.leftAt, .seconds (accumulated);
+//                        a call still ringing is closed if the host left or
+//                        the ring outlived RING_SECONDS
+//   room_finished      → roomFinishedAt, roomDurationSeconds, and the call is
+//                        closed: anyone still ringing gets a missed_call
+//
+// Every request is signed: the Authorization header is a JWT from our API
+// key whose sha256 claim must match the raw body (WebhookReceiver.receive).
+// LiveKit retries on failure, so processed event ids are kept in
+// livekitEvents/{id} (like stripeEvents) and replays are no-ops. To replay a
+// recorded payload locally, POST the exact body with an Authorization header
+// signed by the same key/secret.
+//
+// Its own function rather than a notify router action, like
+// stripe-webhook.js: the signature covers the exact bytes, so body parsing is
+// off and the raw body is read from the stream. test/livekit-webhook.test.js
+// replays a recorded payload.
+//
+// External URL: POST /api/livekit-webhook
+// Required env: LIVEKIT_API_KEY, LIVEKIT_API_SECRET
+
+const { admin, adminDb } = require('./_lib/firebase-admin');
+const { transition, closeCall, applyEffects, ringExpired } = require('./_lib/notify/call-state');
+
+function getRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// int64 protobuf fields arrive as bigint (seconds).
+function toTimestamp(seconds) {
+  const n = Number(seconds || 0);
+  return n > 0 ? admin.firestore.Timestamp.fromMillis(n * 1000) : admin.firestore.Timestamp.now();
+}
+
+async function onParticipantJoined(callRef, call, participant, at) {
+  const uid = participant.identity;
+  await callRef.set({
+    participants: { [uid]: { joinedAt: at, name: participant.name || null } },
+    joinedUserIds: admin.firestore.FieldValue.arrayUnion(uid),
+  }, { merge: true });
+
+  const isInvitee = uid !== call.hostId && (call.invitedUserIds || []).includes(uid);
+  if (isInvitee && (call.inviteeStates || {})[uid] !== 'answered') {
+    const result = await transition(callRef.id, uid, 'answer');
+    if (!result.error) await applyEffects(callRef.id, uid, 'answer', result);
+  }
+}
+
+async function onParticipantLeft(callRef, call, participant, at) {
+  const uid = participant.identity;
+  const joinedAt = ((call.participants || {})[uid] || {}).joinedAt;
+  const seconds = joinedAt && joinedAt.toMillis
+    ? Math.max(0, Math.round((at.toMillis() - joinedAt.toMillis()) / 1000))
+    : 0;
+  await callRef.set({
+    participants: { [uid]: { leftAt: at, seconds: admin.firestore.FieldValue.increment(seconds) } },
+  }, { merge: true });
+
+  // Nobody picked up and the caller is gone (or its app never reported the
+  // ring timing out): stop the invitees' phones ringing.
+  const hostLeft = uid === call.hostId;
+  const result = await closeCall(callRef.id, hostLeft ? 'cancelled' : 'ring_timeout', {
+    when: (fresh) => fresh.status === 'ringing' && (hostLeft || ringExpired(fresh)),
+  });
+  if (!result.error && !result.unchanged) await applyEffects(callRef.id, null, 'cancel', result);
+}
+
+async function onRoomFinished(callRef, call, at) {
+  const startedAt = call.roomStartedAt;
+  const update = { roomFinishedAt: at };
+  if (startedAt && startedAt.toMillis) {
+    update.roomDurationSeconds = Math.max(0, Math.round((at.toMillis() - startedAt.toMillis()) / 1000));
+  }
+  await callRef.set(update, { merge: true });
+
+  const result = await closeCall(callRef.id, 'room_finished');
+  if (!result.error && !result.unchanged) await applyEffects(callRef.id, null, 'end', result);
+}
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const apiKey = process.env.LIVEKIT_API_KEY;
+  const apiSecret = process.env.LIVEKIT_API_SECRET;
+  if (!apiKey || !apiSecret) {
+    return res.status(500).json({ error: 'LiveKit env not configured (LIVEKIT_API_KEY/SECRET)' });
+  }
+
+  let event;
+  try {
+    const { WebhookReceiver } = await import('livekit-server-sdk');
+    const body = await getRawBody(req);
+    event = await new WebhookReceiver(apiKey, apiSecret).receive(body, req.headers.authorization);
+  } catch (err) {
+    console.error('LiveKit webhook verification failed:', err.message);
+    return res.status(401).json({ error: 'Webhook signature verification failed' });
+  }
+
+  const roomName = event.room && event.room.name;
+  if (!roomName) return res.status(200).json({ received: true, ignored: 'no room' });
+
+  // Idempotency: create() fails if this event id was already processed.
+  if (event.id) {
+    try {
+      await adminDb.collection('livekitEvents').doc(event.id).create({
+        event: event.event,
+        room: roomName,
+        receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } catch (err) {
+      if (err.code === 6) return res.status(200).json({ received: true, duplicate: true }); // ALREADY_EXISTS
+      throw err;
+    }
+  }
+
+  try {
+    const callRef = adminDb.collection('calls').doc(roomName);
+    const callSnap = await callRef.get();
+    if (!callSnap.exists) return res.status(200).json({ received: true, ignored: 'no call doc' });
+    const call = callSnap.data();
+    const at = toTimestamp(event.createdAt);
+
+    switch (event.event) {
+      case 'room_started':
+        await callRef.set({ roomStartedAt: at, roomSid: event.room.sid || null }, { merge: true });
+        break;
+      case 'participant_joined':
+        if (event.participant) await onParticipantJoined(callRef, call, event.participant, at);
+        break;
+      case 'participant_left':
+        if (event.participant) await onParticipantLeft(callRef, call, event.participant, at);
+        break;
+      case 'room_finished':
+        await onRoomFinished(callRef, call, at);
+        break;
+      default:
+        // track_*, egress_* etc. — nothing to record.
+        break;
+    }
+    return res.status(200).json({ received: true });
+  } catch (err) {
+    console.error(`LiveKit webhook ${event.event} failed:`, err);
+    // Let LiveKit retry: forget the event id so the retry isn't a "duplicate".
+    if (event.id) await adminDb.collection('livekitEvents').doc(event.id).delete().catch(() => {});
+    return res.status(500).json({ error: 'Webhook handler failed' });
+  }
+}
+
+// Export handler first, then attach config so it isn't overwritten
+module.exports = handler;
+module.exports.config = {
+  api: { bodyParser: false },
+};
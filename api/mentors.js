@@ -1,6 +1,6 @@
 // Router for mentor-matching / resume endpoints. Consolidated to stay under
 // Vercel Hobby's 12-Serverless-Function limit. Underlying handlers live
-// unchanged in api/_lib/mentors/*. External URLs preserved via vercel.json
+// in api/_lib/mentors/*. External URLs preserved via vercel.json
 // rewrites:
 //
 //   /api/match-mentors -> /api/mentors?action=match
@@ -8,27 +8,41 @@
 //
 // Thunks with LITERAL require paths: the literal lets Vercel's file tracer
 // bundle each file, the thunk defers execution so only the matched action
-// loads (per-function isolation preserved).
+// loads (per-function isolation preserved). CORS, rate limits, auth and body
+// checks are declared per action as `guards` (api/_lib/middleware.js).
 
-const handlers = {
-  'match': () => require('./_lib/mentors/match.js'),
-  'parse-resume': () => require('./_lib/mentors/parse-resume.js'),
-};
+const { createRouter } = require('./_lib/router');
+const { cors, methods, firebaseAuth, rateLimit, validateBody } = require('./_lib/middleware');
 
-module.exports = async (req, res) => {
-  const action = req.query.action;
-  const load = handlers[action];
-  if (!load) {
-    res.status(404).json({ error: `Unknown mentors action: ${action || '(none)'}` });
-    return;
-  }
-  let handler;
-  try {
-    handler = load();
-  } catch (err) {
-    console.error(`mentors router: failed to load "${action}":`, err);
-    res.status(500).json({ error: 'Mentors handler failed to load' });
-    return;
-  }
-  return handler(req, res);
+const actions = {
+  'match': {
+    guards: [
+      cors(),
+      methods('POST'),
+      rateLimit('match'),
+      firebaseAuth(),
+      rateLimit('match', { perUser: true }),
+      validateBody({
+        required: ['orgId'],
+        properties: { orgId: { type: 'string', maxLength: 128 } },
+      }),
+    ],
+    load: () => require('./_lib/mentors/match.js'),
+  },
+  'parse-resume': {
+    guards: [
+      cors(),
+      methods('POST'),
+      rateLimit('parse-resume'),
+      firebaseAuth(),
+      rateLimit('parse-resume', { perUser: true }),
+      validateBody({
+        required: ['resumeText'],
+        properties: { resumeText: { type: 'string', maxLength: 20000 } },
+      }),
+    ],
+    load: () => require('./_lib/mentors/parse-resume.js'),
+  },
 };
+
+module.exports = createRouter('mentors', actions);
@@ -1,41 +1,158 @@
 // Router for notification/email endpoints. Consolidated to stay under
 // Vercel Hobby's 12-Serverless-Function limit. Underlying handlers live
-// unchanged in api/_lib/notify/*. External URLs preserved via vercel.json
+// in api/_lib/notify/*. External URLs preserved via vercel.json
 // rewrites; the cron path is rewritten too:
 //
 //   /api/notify-feedback        -> /api/notify?action=feedback
 //   /api/send-reply-notification-> /api/notify?action=reply
 //   /api/notify-new-signups     -> /api/notify?action=new-signups   (cron)
+//   /api/register-fcm-token     -> /api/notify?action=register-token
+//   /api/mark-notifications-read-> /api/notify?action=mark-read
+//   /api/send-digests           -> /api/notify?action=digest        (cron)
+//   /api/digest-unsubscribe     -> /api/notify?action=digest-unsubscribe
+//   /api/digest-preferences     -> /api/notify?action=digest-preferences
+//   /api/call-event             -> /api/notify?action=call-event
+//   /api/notify-mentor-request  -> /api/notify?action=mentor-request
+//   /api/schedule-huddle        -> /api/notify?action=huddle
+//   /api/huddle-reminders       -> /api/notify?action=huddle-reminders (every 5 min, .github/workflows)
 //
 // Thunks with LITERAL require paths: the literal lets Vercel's file tracer
 // bundle each file, the thunk defers execution so only the matched action
-// loads (per-function isolation preserved).
+// loads (per-function isolation preserved). Per-action `guards` come from
+// api/_lib/middleware.js.
 
-const handlers = {
-  'feedback': () => require('./_lib/notify/feedback.js'),
-  'reply': () => require('./_lib/notify/reply.js'),
-  'message': () => require('./_lib/notify/message.js'),
-  'channel': () => require('./_lib/notify/channel.js'),
-  'added': () => require('./_lib/notify/added.js'),
-  'new-signups': () => require('./_lib/notify/new-signups.js'),
-  'call-token': () => require('./_lib/notify/call-token.js'),
-  'voip-push': () => require('./_lib/notify/voip-push.js'),
-};
+const { createRouter } = require('./_lib/router');
+const { methods, firebaseAuth, cronSecret, validateBody } = require('./_lib/middleware');
 
-module.exports = async (req, res) => {
-  const action = req.query.action;
-  const load = handlers[action];
-  if (!load) {
-    res.status(404).json({ error: `Unknown notify action: ${action || '(none)'}` });
-    return;
-  }
-  let handler;
-  try {
-    handler = load();
-  } catch (err) {
-    console.error(`notify router: failed to load "${action}":`, err);
-    res.status(500).json({ error: 'Notify handler failed to load' });
-    return;
-  }
-  return handler(req, res);
+const actions = {
+  'feedback': {
+    guards: [methods('POST'), firebaseAuth()],
+    load: () => require('./_lib/notify/feedback.js'),
+  },
+  'reply': {
+    guards: [methods('POST'), firebaseAuth()],
+    load: () => require('./_lib/notify/reply.js'),
+  },
+  'message': {
+    guards: [methods('POST'), firebaseAuth()],
+    load: () => require('./_lib/notify/message.js'),
+  },
+  'channel': {
+    guards: [methods('POST'), firebaseAuth()],
+    load: () => require('./_lib/notify/channel.js'),
+  },
+  'added': {
+    guards: [methods('POST'), firebaseAuth()],
+    load: () => require('./_lib/notify/added.js'),
+  },
+  'mentor-request': {
+    guards: [
+      methods('POST'),
+      firebaseAuth(),
+      validateBody({
+        required: ['matchId'],
+        properties: { matchId: { type: 'string', minLength: 1, maxLength: 128 } },
+      }),
+    ],
+    load: () => require('./_lib/notify/mentor-request.js'),
+  },
+  'register-token': {
+    guards: [
+      methods('POST', 'DELETE'),
+      firebaseAuth(),
+      validateBody({
+        required: ['token'],
+        properties: {
+          token: { type: 'string', maxLength: 4096 },
+          platform: { type: 'string', enum: ['ios', 'ipados', 'android', 'web'] },
+          appVersion: { type: 'string', maxLength: 32 },
+        },
+      }),
+    ],
+    load: () => require('./_lib/notify/register-token.js'),
+  },
+  'mark-read': {
+    guards: [
+      methods('POST'),
+      firebaseAuth(),
+      validateBody({
+        properties: {
+          ids: { type: 'array', maxItems: 500, items: { type: 'string', maxLength: 128 } },
+          all: { type: 'boolean' },
+          threadIds: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 128 } },
+        },
+      }),
+    ],
+    load: () => require('./_lib/notify/mark-read.js'),
+  },
+  'new-signups': {
+    guards: [cronSecret()],
+    load: () => require('./_lib/notify/new-signups.js'),
+  },
+  'digest': {
+    guards: [cronSecret()],
+    load: () => require('./_lib/notify/digest.js'),
+  },
+  'digest-unsubscribe': {
+    guards: [methods('GET', 'POST')],
+    load: () => require('./_lib/notify/digest-unsubscribe.js'),
+  },
+  'digest-preferences': {
+    guards: [
+      methods('POST'),
+      firebaseAuth(),
+      validateBody({
+        required: ['frequency'],
+        properties: { frequency: { type: 'string', enum: ['daily', 'weekly', 'off'] } },
+      }),
+    ],
+    load: () => require('./_lib/notify/digest-preferences.js'),
+  },
+  'huddle': {
+    guards: [
+      methods('POST', 'DELETE'),
+      firebaseAuth(),
+      validateBody({
+        required: ['workspaceId', 'channelId'],
+        properties: {
+          workspaceId: { type: 'string', minLength: 1, maxLength: 128 },
+          channelId: { type: 'string', minLength: 1, maxLength: 128 },
+          huddleId: { type: 'string', maxLength: 128 },
+          title: { type: 'string', minLength: 1, maxLength: 120 },
+          agenda: { type: 'string', maxLength: 4000 },
+          startAt: { type: 'string', maxLength: 40 },
+          durationMinutes: { type: 'integer', minimum: 15, maximum: 240 },
+        },
+      }),
+    ],
+    load: () => require('./_lib/notify/huddle.js'),
+  },
+  'huddle-reminders': {
+    guards: [cronSecret()],
+    load: () => require('./_lib/notify/huddle-reminders.js'),
+  },
+  'call-token': {
+    guards: [methods('GET', 'POST'), firebaseAuth()],
+    load: () => require('./_lib/notify/call-token.js'),
+  },
+  'voip-push': {
+    guards: [methods('POST'), firebaseAuth()],
+    load: () => require('./_lib/notify/voip-push.js'),
+  },
+  'call-event': {
+    guards: [
+      methods('POST'),
+      firebaseAuth(),
+      validateBody({
+        required: ['callId', 'event'],
+        properties: {
+          callId: { type: 'string', minLength: 1, maxLength: 200 },
+          event: { type: 'string', enum: ['answer', 'decline', 'cancel', 'end'] },
+        },
+      }),
+    ],
+    load: () => require('./_lib/notify/call-event.js'),
+  },
 };
+
+module.exports = createRouter('notify', actions);
@@ -9,6 +9,25 @@ if (!admin.apps.length) {
 const adminDb = admin.firestore();
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
+// Events from connected accounts (account.updated, capability.updated) come
+// from a separate "Connect" endpoint in the Stripe dashboard with its own
+// signing secret; it points at this same URL.
+const connectEndpointSecret = process.env.STRIPE_CONNECT_WEBHOOK_SECRET;
+const { findBookingByPaymentIntent, createBookingOnce, formatAmount, notifyBookingParties } = require('./_lib/stripe/bookings');
+const { syncConnectAccount } = require('./_lib/stripe/connect-status');
+const { recordRedemption, releaseRedemption } = require('./_lib/stripe/promo');
+const { handleGiftPaid } = require('./_lib/stripe/gifts');
+const { canReplace } = require('./_lib/subscription');
+const { confirmSeat, releaseSeat } = require('./_lib/stripe/capacity');
+const { sendBookingEmails } = require('./_lib/stripe/booking-emails');
+const { stripePeriodEnd, stripeSubscriptionRecord } = require('./_lib/stripe/subscription-record');
+const {
+  handleDonationCheckout,
+  handleDonationInvoicePaid,
+  handleDonationPaymentFailed,
+  handleDonationSubscriptionChanged,
+  handleDonationRefund,
+} = require('./_lib/stripe/donations');
 
 // Vercel: disable body parsing so we get the raw body for signature verification
 module.exports.config = {
@@ -34,58 +53,160 @@ module.exports = async function handler(req, res) {
   try {
     const rawBody = await getRawBody(req);
     const sig = req.headers['stripe-signature'];
-    event = stripe.webhooks.constructEvent(rawBody, sig, endpointSecret);
+    try {
+      event = stripe.webhooks.constructEvent(rawBody, sig, endpointSecret);
+    } catch (err) {
+      if (!connectEndpointSecret) throw err;
+      event = stripe.webhooks.constructEvent(rawBody, sig, connectEndpointSecret);
+    }
   } catch (err) {
     console.error('Webhook signature verification failed:', err.message);
     return res.status(400).json({ error: 'Webhook signature verification failed' });
   }
 
-  // Idempotency: check if we've already processed this event
-  const eventRef = adminDb.collection('stripeEvents').doc(event.id);
-  const eventSnap = await eventRef.get();
-  if (eventSnap.exists) {
-    return res.status(200).json({ received: true, duplicate: true });
+  const result = await runEvent(event);
+  if (result.status === 'failed') {
+    return res.status(500).json({ error: 'Webhook handler failed' });
   }
+  if (result.status === 'in_progress') {
+    // Another delivery of this event is mid-flight; Stripe will retry.
+    return res.status(409).json({ error: 'Event is being processed' });
+  }
+  return res.status(200).json({ received: true, ...(result.status === 'duplicate' ? { duplicate: true } : {}) });
+};
 
-  try {
-    switch (event.type) {
-      case 'checkout.session.completed':
-        await handleCheckoutCompleted(event.data.object);
-        break;
-      case 'customer.subscription.updated':
-        await handleSubscriptionUpdated(event.data.object);
-        break;
-      case 'customer.subscription.deleted':
-        await handleSubscriptionDeleted(event.data.object);
-        break;
-      case 'payment_intent.succeeded':
-        await handlePaymentIntentSucceeded(event.data.object);
-        break;
-      case 'invoice.payment_failed':
-        await handlePaymentFailed(event.data.object);
-        break;
-      default:
-        console.log(`Unhandled event type: ${event.type}`);
-    }
+// ── Event processing ───────────────────────────────────────────────
+// stripeEvents/{eventId} doubles as a claim: a delivery takes it in a
+// transaction ('processing') before running any handler and marks it
+// 'processed' after, so concurrent deliveries of one event never both run.
+// A claim older than CLAIM_TTL_MS (a crashed invocation) can be retaken.
+// Docs without `status` predate this and count as processed.
+//
+// When a handler throws, the claim is released (so Stripe's retry can run)
+// and the event lands in stripeEventFailures/{eventId} with the error and an
+// attempt count. The dashboard lists unresolved failures and can replay one
+// (api/_lib/stripe/replay-event.js → runEvent); a later success, from
+// Stripe or a replay, marks it resolved.
+
+const CLAIM_TTL_MS = 2 * 60 * 1000;
 
-    // Mark event as processed
-    await eventRef.set({
+async function claimEvent(eventRef, event) {
+  return adminDb.runTransaction(async (tx) => {
+    const snap = await tx.get(eventRef);
+    if (snap.exists) {
+      const e = snap.data();
+      if (e.status !== 'processing') return 'duplicate';
+      if (e.claimedAt && Date.now() - e.claimedAt.toMillis() < CLAIM_TTL_MS) return 'in_progress';
+    }
+    tx.set(eventRef, {
       type: event.type,
-      processedAt: new Date(),
       livemode: event.livemode,
+      status: 'processing',
+      claimedAt: admin.firestore.FieldValue.serverTimestamp(),
     });
+    return 'claimed';
+  });
+}
 
-    return res.status(200).json({ received: true });
+async function dispatchEvent(event) {
+  switch (event.type) {
+    case 'checkout.session.completed':
+      await handleCheckoutCompleted(event.data.object);
+      break;
+    case 'checkout.session.expired':
+      await handleCheckoutExpired(event.data.object);
+      break;
+    case 'customer.subscription.updated':
+      await handleSubscriptionUpdated(event.data.object);
+      break;
+    case 'customer.subscription.deleted':
+      await handleSubscriptionDeleted(event.data.object);
+      break;
+    case 'payment_intent.succeeded':
+      await handlePaymentIntentSucceeded(event.data.object);
+      break;
+    case 'invoice.paid':
+      await handleDonationInvoicePaid(event.data.object);
+      break;
+    case 'invoice.payment_failed':
+      await handlePaymentFailed(event.data.object);
+      break;
+    case 'payment_intent.payment_failed':
+      await handlePaymentIntentFailed(event.data.object);
+      break;
+    case 'payment_intent.canceled':
+      await handlePaymentIntentCanceled(event.data.object);
+      break;
+    case 'charge.refunded':
+      await handleChargeRefunded(event.data.object);
+      break;
+    case 'charge.dispute.created':
+      await handleDisputeCreated(event.data.object);
+      break;
+    case 'charge.dispute.closed':
+      await handleDisputeClosed(event.data.object);
+      break;
+    case 'account.updated':
+      await syncConnectAccount(event.data.object);
+      break;
+    case 'capability.updated':
+      await handleCapabilityUpdated(event.data.object);
+      break;
+    default:
+      console.log(`Unhandled event type: ${event.type}`);
+  }
+}
+
+// Returns { status: 'processed'|'duplicate'|'in_progress'|'failed', error? }.
+async function runEvent(event, { source = 'webhook' } = {}) {
+  const eventRef = adminDb.collection('stripeEvents').doc(event.id);
+  const failureRef = adminDb.collection('stripeEventFailures').doc(event.id);
+
+  const claim = await claimEvent(eventRef, event);
+  if (claim !== 'claimed') return { status: claim };
+
+  try {
+    await dispatchEvent(event);
   } catch (err) {
-    console.error(`Error handling ${event.type}:`, err);
-    return res.status(500).json({ error: 'Webhook handler failed' });
+    console.error(`Error handling ${event.type} (${source}):`, err);
+    await eventRef.delete().catch(() => {});
+    await failureRef.set({
+      type: event.type,
+      livemode: event.livemode,
+      account: event.account || null,
+      error: String(err.message || err).slice(0, 1000),
+      attempts: admin.firestore.FieldValue.increment(1),
+      lastSource: source,
+      lastFailedAt: admin.firestore.FieldValue.serverTimestamp(),
+      eventCreatedAt: new Date(event.created * 1000),
+      resolved: false,
+    }, { merge: true });
+    return { status: 'failed', error: err.message };
   }
-};
+
+  await eventRef.set({
+    type: event.type,
+    livemode: event.livemode,
+    status: 'processed',
+    processedAt: new Date(),
+  });
+  const failureSnap = await failureRef.get();
+  if (failureSnap.exists && !failureSnap.data().resolved) {
+    await failureRef.update({ resolved: true, resolvedAt: new Date(), resolvedBy: source });
+  }
+  return { status: 'processed' };
+}
+
+module.exports.runEvent = runEvent;
 
 async function handleCheckoutCompleted(session) {
   const metadata = session.metadata || {};
 
-  if (session.mode === 'subscription') {
+  // Gifts to listings, one-time or monthly (api/_lib/stripe/donations.js).
+  if (metadata.kind === 'donation') {
+    await handleDonationCheckout(session);
+
+  } else if (session.mode === 'subscription') {
     // Subscription checkout — update user doc
     const userId = metadata.firebaseUserId;
     if (!userId) return;
@@ -93,19 +214,22 @@ async function handleCheckoutCompleted(session) {
     const subscription = await stripe.subscriptions.retrieve(session.subscription);
 
     const userRef = adminDb.collection('users').doc(userId);
-    await userRef.set({
-      stripeCustomerId: session.customer,
-      subscription: {
-        status: subscription.status,
-        stripeSubscriptionId: subscription.id,
-        stripePriceId: subscription.items.data[0]?.price?.id || null,
-        plan: metadata.plan || 'three_months',
-        currentPeriodEnd: new Date(subscription.current_period_end * 1000),
-        trialEnd: subscription.trial_end ? new Date(subscription.trial_end * 1000) : null,
-        cancelAtPeriodEnd: subscription.cancel_at_period_end,
-        updatedAt: new Date(),
-      },
-    }, { merge: true });
+    await userRef.set({ stripeCustomerId: session.customer }, { merge: true });
+    // An active Apple subscription keeps the record; this one takes over via
+    // customer.subscription.updated once that lapses.
+    const current = (await userRef.get()).data().subscription;
+    if (canReplace(current, 'stripe', subscription.id)) {
+      // update() replaces the whole map, so nothing lingers from another store.
+      await userRef.update({ subscription: stripeSubscriptionRecord(subscription, metadata.plan || 'three_months') });
+    }
+
+    if (metadata.promoCode) {
+      const recorded = await recordRedemption(metadata.promoCode, userId, { subscriptionId: subscription.id, source: 'web' });
+      if (!recorded) console.warn(`Promo ${metadata.promoCode} was full when ${userId} finished checkout; not counted`);
+    }
+
+  } else if (session.mode === 'payment' && metadata.kind === 'gift') {
+    await handleGiftPaid(session);
 
   } else if (session.mode === 'payment') {
     // One-time booking payment — create booking record
@@ -129,15 +253,25 @@ async function handleCheckoutCompleted(session) {
       paymentType: metadata.providerStripeAccountId ? 'marketplace' : 'direct',
     };
 
-    await adminDb.collection('bookings').add(bookingData);
+    const bookingId = await createBookingOnce(session.payment_intent, bookingData);
+    if (bookingId) await sendBookingEmails(bookingId, bookingData);
   }
 }
 
+// An abandoned Nave+ checkout gives back the promo redemption it reserved
+// (api/_lib/stripe/subscription-checkout.js).
+async function handleCheckoutExpired(session) {
+  const metadata = session.metadata || {};
+  if (session.mode !== 'subscription' || !metadata.promoCode || !metadata.firebaseUserId) return;
+  await releaseRedemption(metadata.promoCode, metadata.firebaseUserId);
+}
+
 async function handlePaymentIntentSucceeded(paymentIntent) {
   const metadata = paymentIntent.metadata || {};
 
-  // Only create booking if this came from our app (has firebaseUserId)
-  if (!metadata.firebaseUserId) return;
+  // Only create booking if this came from our app (has firebaseUserId);
+  // gifts are recorded from their checkout session instead.
+  if (!metadata.firebaseUserId || metadata.kind === 'donation') return;
 
   const bookingData = {
     userId: metadata.firebaseUserId,
@@ -156,10 +290,26 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
     paymentType: metadata.providerStripeAccountId ? 'marketplace' : 'direct',
   };
 
-  await adminDb.collection('bookings').add(bookingData);
+  if (metadata.seatHoldId) bookingData.seatHoldId = metadata.seatHoldId;
+
+  const bookingId = await createBookingOnce(paymentIntent.id, bookingData);
+  if (metadata.seatHoldId) await confirmSeat(metadata.seatHoldId, bookingId || paymentIntent.id);
+  if (bookingId) await sendBookingEmails(bookingId, bookingData);
+}
+
+// Canceled intents (by us when a seat hold lapses, or by the client) give
+// their reserved seat back (api/_lib/stripe/capacity.js).
+async function handlePaymentIntentCanceled(paymentIntent) {
+  const holdId = (paymentIntent.metadata || {}).seatHoldId;
+  if (holdId) await releaseSeat(holdId, 'canceled', { paymentIntentId: paymentIntent.id });
 }
 
 async function handleSubscriptionUpdated(subscription) {
+  if ((subscription.metadata || {}).kind === 'donation') {
+    await handleDonationSubscriptionChanged(subscription);
+    return;
+  }
+
   // Find the user by stripeCustomerId
   const usersSnap = await adminDb.collection('users')
     .where('stripeCustomerId', '==', subscription.customer)
@@ -169,9 +319,18 @@ async function handleSubscriptionUpdated(subscription) {
   if (usersSnap.empty) return;
 
   const userDoc = usersSnap.docs[0];
+  const current = userDoc.data().subscription;
+  if (!canReplace(current, 'stripe', subscription.id)) return;
+  if (!current || current.source === 'apple' || current.stripeSubscriptionId !== subscription.id) {
+    await userDoc.ref.update({
+      subscription: stripeSubscriptionRecord(subscription, (subscription.metadata || {}).plan || 'monthly'),
+    });
+    return;
+  }
   await userDoc.ref.update({
     'subscription.status': subscription.status,
-    'subscription.currentPeriodEnd': new Date(subscription.current_period_end * 1000),
+    'subscription.source': 'stripe',
+    'subscription.currentPeriodEnd': stripePeriodEnd(subscription),
     'subscription.trialEnd': subscription.trial_end ? new Date(subscription.trial_end * 1000) : null,
     'subscription.cancelAtPeriodEnd': subscription.cancel_at_period_end,
     'subscription.updatedAt': new Date(),
@@ -179,6 +338,11 @@ async function handleSubscriptionUpdated(subscription) {
 }
 
 async function handleSubscriptionDeleted(subscription) {
+  if ((subscription.metadata || {}).kind === 'donation') {
+    await handleDonationSubscriptionChanged(subscription);
+    return;
+  }
+
   const usersSnap = await adminDb.collection('users')
     .where('stripeCustomerId', '==', subscription.customer)
     .limit(1)
@@ -187,6 +351,7 @@ async function handleSubscriptionDeleted(subscription) {
   if (usersSnap.empty) return;
 
   const userDoc = usersSnap.docs[0];
+  if (!canReplace(userDoc.data().subscription, 'stripe', subscription.id)) return;
   await userDoc.ref.update({
     'subscription.status': 'canceled',
     'subscription.cancelAtPeriodEnd': false,
@@ -195,7 +360,13 @@ async function handleSubscriptionDeleted(subscription) {
 }
 
 async function handlePaymentFailed(invoice) {
-  if (!invoice.subscription) return;
+  // Newer API versions moved the subscription under invoice.parent.
+  const subscriptionId = invoice.subscription || invoice.parent?.subscription_details?.subscription;
+  if (!subscriptionId) return;
+  if (invoice.parent?.subscription_details?.metadata?.kind === 'donation') {
+    await handleDonationPaymentFailed(invoice);
+    return;
+  }
 
   const usersSnap = await adminDb.collection('users')
     .where('stripeCustomerId', '==', invoice.customer)
@@ -205,8 +376,140 @@ async function handlePaymentFailed(invoice) {
   if (usersSnap.empty) return;
 
   const userDoc = usersSnap.docs[0];
+  if (!canReplace(userDoc.data().subscription, 'stripe', subscriptionId)) return;
   await userDoc.ref.update({
     'subscription.status': 'past_due',
     'subscription.updatedAt': new Date(),
   });
 }
+
+// ── Booking refunds, disputes, failed payments ─────────────────────
+// Bookings are found by stripePaymentIntentId (api/_lib/stripe/bookings.js).
+
+async function handlePaymentIntentFailed(paymentIntent) {
+  const metadata = paymentIntent.metadata || {};
+  if (!metadata.firebaseUserId || metadata.kind === 'donation') return;
+
+  const reason = paymentIntent.last_payment_error?.message || 'The payment was declined.';
+  const bookingDoc = await findBookingByPaymentIntent(paymentIntent.id);
+  const booking = bookingDoc ? bookingDoc.data() : {
+    userId: metadata.firebaseUserId,
+    offeringTitle: metadata.offeringTitle || null,
+  };
+  if (bookingDoc) {
+    await bookingDoc.ref.update({
+      status: 'payment_failed',
+      paymentError: reason,
+      updatedAt: new Date(),
+    });
+  }
+
+  // The buyer sees the decline in checkout and may retry several cards, each
+  // failing separately — so push / in-app only, no email per attempt.
+  await notifyBookingParties(bookingDoc ? bookingDoc.id : null, { ...booking, status: 'payment_failed' }, {
+    buyer: {
+      title: 'Payment didn\'t go through',
+      body: `${booking.offeringTitle || 'Your booking'}: ${reason}`,
+      pushOnly: true,
+    },
+  });
+}
+
+async function handleChargeRefunded(charge) {
+  const bookingDoc = await findBookingByPaymentIntent(charge.payment_intent);
+  if (!bookingDoc) {
+    await handleDonationRefund(charge);
+    return;
+  }
+  const booking = bookingDoc.data();
+
+  const fullyRefunded = charge.refunded || charge.amount_refunded >= charge.amount;
+  const status = fullyRefunded ? 'refunded' : 'partially_refunded';
+  const newlyRefunded = charge.amount_refunded - (booking.refundedAmount || 0);
+  if (newlyRefunded <= 0 && booking.status === status) return; // already recorded
+
+  await bookingDoc.ref.update({
+    status,
+    refundedAmount: charge.amount_refunded,
+    refundedAt: new Date(),
+    updatedAt: new Date(),
+  });
+  if (fullyRefunded && booking.seatHoldId) await releaseSeat(booking.seatHoldId, 'refunded');
+
+  const amount = formatAmount(newlyRefunded, charge.currency);
+  const title = booking.offeringTitle || 'your booking';
+  await notifyBookingParties(bookingDoc.id, { ...booking, status }, {
+    buyer: {
+      title: fullyRefunded ? 'Booking refunded' : 'Partial refund issued',
+      body: `${amount} for ${title} is on its way back to your card (5–10 business days).`,
+    },
+    provider: {
+      title: fullyRefunded ? 'Booking refunded' : 'Partial refund issued',
+      body: `${amount} was refunded for ${title}.`,
+    },
+  });
+}
+
+async function handleDisputeCreated(dispute) {
+  const bookingDoc = await findBookingByPaymentIntent(dispute.payment_intent);
+  if (!bookingDoc) return;
+  const booking = bookingDoc.data();
+  if (booking.status === 'disputed') return;
+
+  await bookingDoc.ref.update({
+    status: 'disputed',
+    statusBeforeDispute: booking.status || 'confirmed',
+    disputeId: dispute.id,
+    disputeReason: dispute.reason || null,
+    disputeStatus: dispute.status,
+    disputedAt: new Date(),
+    updatedAt: new Date(),
+  });
+
+  await notifyBookingParties(bookingDoc.id, { ...booking, status: 'disputed' }, {
+    provider: {
+      title: 'Payment disputed',
+      body: `A ${formatAmount(dispute.amount, dispute.currency)} payment for ${booking.offeringTitle || 'a booking'} was disputed by the cardholder (${(dispute.reason || 'general').replace(/_/g, ' ')}).`,
+    },
+  });
+}
+
+async function handleDisputeClosed(dispute) {
+  const bookingDoc = await findBookingByPaymentIntent(dispute.payment_intent);
+  if (!bookingDoc) return;
+  const booking = bookingDoc.data();
+
+  const won = dispute.status === 'won' || dispute.status === 'warning_closed';
+  const status = won ? (booking.statusBeforeDispute || 'confirmed') : 'dispute_lost';
+  await bookingDoc.ref.update({
+    status,
+    disputeStatus: dispute.status,
+    disputeClosedAt: new Date(),
+    updatedAt: new Date(),
+  });
+
+  const title = booking.offeringTitle || 'a booking';
+  await notifyBookingParties(bookingDoc.id, { ...booking, status }, {
+    buyer: {
+      title: won ? 'Dispute closed' : 'Dispute resolved in your favor',
+      body: won
+        ? `The dispute on ${title} was closed and your booking stands.`
+        : `Your dispute on ${title} was accepted and the charge reversed.`,
+    },
+    provider: {
+      title: won ? 'Dispute won' : 'Dispute lost',
+      body: won
+        ? `The dispute on ${title} was resolved in your favor.`
+        : `The dispute on ${title} was lost and the funds returned to the cardholder.`,
+    },
+  });
+}
+
+// ── Connect account status ─────────────────────────────────────────
+
+async function handleCapabilityUpdated(capability) {
+  // The capability only names its account; fetch the whole account so the
+  // synced status is consistent (api/_lib/stripe/connect-status.js).
+  const account = await stripe.accounts.retrieve(capability.account);
+  await syncConnectAccount(account);
+}
@@ -2,7 +2,7 @@
 // function — it needs the raw request body for signature verification).
 //
 // Consolidated to stay under Vercel Hobby's 12-Serverless-Function limit.
-// Each underlying handler lives unchanged in api/_lib/stripe/* (underscore
+// Each underlying handler lives in api/_lib/stripe/* (underscore
 // dirs are not deployed as their own functions). External URLs are preserved
 // via rewrites in vercel.json, so iOS/web callers are untouched:
 //
@@ -10,33 +10,186 @@
 //   /api/create-subscription-checkout -> /api/stripe?action=subscription-checkout
 //   /api/create-connect-account       -> /api/stripe?action=connect-account
 //   /api/connect-refresh              -> /api/stripe?action=connect-refresh
+//   /api/refund-booking               -> /api/stripe?action=refund
+//   /api/provider-earnings            -> /api/stripe?action=earnings
+//   /api/billing-portal               -> /api/stripe?action=billing-portal
+//   /api/subscription                 -> /api/stripe?action=subscription
+//   /api/promo-code                   -> /api/stripe?action=promo-code
+//   /api/gift-checkout                -> /api/stripe?action=gift-checkout
+//   /api/redeem-gift                  -> /api/stripe?action=redeem-gift
+//   /api/reconcile-subscriptions      -> /api/stripe?action=reconcile-subscriptions  (cron)
+//   /api/replay-stripe-event          -> /api/stripe?action=replay-event   (dashboard)
+//   /api/offering-waitlist            -> /api/stripe?action=offering-waitlist
+//   /api/sweep-seat-holds             -> /api/stripe?action=sweep-seat-holds  (cron)
+//   /api/donation-checkout            -> /api/stripe?action=donation-checkout
+//   /api/giving                       -> /api/stripe?action=giving
+//   /api/giving-statement             -> /api/stripe?action=giving-statement
+//   /api/send-giving-statements       -> /api/stripe?action=giving-statements  (cron, January)
 //
 // Each handler is wrapped in a thunk with a LITERAL require path: the literal
 // lets Vercel's file tracer (@vercel/nft) bundle the file, while the thunk
 // defers execution so only the matched action's handler loads — preserving
 // the per-function isolation each handler had as a standalone endpoint.
+//
+// `guards` (api/_lib/middleware.js) run before the handler: method check,
+// Firebase ID token verification, body validation. Handlers receive the
+// verified uid as ctx.uid.
 
-const handlers = {
-  'payment-intent': () => require('./_lib/stripe/payment-intent.js'),
-  'subscription-checkout': () => require('./_lib/stripe/subscription-checkout.js'),
-  'connect-account': () => require('./_lib/stripe/connect-account.js'),
-  'connect-refresh': () => require('./_lib/stripe/connect-refresh.js'),
-};
+const { createRouter } = require('./_lib/router');
+const { methods, firebaseAuth, cronSecret, dashboardPassword, validateBody } = require('./_lib/middleware');
 
-module.exports = async (req, res) => {
-  const action = req.query.action;
-  const load = handlers[action];
-  if (!load) {
-    res.status(404).json({ error: `Unknown stripe action: ${action || '(none)'}` });
-    return;
-  }
-  let handler;
-  try {
-    handler = load();
-  } catch (err) {
-    console.error(`stripe router: failed to load "${action}":`, err);
-    res.status(500).json({ error: 'Stripe handler failed to load' });
-    return;
-  }
-  return handler(req, res);
+const actions = {
+  'payment-intent': {
+    guards: [
+      methods('POST'),
+      firebaseAuth(),
+      validateBody({
+        required: ['amount', 'offeringTitle', 'entityType', 'offeringId'],
+        properties: {
+          amount: { type: 'number', minimum: 1 },
+          currency: { type: 'string', maxLength: 3 },
+          offeringTitle: { type: 'string', minLength: 1, maxLength: 200 },
+          entityType: { type: 'string', minLength: 1, maxLength: 50 },
+          offeringId: { type: 'string', minLength: 1, maxLength: 200 },
+          idempotencyKey: { type: 'string', minLength: 8, maxLength: 200 },
+        },
+      }),
+    ],
+    load: () => require('./_lib/stripe/payment-intent.js'),
+  },
+  'subscription-checkout': {
+    guards: [
+      methods('POST'),
+      firebaseAuth(),
+      validateBody({ properties: { promoCode: { type: 'string', maxLength: 40 } } }),
+    ],
+    load: () => require('./_lib/stripe/subscription-checkout.js'),
+  },
+  'connect-account': {
+    guards: [methods('POST'), firebaseAuth()],
+    load: () => require('./_lib/stripe/connect-account.js'),
+  },
+  'refund': {
+    guards: [
+      methods('POST'),
+      firebaseAuth(),
+      validateBody({
+        required: ['bookingId'],
+        properties: {
+          bookingId: { type: 'string', minLength: 1, maxLength: 128 },
+          amount: { type: 'integer', minimum: 1 },
+          reason: { type: 'string', enum: ['requested_by_customer', 'duplicate', 'fraudulent'] },
+        },
+      }),
+    ],
+    load: () => require('./_lib/stripe/refund.js'),
+  },
+  'earnings': {
+    guards: [methods('GET'), firebaseAuth()],
+    load: () => require('./_lib/stripe/earnings.js'),
+  },
+  'billing-portal': {
+    guards: [
+      methods('POST'),
+      firebaseAuth(),
+      validateBody({ properties: { returnPath: { type: 'string', maxLength: 200 } } }),
+    ],
+    load: () => require('./_lib/stripe/billing-portal.js'),
+  },
+  'subscription': {
+    guards: [methods('GET'), firebaseAuth()],
+    load: () => require('./_lib/stripe/subscription.js'),
+  },
+  'promo-code': {
+    guards: [methods('GET'), firebaseAuth()],
+    load: () => require('./_lib/stripe/promo-code.js'),
+  },
+  'gift-checkout': {
+    guards: [
+      methods('POST'),
+      firebaseAuth(),
+      validateBody({
+        required: ['recipientEmail', 'months'],
+        properties: {
+          recipientEmail: { type: 'string', minLength: 3, maxLength: 254 },
+          months: { type: 'integer', enum: [3, 6, 12] },
+          message: { type: 'string', maxLength: 500 },
+        },
+      }),
+    ],
+    load: () => require('./_lib/stripe/gift-checkout.js'),
+  },
+  'redeem-gift': {
+    guards: [methods('POST'), firebaseAuth()],
+    load: () => require('./_lib/stripe/redeem-gift.js'),
+  },
+  'reconcile-subscriptions': {
+    guards: [cronSecret()],
+    load: () => require('./_lib/stripe/reconcile.js'),
+  },
+  'offering-waitlist': {
+    guards: [
+      methods('GET', 'POST', 'DELETE'),
+      firebaseAuth(),
+      validateBody({
+        properties: {
+          entityType: { type: 'string', enum: ['retreat', 'pilgrimage'] },
+          offeringId: { type: 'string', minLength: 1, maxLength: 200 },
+        },
+      }),
+    ],
+    load: () => require('./_lib/stripe/offering-waitlist.js'),
+  },
+  'sweep-seat-holds': {
+    guards: [cronSecret()],
+    load: () => require('./_lib/stripe/sweep-seat-holds.js'),
+  },
+  'donation-checkout': {
+    guards: [
+      methods('POST'),
+      firebaseAuth(),
+      validateBody({
+        required: ['entityType', 'entityId', 'amount', 'interval'],
+        properties: {
+          entityType: { type: 'string', enum: ['church', 'missionary', 'pilgrimage', 'school', 'vocation', 'retreat', 'business', 'campus'] },
+          entityId: { type: 'string', minLength: 1, maxLength: 200 },
+          amount: { type: 'integer', minimum: 100, maximum: 1000000 },
+          interval: { type: 'string', enum: ['once', 'month'] },
+          coverFees: { type: 'boolean' },
+          returnPath: { type: 'string', maxLength: 200 },
+        },
+      }),
+    ],
+    load: () => require('./_lib/stripe/donation-checkout.js'),
+  },
+  'giving': {
+    guards: [methods('GET', 'DELETE'), firebaseAuth({ optional: true })],
+    load: () => require('./_lib/stripe/giving.js'),
+  },
+  'giving-statement': {
+    guards: [methods('GET'), firebaseAuth()],
+    load: () => require('./_lib/stripe/giving-statement.js'),
+  },
+  'giving-statements': {
+    guards: [cronSecret()],
+    load: () => require('./_lib/stripe/send-giving-statements.js'),
+  },
+  'replay-event': {
+    guards: [
+      methods('POST'),
+      dashboardPassword(),
+      validateBody({
+        required: ['eventId'],
+        properties: { eventId: { type: 'string', minLength: 1, maxLength: 255 } },
+      }),
+    ],
+    load: () => require('./_lib/stripe/replay-event.js'),
+  },
+  // Stripe redirects the provider's browser here — no token to check.
+  'connect-refresh': {
+    guards: [methods('GET')],
+    load: () => require('./_lib/stripe/connect-refresh.js'),
+  },
 };
+
+module.exports = createRouter('stripe', actions);
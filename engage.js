@@ -1,4 +1,4 @@
-import { auth, db, googleProvider, appleProvider } from './firebase-config.js';
+import { app as firebaseApp, auth, db, googleProvider, appleProvider, messagingVapidKey } from './firebase-config.js';
 import {
     GoogleAuthProvider,
     OAuthProvider,
@@ -24,6 +24,12 @@ import {
     serverTimestamp,
     Timestamp
 } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import {
+    getMessaging,
+    getToken,
+    deleteToken,
+    isSupported as messagingSupported
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-messaging.js';
 
 // ==========================================================================
 // State
@@ -141,7 +147,8 @@ onAuthStateChanged(auth, async (user) => {
         const name = user.displayName || state.userProfile?.displayName || user.email || 'User';
         $('eg-user-name').textContent = name;
         setAvatarPhoto($('eg-user-avatar'), state.userPhotoURL, name);
-        loadAllData();
+        loadAllData().then(openLinkedThread);
+        setupWebPush();
     } else {
         // Signed-out shell: empty user-specific state, browse Discover
         // anonymously. The user pill becomes a "Sign In" CTA.
@@ -154,6 +161,7 @@ onAuthStateChanged(auth, async (user) => {
         state.userProfile = null;
         state.userPhotoURL = null;
         cleanupListeners();
+        teardownWebPush();
         await loadSuggestions();
         renderHomePreview();
     }
@@ -1589,6 +1597,7 @@ function openDmChat(threadId) {
     $('eg-dm-input').value = '';
 
     $('eg-dm-modal').classList.remove('hidden');
+    markThreadRead(threadId);
 
     // Real-time listener for DM messages
     if (dmMessageUnsub) dmMessageUnsub();
@@ -1609,6 +1618,101 @@ function openDmChat(threadId) {
     });
 }
 
+// Clears this thread's unread count (and its DM activity rows) server-side so
+// the inbox badge here and the iOS app icon badge drop together. The thread
+// listener picks up the zeroed unreadCount and re-renders the badge.
+async function markThreadRead(threadId) {
+    const thread = state.threads.find(t => t.id === threadId);
+    if (!thread || !(thread.unreadCount?.[state.currentUser.uid] > 0)) return;
+    try {
+        const idToken = await state.currentUser.getIdToken();
+        await fetch('/api/mark-notifications-read', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}` },
+            body: JSON.stringify({ threadIds: [threadId] })
+        });
+    } catch (err) {
+        console.warn('Mark thread read failed:', err);
+    }
+}
+
+// Push notification clicks land on /engage?thread=<id> (the link is set in
+// api/_lib/notify/dispatch.js). Open that conversation once data is loaded.
+function openLinkedThread() {
+    const threadId = new URLSearchParams(location.search).get('thread');
+    if (!threadId) return;
+    history.replaceState(null, '', location.pathname);
+    navigateTo('inbox');
+    openDmChat(threadId);
+}
+
+// ── Web Push ───────────────────────────────────────────────────────────
+// Desktop notifications through FCM web tokens. The token is registered with
+// the same endpoint the iOS app uses (platform 'web'), so every notify
+// handler reaches the browser too. Messages that arrive while no tab is
+// visible are shown by /firebase-messaging-sw.js; while the tab is open the
+// live listeners already update the inbox.
+const PUSH_PROMPT_DISMISSED_KEY = 'egPushPromptDismissed';
+let webPushToken = null;
+
+async function webPushAvailable() {
+    if (!('Notification' in window) || !('serviceWorker' in navigator)) return false;
+    return messagingSupported().catch(() => false);
+}
+
+// Registers this browser for push. Without `prompt`, only re-registers when
+// permission was already granted, otherwise shows the opt-in banner — the
+// permission request itself must come from a click.
+async function setupWebPush({ prompt = false } = {}) {
+    const banner = $('eg-push-prompt');
+    if (!(await webPushAvailable()) || Notification.permission === 'denied') return;
+
+    if (Notification.permission !== 'granted') {
+        if (!prompt) {
+            if (!localStorage.getItem(PUSH_PROMPT_DISMISSED_KEY)) banner.classList.remove('hidden');
+            return;
+        }
+        const permission = await Notification.requestPermission();
+        banner.classList.add('hidden');
+        if (permission !== 'granted') return;
+    }
+    banner.classList.add('hidden');
+
+    try {
+        const registration = await navigator.serviceWorker.register('/firebase-messaging-sw.js');
+        // No vapidKey → the SDK's default key (see firebase-config.js).
+        const token = await getToken(getMessaging(firebaseApp), {
+            ...(messagingVapidKey ? { vapidKey: messagingVapidKey } : {}),
+            serviceWorkerRegistration: registration
+        });
+        if (!token || token === webPushToken) return;
+        const idToken = await state.currentUser.getIdToken();
+        const res = await fetch('/api/register-fcm-token', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}` },
+            body: JSON.stringify({ token, platform: 'web' })
+        });
+        if (res.ok) webPushToken = token;
+    } catch (err) {
+        console.warn('Web push setup failed:', err);
+    }
+}
+
+// On sign-out the ID token is already gone, so instead of unregistering
+// server-side the token is invalidated at FCM; the next send prunes it.
+function teardownWebPush() {
+    $('eg-push-prompt').classList.add('hidden');
+    if (!webPushToken) return;
+    webPushToken = null;
+    deleteToken(getMessaging(firebaseApp)).catch(err => console.warn('Web push teardown failed:', err));
+}
+
+$('eg-push-enable').addEventListener('click', () => setupWebPush({ prompt: true }));
+$('eg-push-dismiss').addEventListener('click', () => {
+    localStorage.setItem(PUSH_PROMPT_DISMISSED_KEY, '1');
+    $('eg-push-prompt').classList.add('hidden');
+});
+
 // Send DM
 $('eg-dm-send').addEventListener('click', () => sendDmMessage());
 $('eg-dm-input').addEventListener('keydown', (e) => {
@@ -2438,8 +2542,9 @@ $('eg-connect-send-btn').addEventListener('click', async () => {
     };
 
     try {
-        await addDoc(collection(db, 'mentor_matches'), matchDoc);
+        const matchRef = await addDoc(collection(db, 'mentor_matches'), matchDoc);
         btn.textContent = 'Request Sent!';
+        notifyMentorRequest(matchRef.id);
 
         // Update the Connect button in the dashboard
         const dashBtn = document.querySelector(`.eg-mentor-connect-action[data-connect-uid="${target.userId}"]`);
@@ -2459,6 +2564,22 @@ $('eg-connect-send-btn').addEventListener('click', async () => {
     }
 });
 
+// Tells the other person about the request (push, in-app and email, per their
+// notification preferences). The request itself is already saved, so a
+// failure here is only logged.
+async function notifyMentorRequest(matchId) {
+    try {
+        const idToken = await state.currentUser.getIdToken();
+        await fetch('/api/notify-mentor-request', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}` },
+            body: JSON.stringify({ matchId })
+        });
+    } catch (err) {
+        console.warn('Mentor request notification failed:', err);
+    }
+}
+
 // Close connection modal
 $('eg-connect-modal-close').addEventListener('click', () => {
     $('eg-connect-modal').classList.add('hidden');
@@ -825,7 +825,8 @@ export function renderRetreat(d, options) {
             if (dateText) html += `<div class="retreat-offering-meta"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="4" width="18" height="18" rx="2" ry="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/></svg>${escapeHTML(dateText)}</div>`;
             if (duration) html += `<div class="retreat-offering-meta"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>${escapeHTML(duration)}</div>`;
             html += `</div><div class="retreat-offering-right"><div class="retreat-offering-chevron"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 18 15 12 9 6"/></svg></div>`;
-            if (cap > 0) html += `<div class="retreat-offering-spots">${cap} spots</div>`;
+            if (o.seatsRemaining === 0) html += `<div class="retreat-offering-spots">Sold out</div>`;
+            else if (cap > 0) html += `<div class="retreat-offering-spots">${o.seatsRemaining ?? cap} spots</div>`;
             html += `</div></div>`;
             html += `<div class="retreat-offering-title">${escapeHTML(title)}</div>`;
             if (desc) html += `<div class="retreat-offering-desc">${escapeHTML(desc)}</div>`;
@@ -946,7 +947,8 @@ export function renderPilgrimage(d, options) {
     if (listings.length > 0) {
         listings.forEach(listing => {
             const price = listing.price ? `$${Math.round(listing.price)}` : '';
-            const spots = listing.spots || 0;
+            const spots = listing.seatsRemaining ?? listing.spots ?? 0;
+            const soldOut = listing.seatsRemaining === 0;
             const limited = spots > 0 && spots <= 5;
             // Format date range
             let dateText = '';
@@ -978,8 +980,9 @@ export function renderPilgrimage(d, options) {
             html += `<div class="entity-detail-listing-price">${escapeHTML(price)}${limited ? '<span class="limited-badge">Limited</span>' : ''}</div>`;
             if (dateText) html += `<div class="entity-detail-listing-date"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="4" width="18" height="18" rx="2" ry="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/></svg>${escapeHTML(dateText)}</div>`;
             if (spots > 0) html += `<div class="entity-detail-listing-spots">${spots} spots available</div>`;
+            else if (soldOut) html += `<div class="entity-detail-listing-spots">Sold out · waitlist open</div>`;
             html += `</div>`;
-            html += `<button class="entity-detail-listing-explore${spots === 0 ? ' disabled' : ''}" onclick="openPilgrimageReserve('${escapeHTML(listingId)}')"><svg viewBox="0 0 24 24" fill="currentColor"><circle cx="12" cy="12" r="10"/><path d="M12 8l4 4-4 4" fill="none" stroke="#fff" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>Explore</button>`;
+            html += `<button class="entity-detail-listing-explore${spots === 0 && !soldOut ? ' disabled' : ''}" onclick="openPilgrimageReserve('${escapeHTML(listingId)}')"><svg viewBox="0 0 24 24" fill="currentColor"><circle cx="12" cy="12" r="10"/><path d="M12 8l4 4-4 4" fill="none" stroke="#fff" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>Explore</button>`;
             html += `</div>`;
         });
     }
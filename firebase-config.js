@@ -41,5 +41,11 @@ const appleProvider = new OAuthProvider('apple.com');
 // Initialize Storage (for business photo uploads, etc.)
 const storage = getStorage(app);
 
-export { app, db, auth, googleProvider, appleProvider, storage };
+// Web Push certificate (Firebase Console > Project Settings > Cloud Messaging
+// > Web configuration > Key pair). Public by design. While empty, engage.html
+// registers with the Firebase SDK's built-in default key instead, so desktop
+// notifications work either way; set the project's own key to take over.
+const messagingVapidKey = "";
+
+export { app, db, auth, googleProvider, appleProvider, storage, messagingVapidKey };
 
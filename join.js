@@ -360,12 +360,25 @@ if (isSignInWithEmailLink(auth, window.location.href)) {
     }
 }
 
+// Nave+ may have been bought here (Stripe) or in the iOS app (Apple) — both
+// write users/{uid}.subscription, so its status is all that matters.
+async function loadSubscriptionStatus(user) {
+    try {
+        const userSnap = await getDoc(doc(db, 'users', user.uid));
+        const status = userSnap.exists() ? userSnap.data().subscription?.status : null;
+        if (status) hasActiveSubscription = ['trialing', 'active'].includes(status);
+    } catch (err) {
+        console.error('Failed to check subscription status:', err);
+    }
+}
+
 // Auth state listener
 onAuthStateChanged(auth, user => {
     currentUser = user;
     if (user) {
         setAuthMessage(`Signed in as ${user.phoneNumber || user.email || 'user'}.`);
         requireAuthNext();
+        loadSubscriptionStatus(user);
         // Auto-advance to bulletin choice for church unlock flow
         if (unlockChurchId && currentStep <= 1) {
             keyTypeGrid.classList.add('hidden');
@@ -1304,14 +1317,7 @@ if (stripeSessionId && returnStep === 'form') {
         if (!user) return;
         unsubReturn();
         // Check Firestore for subscription status (webhook may have already written it)
-        try {
-            const userSnap = await getDoc(doc(db, 'users', user.uid));
-            if (userSnap.exists() && userSnap.data().subscription?.status) {
-                hasActiveSubscription = ['trialing', 'active'].includes(userSnap.data().subscription.status);
-            }
-        } catch (err) {
-            console.error('Failed to check subscription status:', err);
-        }
+        await loadSubscriptionStatus(user);
         maxStepReached = 3;
         showStep(3);
         // Clean URL
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { makeCert } = require('./support/x509');
+const { verifyAppleJws } = require('../api/_lib/app/apple-jws');
+
+const LEAF_OID = '1.2.840.113635.100.6.11.1';
+const INTERMEDIATE_OID = '1.2.840.113635.100.6.2.1';
+
+function chain({ leaf: leafOpts = {}, intermediate: intermediateOpts = {} } = {}) {
+  const root = makeCert({ subject: 'Test Root CA', ca: true });
+  const intermediate = makeCert({
+    subject: 'Test WWDR Intermediate',
+    issuer: root,
+    ca: true,
+    markerOids: [INTERMEDIATE_OID],
+    ...intermediateOpts,
+  });
+  const leaf = makeCert({ subject: 'Test App Store Signing', issuer: intermediate, markerOids: [LEAF_OID], ...leafOpts });
+  return { root, intermediate, leaf };
+}
+
+function trust(root) {
+  return { rootFingerprints: [new crypto.X509Certificate(root.cert).fingerprint256] };
+}
+
+function sign({ root, intermediate, leaf }, payload, signer = leaf) {
+  const header = Buffer.from(JSON.stringify({
+    alg: 'ES256',
+    x5c: [leaf, intermediate, root].map((c) => c.cert.toString('base64')),
+  })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${body}`), {
+    key: signer.privateKey,
+    dsaEncoding: 'ieee-p1363',
+  });
+  return `${header}.${body}.${signature.toString('base64url')}`;
+}
+
+function rejects(jws, message, options) {
+  assert.throws(() => verifyAppleJws(jws, options), (err) => err.code === 'invalid_jws' && message.test(err.message));
+}
+
+test('returns the payload of a JWS signed by a trusted chain', () => {
+  const certs = chain();
+  const options = trust(certs.root);
+  const payload = { notificationType: 'DID_RENEW', data: { bundleId: 'com.nave.app' } };
+  assert.deepStrictEqual(verifyAppleJws(sign(certs, payload), options), payload);
+});
+
+test('rejects a signature that does not match the leaf key', () => {
+  const certs = chain();
+  const options = trust(certs.root);
+  rejects(sign(certs, { ok: true }, makeCert({ subject: 'Impostor' })), /Bad JWS signature/, options);
+});
+
+test('rejects a payload changed after signing', () => {
+  const certs = chain();
+  const options = trust(certs.root);
+  const [header, , signature] = sign(certs, { price: 499 }).split('.');
+  const forged = Buffer.from(JSON.stringify({ price: 0 })).toString('base64url');
+  rejects(`${header}.${forged}.${signature}`, /Bad JWS signature/, options);
+});
+
+test('rejects an expired certificate', () => {
+  const certs = chain({
+    leaf: { notBefore: new Date(Date.now() - 30 * 86400000), notAfter: new Date(Date.now() - 86400000) },
+  });
+  const options = trust(certs.root);
+  rejects(sign(certs, { ok: true }), /validity period/, options);
+});
+
+test('rejects a chain that ends in an untrusted root', () => {
+  const certs = chain();
+  const options = trust(chain().root);
+  rejects(sign(certs, { ok: true }), /Untrusted root/, options);
+});
+
+test('rejects a locally generated root under the default Apple pin', () => {
+  rejects(sign(chain(), { ok: true }), /Untrusted root/);
+});
+
+test('rejects a leaf without the App Store receipt-signing OID', () => {
+  const certs = chain({ leaf: { markerOids: [] } });
+  const options = trust(certs.root);
+  rejects(sign(certs, { ok: true }), /not Apple App Store signing/, options);
+});
+
+test('rejects an intermediate without the WWDR OID', () => {
+  const certs = chain({ intermediate: { markerOids: [] } });
+  const options = trust(certs.root);
+  rejects(sign(certs, { ok: true }), /not Apple App Store signing/, options);
+});
+
+test('rejects a leaf issued by a different intermediate', () => {
+  const certs = chain();
+  const other = chain();
+  const options = trust(certs.root);
+  rejects(sign({ ...certs, leaf: other.leaf }, { ok: true }), /Leaf not issued by intermediate/, options);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { installFakeFirestore } = require('./support/firestore');
+
+process.env.GMAIL_USER = 'digest@example.com';
+process.env.GMAIL_APP_PASSWORD = 'app-password';
+process.env.CRON_SECRET = 'cron-secret';
+
+const db = installFakeFirestore();
+const MAILER = path.join(__dirname, '..', 'api', '_lib', 'mailer.js');
+const mail = [];
+require.cache[MAILER] = {
+  id: MAILER,
+  filename: MAILER,
+  loaded: true,
+  exports: {
+    mailConfigured: () => true,
+    fromAddress: (label) => `${label} <digest@example.com>`,
+    getTransporter: () => ({ sendMail: async (message) => { mail.push(message); } }),
+  },
+};
+const handler = require('../api/_lib/notify/digest');
+
+const DAY = 24 * 3600 * 1000;
+const ago = (ms) => db.Timestamp.fromMillis(Date.now() - ms);
+
+async function run() {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  await handler({ method: 'GET', headers: {} }, res);
+  return res;
+}
+
+test.beforeEach(() => {
+  db.docs.clear();
+  mail.length = 0;
+  // Weekly, last digest 8 days ago (not a Monday-only send) — due.
+  db.docs.set('users/u_weekly', { email: 'weekly@example.com', firstName: 'Ana' });
+  db.docs.set('users/u_weekly/settings/notifications', { digest: 'weekly', digestLastSentAt: ago(8 * DAY) });
+  // Weekly, sent 3 days ago — not due.
+  db.docs.set('users/u_recent', { email: 'recent@example.com' });
+  db.docs.set('users/u_recent/settings/notifications', { digest: 'weekly', digestLastSentAt: ago(3 * DAY) });
+  // Daily, never sent, nothing new for them.
+  db.docs.set('users/u_daily', { email: 'daily@example.com' });
+  db.docs.set('users/u_daily/settings/notifications', { digest: 'daily' });
+
+  db.docs.set('messageWorkspaces/ws1', { name: 'St. Anne', memberIds: ['u_weekly', 'u_recent'] });
+  db.docs.set('messageWorkspaces/ws1/channels/general', { name: 'general' });
+  db.docs.set('messageWorkspaces/ws1/channels/general/messages/m1', {
+    senderId: 'u_other',
+    senderName: 'Joseph',
+    text: '@Ana can you bring the hymnals?',
+    mentionedUserIds: ['u_weekly'],
+    createdAt: ago(5 * DAY),
+  });
+});
+
+test('sends what is due and reports the run', async () => {
+  const res = await run();
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(
+    { ok: res.body.ok, subscribers: res.body.subscribers, sent: res.body.sent, empty: res.body.empty, failed: res.body.failed },
+    { ok: true, subscribers: 3, sent: 1, empty: 1, failed: 0 },
+  );
+
+  assert.strictEqual(mail.length, 1);
+  assert.strictEqual(mail[0].to, 'weekly@example.com');
+  assert.match(mail[0].subject, /mentioned 1 time/);
+  assert.match(mail[0].text, /Joseph in St\. Anne · #general/);
+});
+
+test('stamps the users it handled and leaves the rest alone', async () => {
+  const before = db.docs.get('users/u_recent/settings/notifications').digestLastSentAt;
+  await run();
+  assert.ok(Date.now() - db.docs.get('users/u_weekly/settings/notifications').digestLastSentAt.toMillis() < 60000);
+  assert.ok(db.docs.get('users/u_daily/settings/notifications').digestLastSentAt);
+  assert.strictEqual(db.docs.get('users/u_recent/settings/notifications').digestLastSentAt, before);
+});
+
+test('a second run the same day sends nothing', async () => {
+  await run();
+  mail.length = 0;
+  const res = await run();
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.sent, 0);
+  assert.strictEqual(mail.length, 0);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeFirestore } = require('./support/firestore');
+
+const db = installFakeFirestore();
+const STRIPE = require.resolve('stripe');
+require.cache[STRIPE] = {
+  id: STRIPE,
+  filename: STRIPE,
+  loaded: true,
+  exports: class FakeStripe {
+    constructor() {
+      this.balance = { retrieve: async () => ({ available: [], pending: [] }) };
+      this.payouts = { list: async () => ({ data: [] }) };
+    }
+  },
+};
+const handler = require('../api/_lib/stripe/earnings');
+
+async function run(query) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    setHeader(name, value) { this.headers[name] = value; },
+    json(payload) { this.body = payload; return this; },
+    send(payload) { this.body = payload; return this; },
+  };
+  await handler({ method: 'GET', headers: {}, query: { year: '2026', ...query } }, res, { uid: 'u_provider' });
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+function booking(id, day, fields) {
+  db.docs.set(`bookings/${id}`, {
+    providerStripeAccountId: 'acct_1',
+    createdAt: db.Timestamp.fromDate(new Date(`2026-${day}T12:00:00Z`)),
+    status: 'confirmed',
+    ...fields,
+  });
+}
+
+test.before(() => {
+  db.docs.set('users/u_provider', { stripeConnectAccountId: 'acct_1' });
+  booking('b1', '03-02', { amount: 10000, platformFeeAmount: 1000, currency: 'usd', offeringTitle: 'Lenten retreat' });
+  booking('b2', '03-09', { amount: 20000, platformFeeAmount: 2000, currency: 'eur', offeringTitle: '=HYPERLINK("http://x","Pay")' });
+  booking('b3', '04-01', { amount: 5000, platformFeeAmount: 500, currency: 'usd', offeringTitle: '@Camino', refundedAmount: 5000, status: 'refunded' });
+});
+
+test('totals each currency on its own', async () => {
+  const { totals, months } = await run();
+  assert.deepStrictEqual(totals.map((t) => [t.currency, t.bookings, t.gross, t.net]), [
+    ['eur', 1, 20000, 18000],
+    ['usd', 2, 15000, 9000],
+  ]);
+  assert.deepStrictEqual(months.map((m) => [m.month, m.currency, m.gross]), [
+    ['2026-03', 'eur', 20000],
+    ['2026-03', 'usd', 10000],
+    ['2026-04', 'usd', 5000],
+  ]);
+});
+
+test('the CSV keeps offering titles from running as formulas', async () => {
+  const rows = (await run({ format: 'csv' })).trim().split('\n');
+  assert.strictEqual(rows.length, 4);
+  assert.strictEqual(rows[1], '2026-03-02,b1,Lenten retreat,confirmed,USD,100.00,10.00,0.00,0.00,90.00');
+  assert.ok(rows[2].startsWith('2026-03-09,b2,"\'=HYPERLINK(""http://x"",""Pay"")",'), rows[2]);
+  assert.ok(rows[3].startsWith('2026-04-01,b3,\'@Camino,refunded,'), rows[3]);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeFirestore } = require('./support/firestore');
+
+installFakeFirestore();
+const { renderStatement } = require('../api/_lib/stripe/statements');
+
+// Reads back what a PDF viewer needs: the cross-reference table, the page
+// tree and each page's text. Throws if an offset or stream length is off.
+function parsePdf(buf) {
+  const raw = buf.toString('latin1');
+  assert.ok(raw.startsWith('%PDF-1.4\n'), 'PDF header');
+  const xrefAt = Number(raw.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  assert.strictEqual(raw.slice(xrefAt, xrefAt + 5), 'xref\n');
+
+  const [, count] = raw.slice(xrefAt).match(/^xref\n0 (\d+)\n/);
+  const entries = raw.slice(xrefAt).split('\n').slice(3, 2 + Number(count));
+  const objects = {};
+  entries.forEach((entry, i) => {
+    const n = i + 1;
+    const offset = Number(entry.slice(0, 10));
+    assert.ok(raw.startsWith(`${n} 0 obj\n`, offset), `object ${n} at ${offset}`);
+    objects[n] = raw.slice(offset + `${n} 0 obj\n`.length, raw.indexOf('\nendobj\n', offset));
+  });
+
+  const kids = objects[2].match(/\/Kids \[([^\]]*)\]/)[1].match(/\d+(?= 0 R)/g).map(Number);
+  assert.strictEqual(Number(objects[2].match(/\/Count (\d+)/)[1]), kids.length);
+
+  const decoder = new TextDecoder('windows-1252');
+  const pages = kids.map((n) => {
+    const content = objects[Number(objects[n].match(/\/Contents (\d+) 0 R/)[1])];
+    const length = Number(content.match(/\/Length (\d+)/)[1]);
+    const stream = content.slice(content.indexOf('stream\n') + 7, content.lastIndexOf('\nendstream'));
+    assert.strictEqual(stream.length, length, `page ${n} stream length`);
+    return [...stream.matchAll(/\(((?:\\.|[^\\)])*)\) Tj/g)]
+      .map(([, s]) => decoder.decode(Buffer.from(s.replace(/\\(.)/g, '$1'), 'latin1')));
+  });
+  return { pages };
+}
+
+function statement(giftCount) {
+  const gifts = Array.from({ length: giftCount }, (_, i) => ({
+    date: new Date(Date.UTC(2025, 0, 1 + i * 5)),
+    timeZone: 'America/New_York',
+    amount: 2500,
+    interval: i % 2 ? 'month' : undefined,
+  }));
+  return renderStatement({
+    year: 2025,
+    org: { name: 'Parroquia Nuestra Señora de Guadalupe (Łódź)', ein: '12-3456789', address: 'Calle Mayor 1, São Paulo' },
+    donor: { name: 'Łucja Wąsowska-Núñez', email: 'lucja@example.com' },
+    group: { currency: 'usd', gifts, total: 2500 * giftCount },
+    issuedAt: new Date(Date.UTC(2026, 0, 15)),
+  });
+}
+
+test('a long statement breaks onto more pages, each with the table header', () => {
+  const { pages } = parsePdf(statement(70));
+  assert.ok(pages.length >= 2, `expected several pages, got ${pages.length}`);
+  pages.slice(1).forEach((lines) => assert.ok(lines.includes('Date') && lines.includes('Amount')));
+  const all = pages.flat();
+  assert.ok(all.includes('Total (70 gifts)'));
+  assert.ok(all.includes('$1,750.00'));
+});
+
+test('keeps Latin-1 names intact and drops only the accent from other Latin letters', () => {
+  const all = parsePdf(statement(3)).pages.flat();
+  assert.ok(all.includes('Parroquia Nuestra Señora de Guadalupe (Lódz)'));
+  assert.ok(all.includes('Lucja Wasowska-Núñez'));
+  assert.ok(all.includes('Calle Mayor 1, São Paulo'));
+  assert.ok(!all.some((line) => line.includes('?')), 'no unencodable characters');
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { installFakeFirestore } = require('./support/firestore');
+
+const API_KEY = 'APItestkey';
+const API_SECRET = 'test-secret-test-secret-test-secret-00';
+process.env.LIVEKIT_API_KEY = API_KEY;
+process.env.LIVEKIT_API_SECRET = API_SECRET;
+
+const db = installFakeFirestore();
+const CALL_STATE = path.join(__dirname, '..', 'api', '_lib', 'notify', 'call-state.js');
+const callState = [];
+require.cache[CALL_STATE] = {
+  id: CALL_STATE,
+  filename: CALL_STATE,
+  loaded: true,
+  exports: {
+    transition: async (...args) => { callState.push(['transition', ...args]); return {}; },
+    closeCall: async (...args) => { callState.push(['closeCall', ...args]); return {}; },
+    applyEffects: async (...args) => { callState.push(['applyEffects', ...args]); },
+  },
+};
+const handler = require('../api/livekit-webhook');
+
+// Recorded from LiveKit Cloud (ids and identities replaced).
+const RECORDED = fs.readFileSync(path.join(__dirname, 'fixtures', 'livekit-participant-left.json'), 'utf8').trim();
+
+async function sign(body, { secret = API_SECRET } = {}) {
+  const { AccessToken } = await import('livekit-server-sdk');
+  const token = new AccessToken(API_KEY, secret);
+  token.sha256 = crypto.createHash('sha256').update(body).digest('base64');
+  return token.toJwt();
+}
+
+async function post(body, authorization, method = 'POST') {
+  const req = Readable.from([Buffer.from(body)]);
+  req.method = method;
+  req.headers = { 'content-type': 'application/webhook+json', authorization };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(k, v) { this.headers[k] = v; },
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  await handler(req, res);
+  return res;
+}
+
+test.beforeEach(() => {
+  db.docs.clear();
+  callState.length = 0;
+  db.docs.set('calls/dm_thread123', {
+    hostId: 'uid_caller',
+    invitedUserIds: ['uid_callee'],
+    participants: { uid_caller: { joinedAt: db.Timestamp.fromMillis(1760900004000) } },
+  });
+});
+
+test('disables body parsing so the signature sees the raw bytes', () => {
+  assert.deepStrictEqual(handler.config, { api: { bodyParser: false } });
+});
+
+test('records a replayed participant_left with its time in the room', async () => {
+  const res = await post(RECORDED, await sign(RECORDED));
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(res.body, { received: true });
+
+  const caller = db.docs.get('calls/dm_thread123').participants.uid_caller;
+  assert.strictEqual(caller.seconds, 90);
+  assert.strictEqual(caller.leftAt.toMillis(), 1760900094000);
+  assert.ok(db.docs.has('livekitEvents/EV_6WqYQqUa9eDR'));
+});
+
+test('closes the call if the caller leaves while it is still ringing', async () => {
+  await post(RECORDED, await sign(RECORDED));
+  const [op, room, reason, { when }] = callState[0];
+  assert.deepStrictEqual([op, room, reason], ['closeCall', 'dm_thread123', 'cancelled']);
+  assert.strictEqual(when({ status: 'ringing' }), true);
+  assert.strictEqual(when({ status: 'answered' }), false);
+});
+
+test('treats a second delivery of the same event as a duplicate', async () => {
+  await post(RECORDED, await sign(RECORDED));
+  const res = await post(RECORDED, await sign(RECORDED));
+  assert.deepStrictEqual(res.body, { received: true, duplicate: true });
+  assert.strictEqual(db.docs.get('calls/dm_thread123').participants.uid_caller.seconds, 90);
+});
+
+test('rejects a body that differs from the signed one, even by whitespace', async () => {
+  const reserialized = JSON.stringify(JSON.parse(RECORDED), null, 1);
+  const res = await post(reserialized, await sign(RECORDED));
+  assert.strictEqual(res.statusCode, 401);
+  assert.strictEqual(db.docs.has('livekitEvents/EV_6WqYQqUa9eDR'), false);
+});
+
+test('rejects a token signed with another secret', async () => {
+  const res = await post(RECORDED, await sign(RECORDED, { secret: 'not-the-secret-not-the-secret-000000' }));
+  assert.strictEqual(res.statusCode, 401);
+});
+
+test('rejects a request without an Authorization header', async () => {
+  const res = await post(RECORDED, undefined);
+  assert.strictEqual(res.statusCode, 401);
+});
+
+test('closes the call when the room finishes', async () => {
+  const body = JSON.stringify({ event: 'room_finished', room: { sid: 'RM_1', name: 'dm_thread123' }, id: 'EV_finished', createdAt: '1760900200' });
+  const res = await post(body, await sign(body));
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(callState[0], ['closeCall', 'dm_thread123', 'room_finished']);
+});
+
+test('only accepts POST', async () => {
+  const res = await post('', undefined, 'GET');
+  assert.strictEqual(res.statusCode, 405);
+});
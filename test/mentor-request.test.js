@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { installFakeFirestore } = require('./support/firestore');
+
+const db = installFakeFirestore();
+const DISPATCH = path.join(__dirname, '..', 'api', '_lib', 'notify', 'dispatch.js');
+const sent = [];
+require.cache[DISPATCH] = {
+  id: DISPATCH,
+  filename: DISPATCH,
+  loaded: true,
+  exports: { dispatch: async (n) => { sent.push(n); return { inApp: 1, pushed: 1 }; } },
+};
+const handler = require('../api/_lib/notify/mentor-request');
+
+async function run(uid, matchId = 'm1') {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  await handler({ method: 'POST', headers: {}, body: { matchId } }, res, { uid });
+  return res;
+}
+
+test.beforeEach(() => {
+  db.docs.clear();
+  sent.length = 0;
+  db.docs.set('users/u_mentee', { firstName: 'Clare', lastName: 'Offreduccio' });
+  db.docs.set('mentor_matches/m1', {
+    participantIds: ['u_mentee', 'u_mentor'],
+    mentorId: 'u_mentor',
+    menteeId: 'u_mentee',
+    status: 'pending',
+    requestedByUserId: 'u_mentee',
+    introMessage: 'I am starting a Catholic bookshop and would love your advice.',
+  });
+});
+
+test('notifies the other participant through the dispatcher', async () => {
+  const res = await run('u_mentee');
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].type, 'mentor_request');
+  assert.deepStrictEqual(sent[0].recipients, ['u_mentor']);
+  assert.strictEqual(sent[0].title, 'Clare Offreduccio asked you to be their mentor');
+  assert.match(sent[0].body, /Catholic bookshop/);
+  assert.ok(db.docs.get('mentor_matches/m1').notifiedAt);
+});
+
+test('only the requester can send it, and only once', async () => {
+  assert.strictEqual((await run('u_mentor')).statusCode, 404);
+  assert.strictEqual((await run('u_mentee', 'missing')).statusCode, 404);
+  await run('u_mentee');
+  await run('u_mentee');
+  assert.strictEqual(sent.length, 1);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeFirestore } = require('./support/firestore');
+
+const db = installFakeFirestore();
+
+// Each subscription Stripe hands over costs 15s of the 25s budget, so a run
+// gets through one before it has to stop and save its place.
+let clock = 0;
+const STEP_MS = 15 * 1000;
+const subscriptions = [
+  { id: 'sub_a', customer: 'cus_a', status: 'active', metadata: { firebaseUserId: 'u_a' } },
+  { id: 'sub_b', customer: 'cus_b', status: 'active', metadata: {} },
+  { id: 'sub_c', customer: 'cus_c', status: 'active', metadata: { firebaseUserId: 'u_c' } },
+].map((s) => ({ current_period_end: 1790000000, cancel_at_period_end: false, items: { data: [] }, ...s }));
+
+const STRIPE = require.resolve('stripe');
+require.cache[STRIPE] = {
+  id: STRIPE,
+  filename: STRIPE,
+  loaded: true,
+  exports: class FakeStripe {
+    constructor() {
+      this.subscriptions = {
+        async *list({ status, starting_after: after }) {
+          const live = subscriptions.filter((s) => s.status === status);
+          for (const sub of live.slice(after ? live.findIndex((s) => s.id === after) + 1 : 0)) {
+            clock += STEP_MS;
+            yield sub;
+          }
+        },
+        retrieve: async (id) => subscriptions.find((s) => s.id === id),
+      };
+    }
+  },
+};
+const handler = require('../api/_lib/stripe/reconcile');
+
+async function run() {
+  clock = 0;
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  await handler({ method: 'GET', headers: {} }, res);
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  return db.docs.get('adminReports/subscriptionReconciliation');
+}
+
+test.before(() => {
+  test.mock.method(Date, 'now', () => clock);
+  db.docs.set('users/u_a', { email: 'a@example.com' });
+  db.docs.set('users/u_c', { email: 'c@example.com' });
+});
+
+test('a pass spread over several runs reports everything it found', async () => {
+  let report = await run();
+  assert.deepStrictEqual(report.cursor, { phase: 'stripe', status: 'active', startingAfter: 'sub_a' });
+  assert.deepStrictEqual([report.runs, report.checked, report.repairedCount], [1, 1, 1]);
+
+  report = await run();
+  assert.strictEqual(report.resumed, true);
+  assert.deepStrictEqual(report.cursor, { phase: 'stripe', status: 'active', startingAfter: 'sub_b' });
+
+  report = await run();
+  assert.strictEqual(report.complete, true);
+  assert.strictEqual(report.cursor, null);
+  assert.deepStrictEqual(
+    [report.runs, report.checked, report.repairedCount, report.orphanCount],
+    [3, 3, 2, 1],
+  );
+  assert.deepStrictEqual(report.repaired.map((r) => r.uid), ['u_a', 'u_c']);
+  assert.deepStrictEqual(report.orphans.map((o) => [o.type, o.subscriptionId]), [['customer_without_user', 'sub_b']]);
+  assert.strictEqual(db.docs.get('users/u_c').subscription.stripeSubscriptionId, 'sub_c');
+});
+
+test('the next pass starts the report over', async () => {
+  const report = await run();
+  assert.strictEqual(report.resumed, false);
+  assert.strictEqual(report.runs, 1);
+  assert.strictEqual(report.checked, 1);
+  assert.deepStrictEqual(report.orphans, []);
+});
@@ -0,0 +1,202 @@
+// In-memory stand-in for api/_lib/firebase-admin.js, enough for the handlers
+// under test: document get / set (with merge) / create / update / delete,
+// subcollections, simple queries (where / orderBy / limit / startAfter on
+// collections and collection groups), sequential transactions, plus the
+// FieldValue sentinels and Timestamp helpers they use. Install it before
+// requiring the handler under test:
+//
+//   const db = installFakeFirestore();
+//   const handler = require('../api/some-handler');
+//   db.docs.get('calls/dm_1')   // → the stored object
+
+const path = require('path');
+
+const FIREBASE_ADMIN = path.join(__dirname, '..', '..', 'api', '_lib', 'firebase-admin.js');
+const DOCUMENT_ID = '__name__';
+
+class Timestamp {
+  constructor(ms) { this.ms = ms; }
+  static fromMillis(ms) { return new Timestamp(ms); }
+  static fromDate(d) { return new Timestamp(d.getTime()); }
+  static now() { return new Timestamp(Date.now()); }
+  toMillis() { return this.ms; }
+  toDate() { return new Date(this.ms); }
+}
+
+const sentinel = (op, value) => ({ __fieldValue: op, value });
+
+function apply(current, value) {
+  if (value && value.__fieldValue === 'increment') return (typeof current === 'number' ? current : 0) + value.value;
+  if (value && value.__fieldValue === 'arrayUnion') {
+    const list = Array.isArray(current) ? [...current] : [];
+    value.value.forEach((v) => { if (!list.includes(v)) list.push(v); });
+    return list;
+  }
+  if (value && value.__fieldValue === 'serverTimestamp') return Timestamp.now();
+  return value;
+}
+
+function isPlain(value) {
+  return value && typeof value === 'object' && !value.__fieldValue
+    && !(value instanceof Timestamp) && !(value instanceof Date) && !Array.isArray(value);
+}
+
+function merge(target, patch) {
+  const out = { ...(target || {}) };
+  for (const [key, value] of Object.entries(patch)) {
+    if (value && value.__fieldValue === 'delete') delete out[key];
+    else out[key] = isPlain(value) ? merge(out[key], value) : apply(out[key], value);
+  }
+  return out;
+}
+
+// update() takes dotted field paths ('subscription.status').
+function expandPaths(patch) {
+  const out = {};
+  for (const [key, value] of Object.entries(patch)) {
+    const parts = key.split('.');
+    let node = out;
+    parts.slice(0, -1).forEach((p) => { node = node[p] = isPlain(node[p]) ? node[p] : {}; });
+    node[parts[parts.length - 1]] = value;
+  }
+  return out;
+}
+
+function field(data, id, name) {
+  if (name === DOCUMENT_ID) return id;
+  return name.split('.').reduce((v, k) => (v == null ? undefined : v[k]), data);
+}
+
+function comparable(v) {
+  if (v instanceof Timestamp) return v.toMillis();
+  if (v instanceof Date) return v.getTime();
+  return v;
+}
+
+const OPS = {
+  '==': (a, b) => (a === undefined ? null : comparable(a)) === comparable(b),
+  '!=': (a, b) => comparable(a) !== comparable(b),
+  '<': (a, b) => a != null && comparable(a) < comparable(b),
+  '<=': (a, b) => a != null && comparable(a) <= comparable(b),
+  '>': (a, b) => a != null && comparable(a) > comparable(b),
+  '>=': (a, b) => a != null && comparable(a) >= comparable(b),
+  'in': (a, b) => b.map(comparable).includes(comparable(a)),
+  'array-contains': (a, b) => Array.isArray(a) && a.includes(b),
+};
+
+function installFakeFirestore() {
+  const docs = new Map();
+
+  function snapshot(docPath) {
+    const data = docs.get(docPath);
+    return { id: docPath.split('/').pop(), ref: doc(docPath), exists: data !== undefined, data: () => data };
+  }
+
+  function doc(docPath) {
+    const parts = docPath.split('/');
+    return {
+      id: parts[parts.length - 1],
+      path: docPath,
+      get parent() { return collection(parts.slice(0, -1).join('/')); },
+      collection: (name) => collection(`${docPath}/${name}`),
+      async get() { return snapshot(docPath); },
+      async set(data, { merge: merging = false } = {}) {
+        docs.set(docPath, merge(merging ? docs.get(docPath) : {}, data));
+      },
+      async create(data) {
+        if (docs.has(docPath)) {
+          const err = new Error('ALREADY_EXISTS');
+          err.code = 6;
+          throw err;
+        }
+        docs.set(docPath, merge({}, data));
+      },
+      async update(data) {
+        if (!docs.has(docPath)) throw new Error(`NOT_FOUND: ${docPath}`);
+        docs.set(docPath, merge(docs.get(docPath), expandPaths(data)));
+      },
+      async delete() {
+        docs.delete(docPath);
+      },
+    };
+  }
+
+  // matches(docPath) picks the documents; the rest narrows and orders them.
+  function query(matches, { filters = [], order = [], max = Infinity, after = null } = {}) {
+    const next = (changes) => query(matches, { filters, order, max, after, ...changes });
+    return {
+      where: (name, op, value) => next({ filters: [...filters, [name, op, value]] }),
+      orderBy: (name, dir = 'asc') => next({ order: [...order, [name, dir]] }),
+      limit: (n) => next({ max: n }),
+      startAfter: (value) => next({ after: value }),
+      async get() {
+        let found = [...docs.keys()].filter(matches).map(snapshot)
+          .filter((s) => filters.every(([name, op, value]) => OPS[op](field(s.data(), s.id, name), value)));
+        const sortBy = order.length ? order : [[DOCUMENT_ID, 'asc']];
+        const key = (s) => sortBy.map(([name]) => comparable(field(s.data(), s.id, name)));
+        const cmp = (a, b) => {
+          for (let i = 0; i < sortBy.length; i++) {
+            if (a[i] === b[i]) continue;
+            return (a[i] < b[i] ? -1 : 1) * (sortBy[i][1] === 'desc' ? -1 : 1);
+          }
+          return 0;
+        };
+        found.sort((a, b) => cmp(key(a), key(b)));
+        if (after !== null) {
+          const mark = [comparable(after && after.id !== undefined && after.data ? field(after.data(), after.id, sortBy[0][0]) : after)];
+          found = found.filter((s) => cmp(key(s).slice(0, 1), mark) > 0);
+        }
+        found = found.slice(0, max);
+        return { docs: found, size: found.length, empty: !found.length, forEach: (fn) => found.forEach(fn) };
+      },
+    };
+  }
+
+  function collection(collectionPath) {
+    const parts = collectionPath.split('/');
+    const inCollection = (docPath) => docPath.slice(0, docPath.lastIndexOf('/')) === collectionPath;
+    return {
+      id: parts[parts.length - 1],
+      path: collectionPath,
+      parent: parts.length > 1 ? doc(parts.slice(0, -1).join('/')) : null,
+      doc: (id) => doc(`${collectionPath}/${id}`),
+      ...query(inCollection),
+    };
+  }
+
+  const adminDb = {
+    collection,
+    doc,
+    collectionGroup: (name) => query((docPath) => docPath.split('/').slice(-2)[0] === name),
+    // Sequential, so a transaction is just its reads and writes in order.
+    async runTransaction(fn) {
+      return fn({
+        get: (ref) => ref.get(),
+        set: (ref, data, opts) => ref.set(data, opts),
+        create: (ref, data) => ref.create(data),
+        update: (ref, data) => ref.update(data),
+        delete: (ref) => ref.delete(),
+      });
+    },
+  };
+  const firestore = () => adminDb;
+  firestore.Timestamp = Timestamp;
+  firestore.FieldPath = { documentId: () => DOCUMENT_ID };
+  firestore.FieldValue = {
+    increment: (n) => sentinel('increment', n),
+    arrayUnion: (...values) => sentinel('arrayUnion', values),
+    serverTimestamp: () => sentinel('serverTimestamp'),
+    delete: () => sentinel('delete'),
+  };
+
+  const adminAuth = {};
+  require.cache[FIREBASE_ADMIN] = {
+    id: FIREBASE_ADMIN,
+    filename: FIREBASE_ADMIN,
+    loaded: true,
+    exports: { admin: { firestore }, adminDb, adminAuth },
+  };
+  return { docs, Timestamp, adminAuth };
+}
+
+module.exports = { installFakeFirestore };
@@ -0,0 +1,69 @@
+// Just enough DER to mint throwaway X.509 chains for tests: P-256 keys,
+// ECDSA-SHA256 signatures, a CN-only subject, optional marker extensions.
+// Node can parse certificates (crypto.X509Certificate) but not create them.
+
+const crypto = require('crypto');
+
+function tlv(tag, content) {
+  const len = content.length;
+  let header;
+  if (len < 0x80) header = Buffer.from([tag, len]);
+  else if (len < 0x100) header = Buffer.from([tag, 0x81, len]);
+  else header = Buffer.from([tag, 0x82, len >> 8, len & 0xff]);
+  return Buffer.concat([header, content]);
+}
+
+const seq = (...items) => tlv(0x30, Buffer.concat(items));
+
+function oid(dotted) {
+  const [a, b, ...rest] = dotted.split('.').map(Number);
+  const bytes = [a * 40 + b];
+  for (const n of rest) {
+    const chunk = [n & 0x7f];
+    for (let v = n >> 7; v > 0; v >>= 7) chunk.unshift((v & 0x7f) | 0x80);
+    bytes.push(...chunk);
+  }
+  return tlv(0x06, Buffer.from(bytes));
+}
+
+function utcTime(date) {
+  const iso = date.toISOString();
+  return tlv(0x17, Buffer.from(`${iso.slice(2, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 19)}Z`));
+}
+
+const name = (cn) => seq(tlv(0x31, seq(oid('2.5.4.3'), tlv(0x0c, Buffer.from(cn)))));
+
+function extension(id, value, critical = false) {
+  return seq(oid(id), ...(critical ? [Buffer.from([0x01, 0x01, 0xff])] : []), tlv(0x04, value));
+}
+
+const ECDSA_SHA256 = seq(oid('1.2.840.10045.4.3.2'));
+let serial = 1;
+
+// opts: { subject, issuer?: { name, privateKey } (self-signed if omitted),
+//   ca, notBefore, notAfter, markerOids: ['1.2.840…'] }
+// → { cert (DER Buffer), publicKey, privateKey, name }
+function makeCert({ subject, issuer, ca = false, notBefore, notAfter, markerOids = [] }) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const signer = issuer || { name: subject, privateKey };
+  const now = Date.now();
+  const extensions = [
+    ...(ca ? [extension('2.5.29.19', seq(Buffer.from([0x01, 0x01, 0xff])), true)] : []),
+    ...markerOids.map((id) => extension(id, Buffer.from([0x05, 0x00]))),
+  ];
+  const tbs = seq(
+    tlv(0xa0, tlv(0x02, Buffer.from([2]))),
+    tlv(0x02, Buffer.from([serial++])),
+    ECDSA_SHA256,
+    name(signer.name),
+    seq(utcTime(notBefore || new Date(now - 86400000)), utcTime(notAfter || new Date(now + 365 * 86400000))),
+    name(subject),
+    publicKey.export({ type: 'spki', format: 'der' }),
+    ...(extensions.length ? [tlv(0xa3, seq(...extensions))] : []),
+  );
+  const signature = crypto.sign('sha256', tbs, signer.privateKey);
+  const cert = seq(tbs, ECDSA_SHA256, tlv(0x03, Buffer.concat([Buffer.from([0]), signature])));
+  return { cert, publicKey, privateKey, name: subject };
+}
+
+module.exports = { makeCert };